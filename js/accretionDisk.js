@@ -0,0 +1,146 @@
+// js/accretionDisk.js
+import * as THREE from 'three';
+import { iscoRadius } from './kerr.js';
+
+const DISK_TEXTURE_WIDTH = 1024; // Around the disk (vUv.x)
+const DISK_TEXTURE_HEIGHT = 128; // Inner to outer edge (vUv.y)
+
+// The disk is both a scene object and a texture:
+// - diskMesh is an annulus around the black hole that follows it, carries the
+//   tilt, and can be shown unlensed for debugging.
+// - The same accretionDisk shaders are rendered every frame into bakeTarget over
+//   the disk's (angle, radius) UV domain. The lensing shader traces each pixel's
+//   ray to the disk plane and samples that texture, so the far side of the disk
+//   is seen along bent rays (over the top of the shadow) instead of flat.
+export async function setupAccretionDisk(scene, params) {
+    const vertexShader = await fetch(new URL('../shaders/accretionDisk.vert', import.meta.url)).then(res => res.text());
+    const fragmentShader = await fetch(new URL('../shaders/accretionDisk.frag', import.meta.url)).then(res => res.text());
+
+    const diskMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0.0 },
+            diskColorInner: { value: new THREE.Color(params.diskColorInner) },
+            diskColorOuter: { value: new THREE.Color(params.diskColorOuter) },
+            noiseScale: { value: params.diskNoiseScale },
+            animationSpeed: { value: params.diskAnimationSpeed },
+            diskOpacity: { value: params.diskOpacity },
+        },
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+    });
+
+    // Geometry radii are in units of r_s; the mesh is scaled by eventHorizonRadius
+    const diskMesh = new THREE.Mesh(createDiskGeometry(params.diskInnerRadius, params.diskOuterRadius), diskMaterial);
+    diskMesh.position.set(0, 0, params.blackHoleZ);
+    diskMesh.visible = params.showDiskMesh;
+    scene.add(diskMesh);
+
+    const bakeTarget = new THREE.WebGLRenderTarget(DISK_TEXTURE_WIDTH, DISK_TEXTURE_HEIGHT, {
+        type: THREE.HalfFloatType, // Keep the >1 highlights for bloom
+        wrapS: THREE.RepeatWrapping,
+        wrapT: THREE.ClampToEdgeWrapping,
+        depthBuffer: false,
+    });
+    const bakeScene = new THREE.Scene();
+    const bakeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1);
+    bakeCamera.position.z = 0.5;
+    // Shares the uniforms, but writes colour and alpha unblended (straight alpha)
+    const bakeMaterial = new THREE.ShaderMaterial({
+        uniforms: diskMaterial.uniforms,
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        blending: THREE.NoBlending,
+        depthTest: false,
+        depthWrite: false,
+    });
+    bakeScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), bakeMaterial));
+
+    return { diskMesh, diskMaterial, bakeTarget, bakeScene, bakeCamera };
+}
+
+export function disposeAccretionDisk(disk) {
+    disk.diskMesh.removeFromParent();
+    disk.diskMesh.geometry.dispose();
+    disk.diskMaterial.dispose();
+    disk.bakeScene.traverse(object => {
+        if (object.isMesh) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    });
+    disk.bakeTarget.dispose();
+}
+
+// Flat annulus in the local XY plane (normal +Z). Unlike RingGeometry the UVs
+// are polar: u = angle / 2π around the disk, v = 0 at the inner edge to 1 at
+// the outer edge, which is what accretionDisk.frag expects.
+function createDiskGeometry(innerRadius, outerRadius, thetaSegments = 128, radialSegments = 8) {
+    const positions = [];
+    const uvs = [];
+    const normals = [];
+    const indices = [];
+
+    for (let j = 0; j <= radialSegments; j++) {
+        const v = j / radialSegments;
+        const radius = innerRadius + v * (outerRadius - innerRadius);
+        for (let i = 0; i <= thetaSegments; i++) {
+            const u = i / thetaSegments;
+            const theta = u * Math.PI * 2;
+            positions.push(radius * Math.cos(theta), radius * Math.sin(theta), 0);
+            normals.push(0, 0, 1);
+            uvs.push(u, v);
+        }
+    }
+    for (let j = 0; j < radialSegments; j++) {
+        for (let i = 0; i < thetaSegments; i++) {
+            const a = j * (thetaSegments + 1) + i;
+            const b = a + thetaSegments + 1;
+            indices.push(a, b, a + 1, b, b + 1, a + 1);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.userData = { innerRadius, outerRadius };
+    return geometry;
+}
+
+export function updateAccretionDisk(disk, params, renderer, time) {
+    if (!disk) return;
+    const { diskMesh, diskMaterial } = disk;
+
+    diskMaterial.uniforms.time.value = time;
+    diskMaterial.uniforms.diskColorInner.value.set(params.diskColorInner);
+    diskMaterial.uniforms.diskColorOuter.value.set(params.diskColorOuter);
+    diskMaterial.uniforms.noiseScale.value = params.diskNoiseScale;
+    diskMaterial.uniforms.animationSpeed.value = params.diskAnimationSpeed;
+    diskMaterial.uniforms.diskOpacity.value = params.diskOpacity;
+
+    if (params.diskInnerAtIsco) {
+        params.diskInnerRadius = iscoRadius(0.5, params.blackHoleSpin); // M = 0.5 in units of r_s
+    }
+    const { innerRadius, outerRadius } = diskMesh.geometry.userData;
+    if (innerRadius !== params.diskInnerRadius || outerRadius !== params.diskOuterRadius) {
+        diskMesh.geometry.dispose();
+        diskMesh.geometry = createDiskGeometry(params.diskInnerRadius, params.diskOuterRadius);
+    }
+
+    // Horizontal disk (normal +Y), tipped toward the camera by diskTilt
+    diskMesh.rotation.set(-Math.PI / 2 + THREE.MathUtils.degToRad(params.diskTilt), 0, 0);
+    diskMesh.scale.setScalar(params.eventHorizonRadius);
+    diskMesh.visible = params.showAccretionDisk && params.showDiskMesh;
+    diskMesh.updateMatrixWorld(true);
+
+    if (params.showAccretionDisk) {
+        const previousTarget = renderer.getRenderTarget();
+        renderer.setRenderTarget(disk.bakeTarget);
+        renderer.render(disk.bakeScene, disk.bakeCamera);
+        renderer.setRenderTarget(previousTarget);
+    }
+}
@@ -1,19 +1,76 @@
 // js/animationManager.js
 import * as THREE from 'three';
 
-export function animateBlackHole(blackHoleMesh, pointLight, clock, params) {
-    if (!params.animateBlackHole || !blackHoleMesh) return;
+// elapsedTime is the scene clock (see timelineManager.js), so a timeline
+// replays the motion exactly; with the animation off the black hole stays
+// where it is, e.g. at a keyed position.
+export function animateBlackHole(blackHoleMesh, pointLight, elapsedTime, params, accretionDiskMesh) {
+    if (!blackHoleMesh) return;
 
-    const elapsedTime = clock.getElapsedTime();
-    const originalZ = params.blackHoleZ;
+    if (params.animateBlackHole) {
+        const originalZ = params.blackHoleZ;
 
-    blackHoleMesh.position.x = Math.sin(elapsedTime * params.bhAnimationSpeed) * params.bhAnimationRadius;
-    blackHoleMesh.position.y = Math.cos(elapsedTime * params.bhAnimationSpeed * 0.7) * params.bhAnimationRadius * 0.6;
-    blackHoleMesh.position.z = originalZ;
+        if (params.bhAnimationPreset === 'binaryOrbit' && params.lenses.length > 0) {
+            animateBinaryOrbit(blackHoleMesh, params, elapsedTime);
+        } else {
+            blackHoleMesh.position.x = Math.sin(elapsedTime * params.bhAnimationSpeed) * params.bhAnimationRadius;
+            blackHoleMesh.position.y = Math.cos(elapsedTime * params.bhAnimationSpeed * 0.7) * params.bhAnimationRadius * 0.6;
+            blackHoleMesh.position.z = originalZ;
+        }
+    }
 
+    // Attached objects follow the black hole even when it is not animated
     if (pointLight) {
         pointLight.position.copy(blackHoleMesh.position);
     }
+    if (accretionDiskMesh) {
+        accretionDiskMesh.position.copy(blackHoleMesh.position);
+    }
+}
+
+// The primary and the first extra lens orbit their barycenter at
+// (0, 0, blackHoleZ). The orbit plane faces the camera at inclination 0 and is
+// tipped about X toward edge-on at 90°. The companion's offset in params.lenses
+// is overwritten with the separation, so it stays relative to the primary.
+function animateBinaryOrbit(blackHoleMesh, params, elapsedTime) {
+    const companion = params.lenses[0];
+    const primaryMass = params.eventHorizonRadius / 2;
+    const companionMass = primaryMass * companion.massRatio;
+    const totalMass = primaryMass + companionMass;
+
+    const orbit = keplerOrbit(params.binarySeparation, params.binaryEccentricity, totalMass,
+        elapsedTime * params.binaryTimeScale);
+    const inclination = THREE.MathUtils.degToRad(params.binaryInclination);
+    const separation = new THREE.Vector3(orbit.x, orbit.y * Math.cos(inclination), orbit.y * Math.sin(inclination));
+
+    blackHoleMesh.position.set(0, 0, params.blackHoleZ).addScaledVector(separation, -companionMass / totalMass);
+    companion.offsetX = separation.x;
+    companion.offsetY = separation.y;
+    companion.offsetZ = separation.z;
+}
+
+// Separation vector of a Keplerian two-body orbit (G = 1) at `time` after
+// periapsis, in the orbit plane with periapsis along +x. Kepler's third law
+// sets the period, 2π sqrt(a³ / M_total), in the scene's light-travel units.
+export function keplerOrbit(semiMajorAxis, eccentricity, totalMass, time) {
+    const meanMotion = Math.sqrt(totalMass / Math.pow(semiMajorAxis, 3));
+    const E = solveKepler(meanMotion * time, eccentricity);
+    return {
+        x: semiMajorAxis * (Math.cos(E) - eccentricity),
+        y: semiMajorAxis * Math.sqrt(1 - eccentricity * eccentricity) * Math.sin(E),
+    };
+}
+
+// Eccentric anomaly E from Kepler's equation M = E - e sin E (Newton's method)
+export function solveKepler(meanAnomaly, eccentricity) {
+    const M = meanAnomaly - 2 * Math.PI * Math.round(meanAnomaly / (2 * Math.PI)); // Wrap to [-π, π]
+    let E = eccentricity > 0.8 ? Math.sign(M) * Math.PI : M;
+    for (let i = 0; i < 20; i++) {
+        const step = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= step;
+        if (Math.abs(step) < 1e-12) break;
+    }
+    return E;
 }
 
 // --- REMOVE STAR FIELD ANIMATION ---
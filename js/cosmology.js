@@ -0,0 +1,72 @@
+// js/cosmology.js
+// Distances in a Friedmann–Lemaître (ΛCDM) universe, for placing the lens and
+// the source at redshifts instead of fixed distances. A cosmology is
+// { H0 (km s⁻¹ Mpc⁻¹), omegaM, omegaL }; curvature is Ω_k = 1 - Ω_m - Ω_Λ
+// (flat for the default 0.3/0.7) and radiation is neglected.
+// Pure math (SI units, see physicalUnits.js), no THREE or DOM access.
+
+export const MPC = 3.0856775814913673e22; // m
+const C_KM_S = 299792.458; // Speed of light, km s⁻¹
+export const DEFAULT_COSMOLOGY = { H0: 70, omegaM: 0.3, omegaL: 0.7 };
+
+const INTEGRATION_STEPS = 512; // Simpson intervals per unit redshift (at least 16)
+
+// Hubble distance c / H0, in meters
+export function hubbleDistance(cosmology = DEFAULT_COSMOLOGY) {
+    return C_KM_S / cosmology.H0 * MPC;
+}
+
+// E(z) = H(z) / H0
+export function hubbleParameter(z, { omegaM, omegaL } = DEFAULT_COSMOLOGY) {
+    const omegaK = 1 - omegaM - omegaL;
+    const a = 1 + z;
+    return Math.sqrt(omegaM * a * a * a + omegaK * a * a + omegaL);
+}
+
+// Line-of-sight comoving distance D_C = D_H ∫₀^z dz' / E(z'), by Simpson's rule
+export function comovingDistance(z, cosmology = DEFAULT_COSMOLOGY) {
+    if (z <= 0) return 0;
+    const n = 2 * Math.ceil(Math.max(16, INTEGRATION_STEPS * z) / 2);
+    const h = z / n;
+    let sum = 1 / hubbleParameter(0, cosmology) + 1 / hubbleParameter(z, cosmology);
+    for (let k = 1; k < n; k++) {
+        sum += (k % 2 ? 4 : 2) / hubbleParameter(k * h, cosmology);
+    }
+    return hubbleDistance(cosmology) * sum * h / 3;
+}
+
+// Transverse comoving distance D_M for a line-of-sight comoving distance
+function transverseDistance(comoving, cosmology) {
+    const omegaK = 1 - cosmology.omegaM - cosmology.omegaL;
+    if (Math.abs(omegaK) < 1e-8) return comoving;
+    const dH = hubbleDistance(cosmology);
+    const k = Math.sqrt(Math.abs(omegaK));
+    return omegaK > 0 ? dH / k * Math.sinh(k * comoving / dH) : dH / k * Math.sin(k * comoving / dH);
+}
+
+// D_A = D_M / (1 + z)
+export function angularDiameterDistance(z, cosmology = DEFAULT_COSMOLOGY) {
+    return transverseDistance(comovingDistance(z, cosmology), cosmology) / (1 + z);
+}
+
+// D_A between redshifts z1 < z2, e.g. D_LS (Hogg 1999, eq. 19; valid for Ω_k ≥ 0)
+export function angularDiameterDistanceBetween(z1, z2, cosmology = DEFAULT_COSMOLOGY) {
+    const dM1 = transverseDistance(comovingDistance(z1, cosmology), cosmology);
+    const dM2 = transverseDistance(comovingDistance(z2, cosmology), cosmology);
+    const omegaK = 1 - cosmology.omegaM - cosmology.omegaL;
+    const dH = hubbleDistance(cosmology);
+    return (dM2 * Math.sqrt(1 + omegaK * dM1 * dM1 / (dH * dH)) -
+        dM1 * Math.sqrt(1 + omegaK * dM2 * dM2 / (dH * dH))) / (1 + z2);
+}
+
+/**
+ * Lens and source distances for redshifts zL < zS:
+ * { lensDistance, sourceDistance, lensSourceDistance } (angular-diameter, meters).
+ */
+export function lensingDistances(lensRedshift, sourceRedshift, cosmology = DEFAULT_COSMOLOGY) {
+    return {
+        lensDistance: angularDiameterDistance(lensRedshift, cosmology),
+        sourceDistance: angularDiameterDistance(sourceRedshift, cosmology),
+        lensSourceDistance: angularDiameterDistanceBetween(lensRedshift, sourceRedshift, cosmology),
+    };
+}
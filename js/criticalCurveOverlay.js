@@ -0,0 +1,253 @@
+// js/criticalCurveOverlay.js
+import * as THREE from 'three';
+import { findCriticalCurves, findCaustics } from './criticalCurves.js';
+import { findImages } from './lensSolver.js';
+import { computeTimeDelays } from './timeDelays.js';
+import { PARITY_COLORS } from './diagnostics.js';
+import { getLensModel } from './lensModels.js';
+import { tangentPlanePosition, einsteinTangent } from './lensSystem.js';
+import { sourcePosition, skyDirection } from './sourceCatalog.js';
+
+// Draws the critical curves (image plane) and caustics (source plane) over the
+// 3D view. Both are screen-aligned: they sit in the plane through the primary
+// facing the camera, so a caustic appears where an unlensed source on it would.
+// The lens configuration mirrors what lensing.frag evaluates: the weak-field
+// profile and lensingStrength, or point masses with the geodesic Einstein
+// radius in strong-field mode.
+// With the image finder on, the solver's source (params.solverSourceX/Y, in
+// θ_E units) and its predicted images are marked as well, so the rendered
+// images can be checked against the lens equation.
+
+const CURVE_RESOLUTION = 128;
+const SOLVER_RESOLUTION = 160;
+const MARKER_SEGMENTS = 24;
+const REBUILD_INTERVAL = 0.5; // Seconds between recomputations while the layout changes
+export const CURVE_COLORS = {
+    tangential: '#ff6060',
+    radial: '#60c0ff',
+    tangentialCaustic: '#ffd060',
+    radialCaustic: '#60ffb0',
+};
+
+// Returns the overlay's state for updateCriticalCurveOverlay
+export function setupCriticalCurveOverlay(scene) {
+    const overlay = {
+        group: new THREE.Group(),
+        lines: {}, // THREE.LineSegments keyed like CURVE_COLORS
+        markerLines: null, // Image and source markers, coloured per vertex
+        curveConfig: null, // Lens configuration the curves were built for
+        images: [], // See findImages
+        imageKey: undefined,
+        curves: null, // { tangential, radial } in θ_E units, see findCriticalCurves
+        caustics: null,
+        curveKey: undefined,
+        lastBuildTime: -Infinity,
+        halfSize: 3,
+    };
+    const { group: overlayGroup, lines } = overlay;
+    scene.add(overlayGroup);
+    Object.entries(CURVE_COLORS).forEach(([name, color]) => {
+        const material = new THREE.LineBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false,
+            depthTest: false, // Draw on top
+        });
+        lines[name] = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+        lines[name].frustumCulled = false; // Rebuilt in place every frame
+        overlayGroup.add(lines[name]);
+    });
+    const markerLines = new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({
+        vertexColors: true,
+        depthWrite: false,
+        depthTest: false,
+    }));
+    markerLines.frustumCulled = false;
+    overlayGroup.add(markerLines);
+    overlay.markerLines = markerLines;
+    return overlay;
+}
+
+export function disposeCriticalCurveOverlay(overlay) {
+    if (!overlay) return;
+    overlay.group.removeFromParent();
+    [...Object.values(overlay.lines), overlay.markerLines].forEach(line => {
+        line.geometry.dispose();
+        line.material.dispose();
+    });
+}
+
+// Lens configuration in units of the primary's Einstein radius (see criticalCurves.js)
+function getLensConfiguration(params, lenses, camera, thetaE, center) {
+    const extended = params.lensingMode === 'weak' && params.lensProfile !== 'point';
+    return {
+        profile: extended ? params.lensProfile : 'point',
+        model: getLensModel(params, 1),
+        points: lenses.slice(1).map(lens => {
+            const p = tangentPlanePosition(lens.position, camera);
+            return {
+                x: (p.x - center.x) / thetaE,
+                y: (p.y - center.y) / thetaE,
+                thetaE: einsteinTangent(params, lens, camera) / thetaE,
+            };
+        }),
+    };
+}
+
+/**
+ * Recomputes the curves when the lens configuration changes (at most every
+ * REBUILD_INTERVAL while it keeps changing, e.g. during a binary orbit) and
+ * places the overlay in front of the camera. Returns the source-plane view for
+ * the graph panel and the split view, { caustics, curves, sources: [{ x, y,
+ * color }], halfSize, solverSource, images, frame, config }, in θ_E units
+ * (solverSource is null with the image finder off; images carry their time
+ * delays, see computeTimeDelays; frame places points in the scene, see
+ * sourcePlaneToWorld; config is the lens configuration for findImages and
+ * mapToSourcePlane), or null when the overlays, the panel, the finder and the
+ * split view are all off.
+ */
+export function updateCriticalCurveOverlay(overlay, params, lenses, camera, elapsedTime, extraSources = []) {
+    const needed = params.showCriticalCurves || params.showCaustics || params.showSourcePlane || params.showImageSolver || params.splitView;
+    overlay.group.visible = needed;
+    if (!needed) return null;
+
+    camera.updateMatrixWorld();
+    const thetaE = einsteinTangent(params, lenses[0], camera);
+    const center = tangentPlanePosition(lenses[0].position, camera);
+    const config = getLensConfiguration(params, lenses, camera, thetaE, center);
+
+    // Quantized so small camera moves don't trigger a rebuild
+    const round = (v) => Math.round(v * 200) / 200;
+    const key = JSON.stringify([config.profile, config.model, config.points.map(p => [round(p.x), round(p.y), round(p.thetaE)])]);
+    if (key !== overlay.curveKey && (!overlay.curves || Math.abs(elapsedTime - overlay.lastBuildTime) >= REBUILD_INTERVAL)) { // abs: the timeline can rewind
+        const extent = config.points.reduce((max, p) => Math.max(max, Math.max(Math.abs(p.x), Math.abs(p.y)) + p.thetaE), 0);
+        overlay.halfSize = Math.max(2, extent + 1.5);
+        overlay.curves = findCriticalCurves(config, overlay.halfSize, CURVE_RESOLUTION);
+        overlay.caustics = findCaustics(overlay.curves, config);
+        overlay.curveConfig = config;
+        overlay.curveKey = key;
+        overlay.lastBuildTime = elapsedTime;
+    }
+    const { curves, caustics, curveConfig, lines } = overlay;
+
+    // Images of the solver's source, for the same configuration as the curves
+    const solverSource = params.showImageSolver ? { x: params.solverSourceX, y: params.solverSourceY } : null;
+    if (solverSource) {
+        const key = JSON.stringify([overlay.curveKey, solverSource]);
+        if (key !== overlay.imageKey) {
+            overlay.images = computeTimeDelays(
+                findImages(curveConfig, solverSource.x, solverSource.y, overlay.halfSize, SOLVER_RESOLUTION),
+                solverSource.x, solverSource.y, curveConfig);
+            overlay.imageKey = key;
+        }
+    }
+
+    const frame = {
+        center,
+        thetaE,
+        depth: -lenses[0].position.clone().applyMatrix4(camera.matrixWorldInverse).z, // Primary's depth
+        camera,
+    };
+    setLineSegments(lines.tangential, curves.tangential, frame, params.showCriticalCurves);
+    setLineSegments(lines.radial, curves.radial, frame, params.showCriticalCurves);
+    setLineSegments(lines.tangentialCaustic, caustics.tangential, frame, params.showCaustics);
+    setLineSegments(lines.radialCaustic, caustics.radial, frame, params.showCaustics);
+    updateMarkers(overlay, solverSource, frame);
+
+    return {
+        curves,
+        caustics,
+        sources: getSourcePositions(params, camera, elapsedTime, extraSources, thetaE, center),
+        halfSize: overlay.halfSize,
+        solverSource,
+        images: solverSource ? overlay.images : [],
+        frame,
+        config: curveConfig,
+    };
+}
+
+// World position of the point (x, y), in θ_E units, on the overlay's plane
+export function sourcePlaneToWorld(x, y, frame, target = new THREE.Vector3()) {
+    const { center, thetaE, depth, camera } = frame;
+    return target.set((center.x + x * thetaE) * depth, (center.y + y * thetaE) * depth, -depth)
+        .applyMatrix4(camera.matrixWorld);
+}
+
+// Places flat [x1, y1, x2, y2, ...] segments in θ_E units at the primary's
+// depth, facing the camera
+function setLineSegments(line, segments, frame, visible) {
+    line.visible = visible && frame.depth > 0;
+    if (!line.visible) return;
+    let attribute = line.geometry.getAttribute('position');
+    if (!attribute || attribute.count !== segments.length / 2) {
+        line.geometry.dispose(); // Frees the old GPU buffers
+        attribute = new THREE.BufferAttribute(new Float32Array(segments.length / 2 * 3), 3);
+        line.geometry.setAttribute('position', attribute);
+    }
+    const positions = attribute.array;
+    const point = new THREE.Vector3();
+    for (let k = 0, v = 0; k < segments.length; k += 2, v += 3) {
+        sourcePlaneToWorld(segments[k], segments[k + 1], frame, point);
+        positions[v] = point.x;
+        positions[v + 1] = point.y;
+        positions[v + 2] = point.z;
+    }
+    attribute.needsUpdate = true;
+}
+
+// A circle per image (larger when more magnified, coloured by parity) and a
+// cross at the unlensed source position
+function updateMarkers(overlay, solverSource, frame) {
+    const { markerLines } = overlay;
+    if (!solverSource) {
+        markerLines.visible = false;
+        return;
+    }
+    const segments = [];
+    const colors = [];
+    const addSegment = (x1, y1, x2, y2, rgb) => {
+        segments.push(x1, y1, x2, y2);
+        colors.push(...rgb, ...rgb);
+    };
+    overlay.images.forEach(image => {
+        const radius = 0.04 * (1 + Math.log10(1 + Math.abs(image.magnification)));
+        const rgb = image.parity > 0 ? PARITY_COLORS.positive : PARITY_COLORS.negative;
+        for (let k = 0; k < MARKER_SEGMENTS; k++) {
+            const a0 = 2 * Math.PI * k / MARKER_SEGMENTS, a1 = 2 * Math.PI * (k + 1) / MARKER_SEGMENTS;
+            addSegment(image.x + radius * Math.cos(a0), image.y + radius * Math.sin(a0),
+                image.x + radius * Math.cos(a1), image.y + radius * Math.sin(a1), rgb);
+        }
+    });
+    const s = 0.05;
+    addSegment(solverSource.x - s, solverSource.y - s, solverSource.x + s, solverSource.y + s, [1, 1, 1]);
+    addSegment(solverSource.x - s, solverSource.y + s, solverSource.x + s, solverSource.y - s, [1, 1, 1]);
+
+    setLineSegments(markerLines, segments, frame, true);
+    let colorAttribute = markerLines.geometry.getAttribute('color');
+    if (!colorAttribute || colorAttribute.count !== colors.length / 3) {
+        colorAttribute = new THREE.BufferAttribute(new Float32Array(colors.length), 3);
+        markerLines.geometry.setAttribute('color', colorAttribute);
+    }
+    colorAttribute.array.set(colors);
+    colorAttribute.needsUpdate = true;
+}
+
+// Unlensed positions of the catalog (and extra) sources in the source plane
+function getSourcePositions(params, camera, time, extraSources, thetaE, center) {
+    const catalog = params.showSourceCatalog ? [...extraSources, ...params.sourceCatalog] : extraSources;
+    const sources = [];
+    const direction = new THREE.Vector3();
+    catalog.forEach(source => {
+        const { lon, lat } = sourcePosition(source, params.animateSources ? time : 0);
+        direction.fromArray(skyDirection(lon, lat)).transformDirection(camera.matrixWorldInverse);
+        if (direction.z >= 0) return; // Behind the camera
+        sources.push({
+            x: (direction.x / -direction.z - center.x) / thetaE,
+            y: (direction.y / -direction.z - center.y) / thetaE,
+            color: source.color,
+            name: source.name,
+        });
+    });
+    return sources;
+}
@@ -0,0 +1,123 @@
+// js/criticalCurves.js
+// Critical curves and caustics of the lens configuration. Lengths are in units
+// of the primary's Einstein radius θ_E on the camera's tangent plane, with the
+// primary at the origin. A configuration is
+//   { profile, model, points: [{ x, y, thetaE }] }
+// where profile/model describe the primary (see lensModels.js, with
+// model.thetaE = 1) and points are the extra point-mass lenses.
+// Critical curves are where the lens mapping β = θ - α(θ) is singular,
+// det(∂β/∂θ) = 0; its eigenvalues are 1 - κ - γ (zero on the tangential curves)
+// and 1 - κ + γ (zero on the radial curves). Caustics are their images in the
+// source plane. Pure math, no THREE or DOM access.
+import { profileDeflection, pointDeflection } from './lensModels.js';
+
+const DERIVATIVE_STEP = 1e-4;
+
+// Total deflection α(θ) at (x, y)
+export function lensDeflection(x, y, config) {
+    const [ax, ay] = profileDeflection(config.profile, x, y, config.model);
+    let dx = ax, dy = ay;
+    for (const lens of config.points) {
+        const [px, py] = pointDeflection(x - lens.x, y - lens.y, lens.thetaE);
+        dx += px;
+        dy += py;
+    }
+    return [dx, dy];
+}
+
+// Source-plane position β = θ - α(θ)
+export function mapToSourcePlane(x, y, config) {
+    const [ax, ay] = lensDeflection(x, y, config);
+    return [x - ax, y - ay];
+}
+
+// Eigenvalues [1 - κ - γ, 1 - κ + γ] of the lens mapping's Jacobian at (x, y),
+// from central differences of the deflection
+export function jacobianEigenvalues(x, y, config, h = DERIVATIVE_STEP) {
+    const [axx, ayx] = lensDeflection(x + h, y, config);
+    const [axx0, ayx0] = lensDeflection(x - h, y, config);
+    const [axy, ayy] = lensDeflection(x, y + h, config);
+    const [axy0, ayy0] = lensDeflection(x, y - h, config);
+    const a11 = (axx - axx0) / (2 * h);
+    const a22 = (ayy - ayy0) / (2 * h);
+    const a12 = 0.5 * ((axy - axy0) + (ayx - ayx0)) / (2 * h); // Symmetric for a lens potential
+    const kappa = 0.5 * (a11 + a22);
+    const gamma = Math.hypot(0.5 * (a11 - a22), a12);
+    return [1 - kappa - gamma, 1 - kappa + gamma];
+}
+
+// Zero contour of a scalar field sampled on a (n + 1)² node grid by marching
+// squares. Returns the segments as a flat array [x1, y1, x2, y2, ...].
+function zeroContour(values, n, origin, step) {
+    const segments = [];
+    const at = (i, j) => values[j * (n + 1) + i];
+    // Point where the field crosses zero between two nodes
+    const crossing = (i0, j0, i1, j1) => {
+        const v0 = at(i0, j0), v1 = at(i1, j1);
+        const t = v0 / (v0 - v1);
+        return [origin + (i0 + t * (i1 - i0)) * step, origin + (j0 + t * (j1 - j0)) * step];
+    };
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const corners = [at(i, j), at(i + 1, j), at(i + 1, j + 1), at(i, j + 1)];
+            if (!corners.every(isFinite)) continue;
+            // Edges in order bottom, right, top, left, each as its two nodes
+            const edges = [[i, j, i + 1, j], [i + 1, j, i + 1, j + 1], [i, j + 1, i + 1, j + 1], [i, j, i, j + 1]];
+            const sign = corners.map(v => v > 0);
+            const cut = [sign[0] !== sign[1], sign[1] !== sign[2], sign[2] !== sign[3], sign[3] !== sign[0]];
+            const points = edges.filter((edge, k) => cut[k]).map(edge => crossing(...edge));
+            if (points.length === 2) {
+                segments.push(...points[0], ...points[1]);
+            } else if (points.length === 4) {
+                // Saddle: pair the crossings by the sign of the cell center
+                const centerPositive = corners.reduce((sum, v) => sum + v, 0) > 0;
+                const [bottom, right, top, left] = points;
+                if (centerPositive === sign[0]) {
+                    segments.push(...bottom, ...right, ...top, ...left);
+                } else {
+                    segments.push(...left, ...bottom, ...right, ...top);
+                }
+            }
+        }
+    }
+    return segments;
+}
+
+/**
+ * Critical curves over the square [-halfSize, halfSize]² sampled on a
+ * resolution² grid: { tangential, radial } as flat segment arrays. Nodes sit at
+ * cell centers so none lands exactly on a lens, where α is singular.
+ */
+export function findCriticalCurves(config, halfSize, resolution = 160) {
+    const step = 2 * halfSize / resolution;
+    const origin = -halfSize + 0.5 * step;
+    const n = resolution - 1;
+    const tangentialValues = new Float64Array((n + 1) * (n + 1));
+    const radialValues = new Float64Array((n + 1) * (n + 1));
+    const h = Math.min(DERIVATIVE_STEP, 0.01 * step);
+    for (let j = 0; j <= n; j++) {
+        for (let i = 0; i <= n; i++) {
+            const [tangential, radial] = jacobianEigenvalues(origin + i * step, origin + j * step, config, h);
+            tangentialValues[j * (n + 1) + i] = tangential;
+            radialValues[j * (n + 1) + i] = radial;
+        }
+    }
+    return {
+        tangential: zeroContour(tangentialValues, n, origin, step),
+        radial: zeroContour(radialValues, n, origin, step),
+    };
+}
+
+// Caustics: the critical curves' segments mapped into the source plane
+export function findCaustics(curves, config) {
+    const mapSegments = (segments) => {
+        const mapped = new Array(segments.length);
+        for (let k = 0; k < segments.length; k += 2) {
+            const [bx, by] = mapToSourcePlane(segments[k], segments[k + 1], config);
+            mapped[k] = bx;
+            mapped[k + 1] = by;
+        }
+        return mapped;
+    };
+    return { tangential: mapSegments(curves.tangential), radial: mapSegments(curves.radial) };
+}
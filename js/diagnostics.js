@@ -0,0 +1,48 @@
+// js/diagnostics.js
+// False-colour diagnostic render modes: instead of the lensed sky, each pixel
+// shows a local property of the lens mapping, from its Jacobian
+// A = ∂β/∂θ = [[1 - κ - γ₁, -γ₂], [-γ₂, 1 - κ + γ₁]]:
+// magnification μ = 1 / det A, convergence κ, shear γ, deflection |α| and
+// parity sign(det A). The colour maps are mirrored by lensing.frag so the
+// legends match. Pure math, no THREE or DOM access.
+
+// Shader-side values of params.renderMode
+export const RENDER_MODES = { sky: 0, magnification: 1, convergence: 2, shear: 3, deflection: 4, parity: 5 };
+
+export const DIAGNOSTIC_LEGENDS = {
+    magnification: { label: 'log₁₀ |μ|' },
+    convergence: { label: 'Convergence κ' },
+    shear: { label: 'Shear γ' },
+    deflection: { label: 'Deflection |α| (deg)' },
+    parity: { label: 'Image parity' },
+};
+
+// Parity colours, scaled in the shader by the magnification's colour bar position
+export const PARITY_COLORS = { positive: [0.23, 0.44, 0.84], negative: [0.88, 0.44, 0.23] };
+
+// Value range spread over the colour bar. Deflections are shown up to three
+// times the primary's Einstein radius (einsteinTangent, see lensSystem.js).
+export function diagnosticRange(mode, einsteinTangent) {
+    switch (mode) {
+        case 'magnification': return [-1, 2];
+        case 'convergence': return [0, 1.5];
+        case 'shear': return [0, 1.5];
+        case 'deflection': return [0, 3 * Math.atan(einsteinTangent) * 180 / Math.PI];
+        default: return [-1, 2]; // Parity is shaded by log₁₀ |μ|
+    }
+}
+
+// Polynomial fit of matplotlib's viridis, t in [0, 1] to [r, g, b]
+export function viridis(t) {
+    const c = [
+        [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+        [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+        [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+        [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+        [6.228269936347081, 14.17993336680509, 56.69055260068105],
+        [4.776384997670288, -13.74514537774601, -65.35303263337234],
+        [-5.435455855934631, 4.645852612178535, 26.3124352495832],
+    ];
+    const x = Math.min(Math.max(t, 0), 1);
+    return [0, 1, 2].map(k => c.reduceRight((sum, coefficients) => sum * x + coefficients[k], 0));
+}
@@ -0,0 +1,71 @@
+// js/diskRelativity.js
+// Relativistic shading of the accretion disk: Doppler beaming from Keplerian
+// orbital motion and gravitational redshift from the emission radius.
+// Geometric units (G = c = 1); pure math, mirrored by lensing.frag. `spin` is
+// χ = a/M (see kerr.js) and the gas is taken to orbit prograde in the
+// equatorial plane; with spin 0 the expressions reduce to Schwarzschild.
+//
+// Both effects are expressed as a frequency ratio g = ν_observed / ν_emitted.
+// Gas brightens by g^beamingExponent (3 for specific intensity, 4 bolometric)
+// and its colour is tinted by g^COLOR_SHIFT_EXPONENTS per RGB channel.
+
+// Keeps γ finite inside r = 3M, where circular orbits would need v ≥ c
+export const MAX_ORBITAL_SPEED = 0.99;
+// Per-channel exponents of the colour tint: g > 1 pushes toward blue, g < 1 toward red
+export const COLOR_SHIFT_EXPONENTS = [-2, 0, 2];
+const MIN_SHIFT = 1e-3;
+
+// Speed of a prograde circular geodesic at radius r measured by the locally
+// non-rotating observer there (Bardeen, Press & Teukolsky 1972):
+// v = (r² - 2a sqrt(Mr) + a²) sqrt(M) / (sqrt(Δ) (r^3/2 + a sqrt(M))), Δ = r² - 2Mr + a².
+// Without spin this is sqrt(M / (r - 2M)); it reaches c at the photon orbit.
+export function orbitalSpeed(mass, radius, spin = 0) {
+    const a = spin * mass;
+    const delta = Math.max(radius * radius - 2 * mass * radius + a * a, 1e-12);
+    const v = (radius * radius - 2 * a * Math.sqrt(mass * radius) + a * a) * Math.sqrt(mass)
+        / (Math.sqrt(delta) * (Math.pow(radius, 1.5) + a * Math.sqrt(mass)));
+    return Math.min(Math.max(v, 0), MAX_ORBITAL_SPEED);
+}
+
+export function lorentzFactor(beta) {
+    return 1 / Math.sqrt(1 - beta * beta);
+}
+
+// Special-relativistic Doppler factor for an emitter moving at speed β, where
+// cosAngle is between its velocity and the direction the photon leaves in:
+// g = 1 / (γ (1 - β cos ψ)). Includes the transverse time dilation.
+export function dopplerFactor(beta, cosAngle) {
+    return 1 / (lorentzFactor(beta) * (1 - beta * cosAngle));
+}
+
+// Redshift climbing out to infinity from the non-rotating observer at r in the
+// equatorial plane (the lapse): g = sqrt(r²Δ / ((r² + a²)² - a²Δ)). Without
+// spin this is sqrt(1 - 2M/r); it vanishes at the outer horizon.
+export function gravitationalRedshiftFactor(mass, radius, spin = 0) {
+    const a = spin * mass;
+    const delta = radius * radius - 2 * mass * radius + a * a;
+    const rho = radius * radius + a * a;
+    return Math.sqrt(Math.max(radius * radius * delta / (rho * rho - a * a * delta), 0));
+}
+
+/**
+ * Combined frequency ratio for disk gas at `radius` whose velocity makes an
+ * angle with cosine `cosAngle` to the outgoing photon. Each effect is raised to
+ * its intensity (0 = off, 1 = physical, > 1 = exaggerated).
+ */
+export function diskShiftFactor(mass, radius, cosAngle, dopplerIntensity, redshiftIntensity, spin = 0) {
+    let g = 1;
+    if (dopplerIntensity > 0) {
+        g *= Math.pow(dopplerFactor(orbitalSpeed(mass, radius, spin), cosAngle), dopplerIntensity);
+    }
+    if (redshiftIntensity > 0) {
+        g *= Math.pow(gravitationalRedshiftFactor(mass, radius, spin), redshiftIntensity);
+    }
+    return Math.max(g, MIN_SHIFT);
+}
+
+// Tints and beams an [r, g, b] colour by the frequency ratio g
+export function shiftColor(rgb, g, beamingExponent) {
+    const beaming = Math.pow(g, beamingExponent);
+    return rgb.map((channel, i) => channel * Math.pow(g, COLOR_SHIFT_EXPONENTS[i]) * beaming);
+}
@@ -0,0 +1,134 @@
+// js/exportFormats.js
+// Byte-level helpers for the frame exporter: PNG text metadata and an
+// uncompressed ZIP archive (PNG data is already deflated, so storing is enough).
+// Pure, no THREE or DOM access.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01: entries carry no real timestamp
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+// CRC-32 (IEEE), as used by both PNG chunks and ZIP entries
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function isPng(bytes) {
+    return PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Returns a copy of the PNG with an uncompressed iTXt chunk (UTF-8 text under
+ * a Latin-1 keyword) inserted before IEND.
+ */
+export function addPngTextChunk(png, keyword, text) {
+    if (!isPng(png)) throw new Error('Not a PNG file');
+    const keywordBytes = textEncoder.encode(keyword);
+    const textBytes = textEncoder.encode(text);
+    // keyword \0, compression flag 0, method 0, empty language tag \0, empty translated keyword \0
+    const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(textBytes, keywordBytes.length + 5);
+
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(textEncoder.encode('iTXt'), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+    const iend = png.length - 12; // IEND is always the last, empty chunk
+    const result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, iend), 0);
+    result.set(chunk, iend);
+    result.set(png.subarray(iend), iend + chunk.length);
+    return result;
+}
+
+// Uncompressed iTXt chunks of a PNG, as { keyword: text }
+export function readPngTextChunks(png) {
+    if (!isPng(png)) throw new Error('Not a PNG file');
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const texts = {};
+    for (let offset = 8; offset + 12 <= png.length;) {
+        const length = view.getUint32(offset);
+        const type = textDecoder.decode(png.subarray(offset + 4, offset + 8));
+        if (type === 'iTXt') {
+            const data = png.subarray(offset + 8, offset + 8 + length);
+            const keywordEnd = data.indexOf(0);
+            const compressed = data[keywordEnd + 1] !== 0;
+            const languageEnd = data.indexOf(0, keywordEnd + 3);
+            const translatedEnd = data.indexOf(0, languageEnd + 1);
+            if (!compressed) {
+                texts[textDecoder.decode(data.subarray(0, keywordEnd))] = textDecoder.decode(data.subarray(translatedEnd + 1));
+            }
+        }
+        offset += 12 + length;
+    }
+    return texts;
+}
+
+/**
+ * ZIP archive (stored, no compression) of files [{ name, data: Uint8Array }].
+ * No ZIP64, so the archive must stay under 4 GB.
+ */
+export function createZip(files) {
+    const entries = files.map(file => ({ ...file, nameBytes: textEncoder.encode(file.name), crc: crc32(file.data) }));
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+    const zip = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(zip.buffer);
+
+    let offset = 0;
+    entries.forEach(e => {
+        e.offset = offset;
+        view.setUint32(offset, 0x04034b50, true); // Local file header
+        view.setUint16(offset + 4, 20, true); // Version needed
+        view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 8, 0, true); // Stored
+        view.setUint16(offset + 12, DOS_DATE, true);
+        view.setUint32(offset + 14, e.crc, true);
+        view.setUint32(offset + 18, e.data.length, true);
+        view.setUint32(offset + 22, e.data.length, true);
+        view.setUint16(offset + 26, e.nameBytes.length, true);
+        zip.set(e.nameBytes, offset + 30);
+        zip.set(e.data, offset + 30 + e.nameBytes.length);
+        offset += 30 + e.nameBytes.length + e.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach(e => {
+        view.setUint32(offset, 0x02014b50, true); // Central directory header
+        view.setUint16(offset + 4, 20, true); // Version made by
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 14, DOS_DATE, true);
+        view.setUint32(offset + 16, e.crc, true);
+        view.setUint32(offset + 20, e.data.length, true);
+        view.setUint32(offset + 24, e.data.length, true);
+        view.setUint16(offset + 28, e.nameBytes.length, true);
+        view.setUint32(offset + 42, e.offset, true);
+        zip.set(e.nameBytes, offset + 46);
+        offset += 46 + e.nameBytes.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true); // End of central directory
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return zip;
+}
@@ -0,0 +1,217 @@
+// js/frameExporter.js
+import { setLensingResolution } from './lensingEffect.js';
+import { addPngTextChunk, createZip } from './exportFormats.js';
+
+// Offline rendering through the same EffectComposer chain as the live view,
+// at params.exportWidth × exportHeight whatever the window size. Frames are
+// rendered params.exportSupersample times larger and scaled down. Sequences
+// run the timeline (params.timelineDuration at timelineFps) from 0 in fixed
+// steps, and are written as a zip of PNGs or recorded to WebM. MediaRecorder
+// timestamps frames by the wall clock, so each WebM frame is held for one
+// frame period; PNG sequences are exact however slowly they render.
+// The live render loop pauses while an export runs (see isExporting).
+
+const METADATA_KEYWORD = 'StellarLens'; // PNG iTXt keyword for the scene state
+const VIDEO_BITRATE = 25e6; // bits/s
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Creates the progress overlay in `container` and returns the exporter for
+ * the other functions here. hooks.updateScene(elapsedTime, deltaTime) advances
+ * the scene like one frame of the live loop, hooks.seek(time) and
+ * hooks.sceneTime() drive the timeline, and hooks.onFinish() restores the
+ * view-sized rendering.
+ */
+export function setupFrameExporter(renderer, composer, camera, controls, lensing, params, container, hooks) {
+    const progressElement = document.createElement('div');
+    progressElement.className = 'export-progress';
+    container.appendChild(progressElement);
+    const exporter = {
+        renderer, composer, camera, controls, lensing, params, hooks,
+        exporting: false,
+        cancelRequested: false,
+        progressElement,
+        progressLabel: document.createElement('div'),
+        progressBar: document.createElement('div'),
+    };
+    const track = document.createElement('div');
+    track.className = 'export-progress-track';
+    exporter.progressBar.className = 'export-progress-bar';
+    track.appendChild(exporter.progressBar);
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => cancelExport(exporter));
+    progressElement.append(exporter.progressLabel, track, cancelButton);
+    return exporter;
+}
+
+export function isExporting(exporter) {
+    return !!exporter && exporter.exporting;
+}
+
+export function cancelExport(exporter) {
+    if (isExporting(exporter)) exporter.cancelRequested = true;
+}
+
+function showProgress({ progressElement, progressLabel, progressBar }, done, total, label) {
+    progressElement.style.display = 'block';
+    progressLabel.textContent = `${label} ${done} / ${total}`;
+    progressBar.style.width = `${100 * done / total}%`;
+}
+
+// Supersampled render size, reduced if it would exceed the GPU's texture limit
+function renderSize({ params, renderer }) {
+    const { exportWidth: width, exportHeight: height } = params;
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.max(1, Math.min(params.exportSupersample, maxSize / width, maxSize / height));
+    if (scale < params.exportSupersample) {
+        console.warn(`Supersampling reduced to ${scale.toFixed(2)}× to fit the ${maxSize}px texture limit.`);
+    }
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Resizes the pipeline for the export; returns the canvas frames are scaled into
+function beginExport(exporter) {
+    const { renderer, composer, camera, params } = exporter;
+    exporter.exporting = true;
+    exporter.cancelRequested = false;
+    const { width, height } = renderSize(exporter);
+    renderer.setPixelRatio(1);
+    composer.setPixelRatio(1);
+    renderer.setSize(width, height, false); // Leave the page layout alone
+    composer.setSize(width, height);
+    camera.aspect = params.exportWidth / params.exportHeight;
+    camera.updateProjectionMatrix();
+    setLensingResolution(exporter.lensing, width, height);
+
+    const output = document.createElement('canvas');
+    output.width = params.exportWidth;
+    output.height = params.exportHeight;
+    return output;
+}
+
+function endExport(exporter) {
+    exporter.exporting = false;
+    exporter.renderer.setPixelRatio(window.devicePixelRatio);
+    exporter.composer.setPixelRatio(window.devicePixelRatio);
+    exporter.hooks.onFinish();
+    exporter.progressElement.style.display = 'none';
+}
+
+// Renders the scene at `time` and scales the result into the output canvas.
+// Reading the WebGL canvas right after rendering, in the same task, works
+// without preserveDrawingBuffer.
+function renderFrame(exporter, output, time, deltaTime) {
+    exporter.hooks.updateScene(time, deltaTime);
+    exporter.composer.render();
+    const context = output.getContext('2d');
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(exporter.renderer.domElement, 0, 0, output.width, output.height);
+}
+
+function canvasToPng(canvas) {
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+        .then(blob => blob.arrayBuffer())
+        .then(buffer => new Uint8Array(buffer));
+}
+
+// Scene state embedded in stills and sequences: every parameter plus the camera
+function sceneMetadata({ camera, controls, params }, time) {
+    return JSON.stringify({
+        time,
+        camera: {
+            position: camera.position.toArray(),
+            target: controls.target.toArray(),
+            fov: camera.fov,
+        },
+        params,
+    });
+}
+
+function download(data, filename, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const nextAnimationFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+const waitUntil = (time) => new Promise(resolve => setTimeout(resolve, Math.max(0, time - performance.now())));
+
+// Saves the current view as a PNG with the scene state in an iTXt chunk
+export async function exportStill(exporter) {
+    if (!exporter || exporter.exporting) return;
+    const output = beginExport(exporter);
+    try {
+        const time = exporter.hooks.sceneTime();
+        renderFrame(exporter, output, time, 0);
+        const png = addPngTextChunk(await canvasToPng(output), METADATA_KEYWORD, sceneMetadata(exporter, time));
+        download(png, `stellarlens-${output.width}x${output.height}.png`, 'image/png');
+    } catch (err) {
+        console.error("Still export failed:", err);
+    } finally {
+        endExport(exporter);
+    }
+}
+
+function startRecorder(canvas, fps) {
+    const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video');
+    const stream = canvas.captureStream(0); // Frames only when requested
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = event => { if (event.data.size > 0) chunks.push(event.data); };
+    const finished = new Promise(resolve => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+    });
+    recorder.start();
+    return { recorder, track: stream.getVideoTracks()[0], finished, frameDuration: 1000 / fps };
+}
+
+// Renders the timeline frame by frame into a PNG zip or a WebM video
+export async function exportSequence(exporter) {
+    if (!exporter || exporter.exporting) return;
+    const { params } = exporter;
+    const fps = params.timelineFps;
+    const frameCount = Math.max(1, Math.round(params.timelineDuration * fps));
+    const output = beginExport(exporter);
+    const frames = [];
+    let video = null;
+    let firstFrameMetadata;
+    try {
+        if (params.exportFormat === 'webm') video = startRecorder(output, fps);
+        const startTime = performance.now();
+        for (let i = 0; i < frameCount && !exporter.cancelRequested; i++) {
+            const time = i / fps;
+            exporter.hooks.seek(time);
+            renderFrame(exporter, output, time, i === 0 ? 0 : 1 / fps);
+            if (i === 0) firstFrameMetadata = sceneMetadata(exporter, time);
+            if (video) {
+                video.track.requestFrame();
+                await waitUntil(startTime + (i + 1) * video.frameDuration);
+            } else {
+                frames.push({ name: `frame_${String(i).padStart(5, '0')}.png`, data: await canvasToPng(output) });
+            }
+            showProgress(exporter, i + 1, frameCount, 'Exporting frame');
+            await nextAnimationFrame(); // Let the progress bar repaint
+        }
+
+        if (video) {
+            video.recorder.stop();
+            const blob = await video.finished;
+            if (!exporter.cancelRequested) download(blob, 'stellarlens.webm', 'video/webm');
+        } else if (!exporter.cancelRequested) {
+            frames.push({ name: 'scene.json', data: new TextEncoder().encode(firstFrameMetadata) });
+            download(createZip(frames), 'stellarlens-frames.zip', 'application/zip');
+        }
+    } catch (err) {
+        if (video && video.recorder.state !== 'inactive') video.recorder.stop();
+        console.error("Sequence export failed:", err);
+    } finally {
+        endExport(exporter);
+    }
+}
@@ -0,0 +1,250 @@
+// js/geodesic.js
+// Schwarzschild null geodesics in geometric units (G = c = 1).
+//
+// With u = 1/r the photon orbit obeys (du/dφ)² + u² = 1/b² + 2Mu³, whose
+// derivative is d²u/dφ² = 3Mu² - u. We integrate the scaled form
+// U = b·u, U'' = 3(M/b)U² - U from U = 0, U' = 1 at φ = 0 (the photon arriving
+// from infinity) with an adaptive Dormand–Prince RK45 scheme. The scaled
+// equation only depends on M/b, so the same code covers every mass.
+//
+// No THREE or DOM access here: everything in this module runs in Node.
+
+const DEFAULT_TOLERANCE = 1e-10;
+const DEFAULT_MAX_PHI = 64 * Math.PI; // Near-critical photons wind many times
+const MAX_STEPS = 100000;
+const ROOT_ITERATIONS = 50;
+
+// Dormand–Prince 5(4) tableau
+const A21 = 1 / 5;
+const A31 = 3 / 40, A32 = 9 / 40;
+const A41 = 44 / 45, A42 = -56 / 15, A43 = 32 / 9;
+const A51 = 19372 / 6561, A52 = -25360 / 2187, A53 = 64448 / 6561, A54 = -212 / 729;
+const A61 = 9017 / 3168, A62 = -355 / 33, A63 = 46732 / 5247, A64 = 49 / 176, A65 = -5103 / 18656;
+const B1 = 35 / 384, B3 = 500 / 1113, B4 = 125 / 192, B5 = -2187 / 6784, B6 = 11 / 84;
+const E1 = 71 / 57600, E3 = -71 / 16695, E4 = 71 / 1920, E5 = -17253 / 339200, E6 = 22 / 525, E7 = -1 / 40;
+
+export function schwarzschildRadius(mass) {
+    return 2 * mass;
+}
+
+export function photonSphereRadius(mass) {
+    return 3 * mass;
+}
+
+// Impact parameter of the unstable circular photon orbit: b_c = 3√3 M.
+// Anything closer falls through the horizon, which sets the shadow size.
+export function criticalImpactParameter(mass) {
+    return 3 * Math.sqrt(3) * mass;
+}
+
+export function isCaptured(mass, impactParameter) {
+    return impactParameter < criticalImpactParameter(mass);
+}
+
+// First-order (Einstein) deflection, 4M/b
+export function weakFieldDeflection(mass, impactParameter) {
+    return impactParameter > 0 ? 4 * mass / impactParameter : Infinity;
+}
+
+// Periapsis of an escaping photon: the largest root of r³ - b²r + 2Mb² = 0.
+// Captured photons never turn around, so the horizon is the closest point.
+export function closestApproach(mass, impactParameter) {
+    if (isCaptured(mass, impactParameter)) return schwarzschildRadius(mass);
+    const b = impactParameter;
+    return (2 * b / Math.sqrt(3)) * Math.cos(Math.acos(-3 * Math.sqrt(3) * mass / b) / 3);
+}
+
+// One Dormand–Prince step of the scaled orbit equation.
+// Returns the 5th order solution and the embedded error estimate.
+function dormandPrinceStep(U, W, h, eps) {
+    const f = (u) => 3 * eps * u * u - u;
+
+    const k1u = W, k1w = f(U);
+    const k2u = W + h * A21 * k1w, k2w = f(U + h * A21 * k1u);
+    const k3u = W + h * (A31 * k1w + A32 * k2w);
+    const k3w = f(U + h * (A31 * k1u + A32 * k2u));
+    const k4u = W + h * (A41 * k1w + A42 * k2w + A43 * k3w);
+    const k4w = f(U + h * (A41 * k1u + A42 * k2u + A43 * k3u));
+    const k5u = W + h * (A51 * k1w + A52 * k2w + A53 * k3w + A54 * k4w);
+    const k5w = f(U + h * (A51 * k1u + A52 * k2u + A53 * k3u + A54 * k4u));
+    const k6u = W + h * (A61 * k1w + A62 * k2w + A63 * k3w + A64 * k4w + A65 * k5w);
+    const k6w = f(U + h * (A61 * k1u + A62 * k2u + A63 * k3u + A64 * k4u + A65 * k5u));
+
+    const nextU = U + h * (B1 * k1u + B3 * k3u + B4 * k4u + B5 * k5u + B6 * k6u);
+    const nextW = W + h * (B1 * k1w + B3 * k3w + B4 * k4w + B5 * k5w + B6 * k6w);
+    const k7u = nextW, k7w = f(nextU);
+
+    const errU = h * (E1 * k1u + E3 * k3u + E4 * k4u + E5 * k5u + E6 * k6u + E7 * k7u);
+    const errW = h * (E1 * k1w + E3 * k3w + E4 * k4w + E5 * k5w + E6 * k6w + E7 * k7w);
+
+    return { U: nextU, W: nextW, error: Math.max(Math.abs(errU), Math.abs(errW)) };
+}
+
+// Finds the step h in (0, hMax] at which component(step) crosses `target`,
+// using bisection safeguarded secant iterations on single RK45 steps.
+function refineCrossing(U, W, hMax, eps, component, target) {
+    let lo = 0, hi = hMax;
+    let gLo = component({ U, W }) - target;
+    let gHi = component(dormandPrinceStep(U, W, hi, eps)) - target;
+    let h = hi;
+    for (let i = 0; i < ROOT_ITERATIONS; i++) {
+        h = (gHi !== gLo) ? hi - gHi * (hi - lo) / (gHi - gLo) : 0.5 * (lo + hi);
+        if (!(h > lo && h < hi)) h = 0.5 * (lo + hi);
+        const g = component(dormandPrinceStep(U, W, h, eps)) - target;
+        if (Math.abs(g) < 1e-14 || hi - lo < 1e-15) break;
+        if ((g < 0) === (gLo < 0)) { lo = h; gLo = g; } else { hi = h; gHi = g; }
+    }
+    return { h, state: dormandPrinceStep(U, W, h, eps) };
+}
+
+/**
+ * Integrates the photon orbit for a black hole of `mass` and the given
+ * impact parameter (same length units for both).
+ *
+ * Options:
+ *   tolerance  - local error tolerance of the RK45 controller
+ *   maxStep    - largest allowed step in φ (radians)
+ *   recordPath - also return the orbit as [{ r, phi }] samples, from
+ *                infinity through periapsis (or capture) back out to infinity
+ *
+ * Returns { impactParameter, captured, deflection, closestApproach,
+ *           totalPhi, path }. `deflection` is the net bending angle
+ * (π less than the swept angle) and is Infinity for captured photons.
+ */
+export function traceGeodesic(mass, impactParameter, options = {}) {
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    const maxStep = options.maxStep ?? (options.recordPath ? 0.02 : 0.5);
+    const maxPhi = options.maxPhi ?? DEFAULT_MAX_PHI;
+    const recordPath = !!options.recordPath;
+    const b = impactParameter;
+
+    const result = {
+        impactParameter: b,
+        captured: isCaptured(mass, b),
+        deflection: Infinity,
+        closestApproach: closestApproach(mass, b),
+        totalPhi: Infinity,
+        path: [],
+    };
+
+    if (!(b > 0)) {
+        // Radial photon: falls straight in (or has no meaningful orbit plane)
+        result.captured = mass > 0;
+        result.totalPhi = 0;
+        return result;
+    }
+
+    const eps = mass / b;
+    // U at the horizon; captured photons stop integrating there
+    const horizonU = eps > 0 ? 1 / (2 * eps) : Infinity;
+    const path = result.path;
+    const pushPoint = (U, phi) => {
+        if (recordPath && U > 0) path.push({ r: b / U, phi });
+    };
+
+    let U = 0, W = 1, phi = 0;
+    let h = Math.min(maxStep, 0.01);
+
+    for (let step = 0; step < MAX_STEPS && phi < maxPhi; step++) {
+        const trial = dormandPrinceStep(U, W, h, eps);
+        const scale = tolerance * (1 + Math.max(Math.abs(U), Math.abs(trial.U)));
+        if (trial.error > scale && h > 1e-12) {
+            h *= Math.max(0.1, 0.9 * Math.pow(scale / trial.error, 0.2));
+            continue;
+        }
+
+        if (trial.U >= horizonU) {
+            // Crossed the horizon during this step
+            const crossing = refineCrossing(U, W, h, eps, s => s.U, horizonU);
+            phi += crossing.h;
+            pushPoint(horizonU, phi);
+            result.totalPhi = phi;
+            result.captured = true;
+            return result;
+        }
+
+        if (trial.W <= 0 && W > 0) {
+            // Passed periapsis: the orbit is symmetric about it
+            const crossing = refineCrossing(U, W, h, eps, s => s.W, 0);
+            const phiPeri = phi + crossing.h;
+            const uPeri = crossing.state.U;
+            pushPoint(uPeri, phiPeri);
+            if (recordPath) {
+                for (let i = path.length - 2; i >= 0; i--) {
+                    path.push({ r: path[i].r, phi: 2 * phiPeri - path[i].phi });
+                }
+            }
+            result.captured = false;
+            result.closestApproach = b / uPeri;
+            result.totalPhi = 2 * phiPeri;
+            result.deflection = 2 * phiPeri - Math.PI;
+            return result;
+        }
+
+        U = trial.U;
+        W = trial.W;
+        phi += h;
+        pushPoint(U, phi);
+
+        const growth = trial.error > 0 ? 0.9 * Math.pow(scale / trial.error, 0.2) : 5;
+        h = Math.min(maxStep, h * Math.min(5, Math.max(0.2, growth)));
+    }
+
+    // Ran out of steps or angle: treat as trapped on the photon sphere
+    result.totalPhi = phi;
+    result.captured = true;
+    return result;
+}
+
+// Net deflection angle in radians (Infinity for captured photons)
+export function deflectionAngle(mass, impactParameter, options) {
+    return traceGeodesic(mass, impactParameter, options).deflection;
+}
+
+// Lookup table of α(b) for M = 1, sampled uniformly in t = 1 - (1 - b_c/b)^(1/3).
+// t = 0 is b = ∞ (no bending) and t = 1 the photon sphere, so samples crowd
+// toward b_c where α(b) diverges logarithmically. Used by the strong-field
+// shader mode; scale b by 1/M before indexing for other masses.
+export function buildDeflectionTable(size) {
+    const table = new Float32Array(size);
+    const criticalB = criticalImpactParameter(1);
+    for (let i = 0; i < size; i++) {
+        const t = i / (size - 1);
+        const x = Math.min(1 - Math.pow(1 - t, 3), 1 - 1e-7); // x = b_c / b
+        table[i] = x > 0 ? deflectionAngle(1, criticalB / x) : 0;
+    }
+    return table;
+}
+
+// Orbit table for M = 1: row j holds M·u(φ) = M/r along the photon orbit with
+// impact parameter b_j = maxImpact·(j / (rows - 1))², column k sits at
+// φ_k = maxPhi·k / (cols - 1). Once the photon has escaped the entry is -1,
+// once it has crossed the horizon it is 1 (anything ≥ 0.5 is inside r_s).
+// The strong-field shader uses it to find where rays cross the accretion disk.
+export function buildOrbitTable(rows, cols, maxImpact, maxPhi) {
+    const table = new Float32Array(rows * cols);
+    for (let j = 0; j < rows; j++) {
+        const s = j / (rows - 1);
+        const b = Math.max(maxImpact * s * s, 1e-3); // b = 0 has no orbit plane
+        const { path, captured, totalPhi } = traceGeodesic(1, b, { recordPath: true, maxStep: maxPhi / cols, maxPhi });
+        let index = 0;
+        for (let k = 0; k < cols; k++) {
+            const phi = maxPhi * k / (cols - 1);
+            let value;
+            if (phi >= totalPhi) {
+                value = captured ? 1 : -1;
+            } else {
+                while (index < path.length - 1 && path[index + 1].phi < phi) index++;
+                const p0 = path[index], p1 = path[Math.min(index + 1, path.length - 1)];
+                if (!p0 || phi < p0.phi) {
+                    value = Math.sin(phi) / b; // Still on the (straight) far incoming leg
+                } else {
+                    const t = p1.phi > p0.phi ? (phi - p0.phi) / (p1.phi - p0.phi) : 0;
+                    value = (1 - t) / p0.r + t / p1.r;
+                }
+            }
+            table[j * cols + k] = value;
+        }
+    }
+    return table;
+}
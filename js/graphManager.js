@@ -1,217 +1,608 @@
 // js/graphManager.js
-import * as THREE from 'three';
-
-let canvas, ctx;
-const PADDING = 25; // Padding around the graph
+import { CURVE_COLORS } from './criticalCurveOverlay.js';
+import { DIAGNOSTIC_LEGENDS, PARITY_COLORS, diagnosticRange, viridis } from './diagnostics.js';
+import { einsteinTangent } from './lensSystem.js';
+import {
+    buildGraphSeries, sampleGraphSeries, autoGraphRange, axisTicks, formatGraphValue, graphSeriesToCSV,
+} from './graphSeries.js';
+import { PARAM_RANGES } from './paramLimits.js';
+
+const PADDING = 25; // Padding around the diagnostic legend
+const PLOT_MARGIN = { left: 42, right: 10, top: 25, bottom: 28 };
 const TICK_LENGTH = 5;
-let graphData = []; // Stores {x_uv: value, y_deflection: value}
+const ZOOM_STEP = 1.2; // Per wheel notch
+const MIN_VIEW_SPAN = 1e-9; // Narrowest zoom, relative to the axis values; well above float resolution
+const AXIS_COLOR = 'rgba(150, 150, 200, 0.8)';
+const TEXT_COLOR = 'rgba(200, 200, 230, 0.9)';
+const FONT = '10px Arial';
+// Params the plotted curves depend on; the camera-lens distances come on top
+const GRAPH_INPUTS = [
+    'graphSeries', 'graphLogX', 'lensingMode', 'lensProfile', 'lensingStrength', 'sieAxisRatio',
+    'siePositionAngle', 'nfwScaleRadius', 'eventHorizonRadius', 'raySourceDistance',
+];
+
+/**
+ * Creates the graph panel in `container` and returns the graph's state for the
+ * other functions here. The panel moves by its title bar and resizes from its
+ * corner; over the plot, the wheel zooms (x only with Shift), dragging pans,
+ * a double click resets the view and hovering reads the curves off exactly.
+ * applyParams(values) sets params the way an edit in the GUI would (see
+ * StellarLens); dragging the source in the source-plane panel goes through it.
+ */
+export function setupGraphCanvas(params, container, applyParams) {
+    const panel = document.createElement('div');
+    panel.className = 'lensing-graph';
+    const header = document.createElement('div');
+    header.className = 'lensing-graph-header';
+    header.textContent = 'Lensing Graph';
+    const canvas = document.createElement('canvas');
+    canvas.className = 'lensing-graph-canvas';
+    panel.append(header, canvas);
+    container.appendChild(panel);
+
+    const graph = {
+        panel,
+        canvas,
+        ctx: canvas.getContext('2d'),
+        series: null, // From buildGraphSeries, rebuilt only when its inputs change
+        sampled: null, // The series sampled over the visible x range
+        dataKey: undefined,
+        view: null, // { x: [min, max], y: [min, max] } once zoomed or panned; null follows the data
+        viewKey: undefined, // Series and axis types the view belongs to
+        plot: null, // Plot area and axis ranges of the last draw
+        hover: null, // Cursor over the plot, CSS pixels
+        readout: null, // { key, x, values } at the cursor
+        panning: null,
+        panelTransform: null, // Source-plane panel placement from the last draw, for dragging the solver's source
+        dragging: false,
+    };
+
+    panel.style.display = params.showLensingGraph ? 'flex' : 'none';
+    panel.classList.toggle('with-source-plane', params.showSourcePlane);
+    setupPanelDragging(graph, header);
+    setupPlotInteraction(graph);
+    setupSourceDragging(graph, params, applyParams);
+    graph.resizeObserver = new ResizeObserver(() => handleGraphResize(graph));
+    graph.resizeObserver.observe(canvas);
+    handleGraphResize(graph);
+    return graph;
+}
 
-export function setupGraphCanvas(params) {
-    canvas = document.getElementById('lensing-graph-canvas');
-    if (!canvas) {
-        console.error("Lensing graph canvas not found!");
-        return null;
-    }
-    ctx = canvas.getContext('2d'); // Get context first
+export function disposeGraph(graph) {
+    if (graph) graph.resizeObserver.disconnect();
+}
 
-    // Set initial visibility state based on params BEFORE reading dimensions
-    if (params.showLensingGraph) {
-        canvas.style.display = 'block';
-    } else {
-        canvas.style.display = 'none';
+export function toggleGraphVisibility(graph, show) {
+    if (graph) {
+        graph.panel.style.display = show ? 'flex' : 'none';
     }
+}
 
-    const dpr = window.devicePixelRatio;
-    const cssWidth = canvas.offsetWidth;
-    const cssHeight = canvas.offsetHeight;
+// Drag the title bar to move the panel, kept inside the viewer
+function setupPanelDragging(graph, header) {
+    const { panel } = graph;
+    let start = null;
+    header.addEventListener('pointerdown', (event) => {
+        start = { x: event.clientX, y: event.clientY, left: panel.offsetLeft, top: panel.offsetTop };
+        header.setPointerCapture(event.pointerId);
+    });
+    header.addEventListener('pointermove', (event) => {
+        if (!start) return;
+        const parent = panel.offsetParent;
+        const maxLeft = parent ? parent.clientWidth - panel.offsetWidth : Infinity;
+        const maxTop = parent ? parent.clientHeight - panel.offsetHeight : Infinity;
+        panel.style.left = `${Math.max(0, Math.min(start.left + event.clientX - start.x, maxLeft))}px`;
+        panel.style.top = `${Math.max(0, Math.min(start.top + event.clientY - start.y, maxTop))}px`;
+        panel.style.bottom = 'auto';
+    });
+    header.addEventListener('pointerup', () => {
+        start = null;
+    });
+}
 
-    // Warn if dimensions are zero when it's supposed to be visible
-    if ((cssWidth === 0 || cssHeight === 0) && params.showLensingGraph) {
-        console.warn("Lensing graph canvas (lensing-graph-canvas) has zero dimensions (offsetWidth/Height) after being set to 'display: block'. Check its CSS properties (width, height, parent dimensions). Graph may not appear correctly until a resize or proper styling.");
-    }
+const axisValue = (value, log) => log ? Math.log10(value) : value;
+const fromAxisValue = (value, log) => log ? Math.pow(10, value) : value;
 
-    canvas.width = cssWidth * dpr;
-    canvas.height = cssHeight * dpr;
-    ctx.scale(dpr, dpr); // Initial scale for HiDPI
+function toPlotX(plot, x) {
+    const [a, b] = plot.x.map(v => axisValue(v, plot.logX));
+    return plot.left + (axisValue(x, plot.logX) - a) / (b - a) * plot.width;
+}
 
-    // Initial visibility is set above, so toggleGraphVisibility call isn't strictly needed here for initial setup
-    // but it's harmless if it just re-applies the same style.
-    // For clarity, the direct style manipulation above is sufficient for initialization.
-    return canvas;
+function toPlotY(plot, y) {
+    const [a, b] = plot.y.map(v => axisValue(v, plot.logY));
+    return plot.top + plot.height - (axisValue(y, plot.logY) - a) / (b - a) * plot.height;
 }
 
-export function toggleGraphVisibility(show) {
-    if (canvas) {
-        canvas.style.display = show ? 'block' : 'none';
-    }
+function fromPlotX(plot, px) {
+    const [a, b] = plot.x.map(v => axisValue(v, plot.logX));
+    return fromAxisValue(a + (px - plot.left) / plot.width * (b - a), plot.logX);
+}
+
+function insidePlot(plot, x, y) {
+    return plot && x >= plot.left && x <= plot.left + plot.width && y >= plot.top && y <= plot.top + plot.height;
+}
+
+// Scales a range about `center` (all in axis values, so log axes zoom evenly);
+// stops zooming in at MIN_VIEW_SPAN
+function zoomRange(range, log, center, factor) {
+    const c = axisValue(center, log);
+    const [a, b] = range.map(v => axisValue(v, log));
+    if (factor < 1 && Math.abs(b - a) * factor <= MIN_VIEW_SPAN * Math.max(Math.abs(a), Math.abs(b))) return range;
+    return [a, b].map(v => fromAxisValue(c + (v - c) * factor, log));
 }
 
-// Calculate data for the graph
-// Plotting Deflection ~ LensingStrength / r_uv vs. r_uv
-function calculateGraphData(params, blackHoleWorldPosition, camera, screenResolution) {
-    graphData = [];
-    if (!canvas || !params.showLensingGraph) return;
-    console.log(`[graphManager] calculateGraphData: lensingStrength = ${params.lensingStrength}, showLensingGraph = ${params.showLensingGraph}`); // Added log
-
-    // We need bhUv (black hole center in UV space [0,1])
-    // This logic is similar to the shader's projection of blackHoleWorldPosition
-    const tempVector = blackHoleWorldPosition.clone();
-    tempVector.project(camera); // To NDC
-    const bhUv = new THREE.Vector2(tempVector.x * 0.5 + 0.5, tempVector.y * 0.5 + 0.5);
-    // Note: shader uses (1.0 - bhUv.y) if origin is bottom-left. Here, let's assume UVs are consistent.
-    // The actual bhUv is not strictly needed if we plot relative to r=0 on the graph's X-axis.
-
-    const numPoints = 100; // Number of points to calculate for the graph
-    const max_r_uv_plot = 0.5; // Max UV distance from center to plot (e.g., edge of screen if BH is centered)
-    const min_r_uv_plot = 0.001; // Min UV distance to avoid singularity
-
-    for (let i = 0; i <= numPoints; i++) {
-        const r_uv = min_r_uv_plot + (i / numPoints) * (max_r_uv_plot - min_r_uv_plot);
-        let deflection_metric = 0;
-        if (r_uv > 0) { // Avoid division by zero
-            deflection_metric = params.lensingStrength / r_uv;
+function shiftRange(range, log, offset) {
+    return range.map(v => fromAxisValue(axisValue(v, log) + offset, log));
+}
+
+function setupPlotInteraction(graph) {
+    const { canvas } = graph;
+    const cursor = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+    const currentView = () => ({ x: [...graph.plot.x], y: [...graph.plot.y] });
+
+    canvas.addEventListener('wheel', (event) => {
+        const { x, y } = cursor(event);
+        if (!insidePlot(graph.plot, x, y)) return;
+        event.preventDefault();
+        const { plot } = graph;
+        const factor = event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+        const view = currentView();
+        view.x = zoomRange(view.x, plot.logX, fromPlotX(plot, x), factor);
+        if (!event.shiftKey) {
+            const [a, b] = plot.y.map(v => axisValue(v, plot.logY));
+            const center = fromAxisValue(a + (plot.top + plot.height - y) / plot.height * (b - a), plot.logY);
+            view.y = zoomRange(view.y, plot.logY, center, factor);
         }
-        graphData.push({ x_uv: r_uv, y_deflection: deflection_metric });
-    }
-    if (graphData.length > 0) { // Added conditional log
-        console.log(`[graphManager] calculateGraphData: ${graphData.length} points generated. First: ${JSON.stringify(graphData[0])}, Last: ${JSON.stringify(graphData[graphData.length-1])}`);
-    } else if (params.showLensingGraph) {
-        console.warn(`[graphManager] calculateGraphData: No points generated despite showLensingGraph being true.`);
-    }
+        graph.view = view;
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (event) => {
+        const { x, y } = cursor(event);
+        if (!insidePlot(graph.plot, x, y)) return;
+        graph.panning = { x, y, view: currentView(), plot: graph.plot };
+        canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        const { x, y } = cursor(event);
+        graph.hover = insidePlot(graph.plot, x, y) && !graph.dragging ? { x, y } : null;
+        const { panning } = graph;
+        if (!panning) return;
+        const { plot, view } = panning;
+        const span = (range, log) => axisValue(range[1], log) - axisValue(range[0], log);
+        graph.view = {
+            x: shiftRange(view.x, plot.logX, -(x - panning.x) / plot.width * span(view.x, plot.logX)),
+            y: shiftRange(view.y, plot.logY, (y - panning.y) / plot.height * span(view.y, plot.logY)),
+        };
+    });
+    canvas.addEventListener('pointerup', () => {
+        graph.panning = null;
+    });
+    canvas.addEventListener('pointerleave', () => {
+        graph.hover = null;
+    });
+    canvas.addEventListener('dblclick', (event) => {
+        const { x, y } = cursor(event);
+        if (insidePlot(graph.plot, x, y)) resetGraphView(graph);
+    });
 }
 
+// Back to the automatic ranges
+export function resetGraphView(graph) {
+    if (graph) graph.view = null;
+}
 
-// Draw the calculated graph data
-export function drawLensingGraph(params, blackHoleWorldPosition, camera, screenResolution) {
-    if (!canvas || !ctx || !params.showLensingGraph) return;
+// Dragging in the source-plane panel moves the image finder's source, within
+// its sliders' range
+function setupSourceDragging(graph, params, applyParams) {
+    const { canvas } = graph;
+    const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+    const moveSource = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const { cx, cy, scale } = graph.panelTransform;
+        applyParams({
+            solverSourceX: clamp((event.clientX - rect.left - cx) / scale, PARAM_RANGES.solverSourceX),
+            solverSourceY: clamp(-(event.clientY - rect.top - cy) / scale, PARAM_RANGES.solverSourceY),
+        });
+    };
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!graph.panelTransform || !params.showImageSolver) return;
+        const rect = canvas.getBoundingClientRect();
+        if (event.clientX - rect.left < graph.panelTransform.x0) return; // On the graph, not the panel
+        graph.dragging = true;
+        canvas.setPointerCapture(event.pointerId);
+        moveSource(event);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (graph.dragging) moveSource(event);
+    });
+    canvas.addEventListener('pointerup', () => {
+        graph.dragging = false;
+    });
+}
 
-    calculateGraphData(params, blackHoleWorldPosition, camera, screenResolution);
+// Widens the panel for the source-plane panel next to the graph
+export function toggleSourcePlanePanel(graph, show) {
+    if (graph) {
+        graph.panel.classList.toggle('with-source-plane', show);
+        graph.panel.style.width = ''; // Back to the stylesheet's width for the new layout
+        handleGraphResize(graph);
+    }
+}
 
-    console.log(`[graphManager] drawLensingGraph: graphData has ${graphData.length} points after calculation.`); // Added log
-    if (graphData.length === 0 && params.showLensingGraph) { // Added log
-        console.warn("[graphManager] drawLensingGraph: graphData is empty but showLensingGraph is true. No data to plot.");
+// Rebuilds and resamples the series when anything it depends on changed:
+// its params, the lenses' masses and distances, or the visible x range.
+// lenses are from updateLensSystem, primary first.
+function updateGraphData(graph, params, lenses, camera) {
+    const viewKey = JSON.stringify([params.graphSeries, params.lensingMode, params.lensProfile, params.graphLogX, params.graphLogY]);
+    if (viewKey !== graph.viewKey) {
+        graph.viewKey = viewKey;
+        graph.view = null; // Different axes; the old zoom means nothing there
     }
+    const lensInfo = lenses.map(lens => ({
+        mass: lens.mass,
+        massRatio: lens.massRatio,
+        distance: Number(camera.position.distanceTo(lens.position).toPrecision(3)), // Small camera moves don't count
+    }));
+    const key = JSON.stringify([GRAPH_INPUTS.map(name => params[name]), lensInfo, graph.view && graph.view.x]);
+    if (key === graph.dataKey) return;
+    graph.dataKey = key;
+    graph.series = buildGraphSeries(params, lensInfo);
+    graph.sampled = sampleGraphSeries(graph.series, graph.view ? graph.view.x : graph.series.xRange, params.graphLogX);
+}
+
+// Whether the pointer is on the plot or dragging in it, so redraws should not wait
+export function isGraphInteracting(graph) {
+    return !!graph && (!!graph.hover || !!graph.panning || graph.dragging);
+}
+
+// Draws the graph, plus the source-plane panel when sourcePlane (from
+// updateCriticalCurveOverlay) is given. Cheap unless the curves' inputs changed.
+export function drawLensingGraph(graph, params, lenses, camera, sourcePlane = null) {
+    if (!graph || !params.showLensingGraph) return;
+    updateGraphData(graph, params, lenses, camera);
+    const { canvas, ctx } = graph;
 
     // Effective drawing dimensions (CSS dimensions)
-    const canvasCssWidth = canvas.offsetWidth;
     const canvasCssHeight = canvas.offsetHeight;
+    const panelSize = params.showSourcePlane && sourcePlane ? canvasCssHeight : 0; // Square panel on the right
+    const canvasCssWidth = canvas.offsetWidth - panelSize;
+
+    ctx.clearRect(0, 0, canvasCssWidth + panelSize, canvasCssHeight); // Use CSS dimensions for clearing
+    if (panelSize > 0) {
+        drawSourcePlanePanel(graph, sourcePlane, canvasCssWidth, panelSize);
+    } else {
+        graph.panelTransform = null;
+    }
+    if (params.renderMode !== 'sky') {
+        drawDiagnosticLegend(ctx, params.renderMode, diagnosticRange(params.renderMode, einsteinTangent(params, lenses[0], camera)), canvasCssWidth);
+    }
+
+    graph.plot = plotLayout(graph, params, canvasCssWidth, canvasCssHeight);
+    if (graph.plot.width <= 0 || graph.plot.height <= 0) return;
+    drawPlot(canvasPainter(ctx), graph.plot, graph.series, graph.sampled, hoverReadout(graph));
+}
 
-    ctx.clearRect(0, 0, canvasCssWidth, canvasCssHeight); // Use CSS dimensions for clearing
+// Plot area and axis ranges for a width × height drawing
+function plotLayout(graph, params, width, height) {
+    return {
+        left: PLOT_MARGIN.left,
+        top: PLOT_MARGIN.top,
+        width: width - PLOT_MARGIN.left - PLOT_MARGIN.right,
+        height: height - PLOT_MARGIN.top - PLOT_MARGIN.bottom,
+        x: graph.view ? graph.view.x : graph.series.xRange,
+        y: graph.view ? graph.view.y : autoGraphRange(graph.sampled, params.graphLogY),
+        logX: params.graphLogX,
+        logY: params.graphLogY,
+    };
+}
 
-    // Graph drawing area
-    const graphWidth = canvasCssWidth - 2 * PADDING;
-    const graphHeight = canvasCssHeight - 2 * PADDING;
+// Exact curve values at the cursor's x, kept until the cursor or the data moves
+function hoverReadout(graph) {
+    const { hover, plot, series } = graph;
+    if (!hover || !insidePlot(plot, hover.x, hover.y)) return null;
+    const x = fromPlotX(plot, hover.x);
+    const key = `${graph.dataKey}:${x}`;
+    if (!graph.readout || graph.readout.key !== key) {
+        graph.readout = { key, x, y: hover.y, values: series.curves.map(curve => curve.valueAt(x)) };
+    }
+    graph.readout.y = hover.y;
+    return graph.readout;
+}
 
-    if (graphData.length === 0) return;
+// Drawing back ends with the same calls: the canvas, and SVG for export
+function canvasPainter(ctx) {
+    return {
+        line(points, color, width = 1, dash = null) {
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.setLineDash(dash || []);
+            points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        },
+        dot(x, y, radius, color) {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fill();
+        },
+        text(text, x, y, color, align = 'left', vertical = false) {
+            ctx.save();
+            ctx.fillStyle = color;
+            ctx.font = FONT;
+            ctx.textAlign = align;
+            ctx.translate(x, y);
+            if (vertical) ctx.rotate(-Math.PI / 2);
+            ctx.fillText(text, 0, 0);
+            ctx.restore();
+        },
+    };
+}
+
+const escapeXml = text => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+
+function svgPainter(elements) {
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+    return {
+        line(points, color, width = 1, dash = null) {
+            const coordinates = points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(' ');
+            elements.push(`<polyline points="${coordinates}" fill="none" stroke="${color}" stroke-width="${width}"${dash ? ` stroke-dasharray="${dash.join(' ')}"` : ''}/>`);
+        },
+        dot(x, y, radius, color) {
+            elements.push(`<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${radius}" fill="${color}"/>`);
+        },
+        text(text, x, y, color, align = 'left', vertical = false) {
+            const rotate = vertical ? ` transform="rotate(-90 ${x.toFixed(2)} ${y.toFixed(2)})"` : '';
+            elements.push(`<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" fill="${color}" text-anchor="${anchors[align]}"${rotate}>${escapeXml(text)}</text>`);
+        },
+    };
+}
 
-    // Find data ranges
-    const maxXuv = Math.max(...graphData.map(p => p.x_uv));
-    let maxYdefl = Math.max(...graphData.map(p => p.y_deflection));
-    if (!isFinite(maxYdefl) || maxYdefl === 0) maxYdefl = 0.1; // Default if no data or flat line
-    const minYdefl = 0; // Deflection is positive
+// Axes, ticks, marker lines, the curves, their legend and the hover readout
+function drawPlot(painter, plot, series, sampled, readout) {
+    const { left, top, width, height } = plot;
+    const bottom = top + height, right = left + width;
+    const clampY = y => Math.min(Math.max(y, top - 1), bottom + 1); // Divergences run off the top
+
+    painter.line([[left, top], [left, bottom], [right, bottom]], AXIS_COLOR);
+    axisTicks(plot.x[0], plot.x[1], plot.logX).forEach(value => {
+        const x = toPlotX(plot, value);
+        if (x < left - 0.5 || x > right + 0.5) return;
+        painter.line([[x, bottom], [x, bottom + TICK_LENGTH]], AXIS_COLOR);
+        painter.text(formatGraphValue(value), x, bottom + TICK_LENGTH + 9, TEXT_COLOR, 'center');
+    });
+    axisTicks(plot.y[0], plot.y[1], plot.logY).forEach(value => {
+        const y = toPlotY(plot, value);
+        if (y < top - 0.5 || y > bottom + 0.5) return;
+        painter.line([[left, y], [left - TICK_LENGTH, y]], AXIS_COLOR);
+        painter.text(formatGraphValue(value), left - TICK_LENGTH - 2, y + 3, TEXT_COLOR, 'right');
+    });
+    painter.text(series.xLabel, left + width / 2, bottom + TICK_LENGTH + 20, TEXT_COLOR, 'center');
+    painter.text(series.yLabel, 9, top + height / 2, TEXT_COLOR, 'center', true);
+
+    // --- Critical impact parameter (shadow edge) and Einstein radius lines ---
+    series.markers.forEach(marker => {
+        if (!(marker.value > 0)) return;
+        const x = toPlotX(plot, marker.value);
+        if (x < left || x > right) return;
+        painter.line([[x, top], [x, bottom]], marker.color, 1, [2, 2]);
+        painter.text(marker.label, x + 2, top + 10, marker.color);
+    });
 
-    // Clip Y to make graph readable if deflection is too high near center
-    const Y_CLIP_MAX_FACTOR = 1.5; // Clip Y values to 1.5x the 95th percentile for example
-    const sortedY = [...graphData.map(p => p.y_deflection)].sort((a,b) => a-b);
-    const practicalMaxY = sortedY[Math.floor(sortedY.length * 0.98)] * Y_CLIP_MAX_FACTOR || maxYdefl;
-    console.log(`[graphManager] drawLensingGraph: maxXuv=${isFinite(maxXuv) ? maxXuv.toFixed(3) : maxXuv}, maxYdefl=${isFinite(maxYdefl) ? maxYdefl.toFixed(3) : maxYdefl}, practicalMaxY=${isFinite(practicalMaxY) ? practicalMaxY.toFixed(3) : practicalMaxY}`); // Added log
+    // --- Curves, the first (primary) on top; gaps and log-invalid values break them ---
+    [...sampled.curves].reverse().forEach(curve => {
+        let run = [];
+        const flush = () => {
+            if (run.length > 1) painter.line(run, curve.color, 1.5);
+            run = [];
+        };
+        sampled.xs.forEach((x, i) => {
+            const value = curve.values[i];
+            if (Number.isNaN(value) || (plot.logY && value <= 0)) {
+                flush();
+                return;
+            }
+            run.push([toPlotX(plot, x), clampY(toPlotY(plot, value))]);
+        });
+        flush();
+    });
 
+    // --- Legend, with the values under the cursor ---
+    const showLegend = sampled.curves.length > 1 || readout;
+    sampled.curves.forEach((curve, i) => {
+        if (!showLegend) return;
+        const value = readout ? readout.values[i] : null;
+        const text = readout ? `${curve.label} = ${Number.isFinite(value) ? formatGraphValue(value) : 'captured'}` : curve.label;
+        painter.text(text, right, top + 10 + 12 * i, curve.color, 'right');
+    });
 
-    // --- Draw Axes ---
+    if (readout) {
+        const x = toPlotX(plot, readout.x);
+        painter.line([[x, top], [x, bottom]], 'rgba(255, 255, 255, 0.5)');
+        painter.line([[left, readout.y], [right, readout.y]], 'rgba(255, 255, 255, 0.25)');
+        readout.values.forEach((value, i) => {
+            if (!Number.isFinite(value) || (plot.logY && value <= 0)) return;
+            const y = toPlotY(plot, value);
+            if (y >= top && y <= bottom) painter.dot(x, y, 2.5, sampled.curves[i].color);
+        });
+        painter.text(formatGraphValue(readout.x), x, bottom - 3, 'rgba(255, 255, 255, 0.9)', x > left + width / 2 ? 'right' : 'left');
+    }
+}
+
+function download(data, filename, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function hasGraph(graph) {
+    if (graph && graph.sampled) return true;
+    console.warn("Nothing to export; show the lensing graph first.");
+    return false;
+}
+
+// Downloads the visible curves, as sampled for the current view
+export function exportGraphCSV(graph) {
+    if (hasGraph(graph)) download(graphSeriesToCSV(graph.sampled, graph.series.xLabel), 'lensing-graph.csv', 'text/csv');
+}
+
+// Downloads the panel as drawn, source-plane panel included
+export function exportGraphPNG(graph) {
+    if (hasGraph(graph)) graph.canvas.toBlob(blob => download(blob, 'lensing-graph.png'), 'image/png');
+}
+
+// Downloads the plot (without the source-plane panel) as vector graphics
+export function exportGraphSVG(graph) {
+    if (!hasGraph(graph) || !graph.plot) return;
+    const { plot } = graph;
+    const width = plot.left + plot.width + PLOT_MARGIN.right;
+    const height = plot.top + plot.height + PLOT_MARGIN.bottom;
+    const elements = [];
+    drawPlot(svgPainter(elements), plot, graph.series, graph.sampled, null);
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial" font-size="10">`,
+        `<rect width="100%" height="100%" fill="rgb(20, 20, 40)"/>`,
+        ...elements,
+        '</svg>',
+    ].join('\n');
+    download(svg + '\n', 'lensing-graph.svg', 'image/svg+xml');
+}
+
+// Caustics, the Einstein ring and the unlensed source positions in the source
+// plane, in units of the primary's Einstein radius, in a size × size square at x0
+function drawSourcePlanePanel(graph, sourcePlane, x0, size) {
+    const { ctx } = graph;
+    const { caustics, sources } = sourcePlane;
+    const inner = size - 2 * TICK_LENGTH;
+    // Frame the caustics, but never zoom in past the Einstein ring
+    let extent = 1.2;
+    [...caustics.tangential, ...caustics.radial].forEach(v => { extent = Math.max(extent, 1.1 * Math.abs(v)); });
+    extent = Math.min(extent, sourcePlane.halfSize);
+    const scale = inner / (2 * extent);
+    const cx = x0 + size / 2, cy = size / 2;
+    const toX = (x) => cx + x * scale;
+    const toY = (y) => cy - y * scale;
+    graph.panelTransform = { x0, cx, cy, scale };
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x0 + TICK_LENGTH, TICK_LENGTH, inner, inner);
     ctx.strokeStyle = 'rgba(150, 150, 200, 0.8)';
     ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.clip();
+
+    // Einstein ring, the same marker as Rᴇ on the graph
     ctx.beginPath();
-    ctx.moveTo(PADDING, PADDING); // Top-left of graph area
-    ctx.lineTo(PADDING, canvasCssHeight - PADDING); // Y-axis
-    ctx.lineTo(canvasCssWidth - PADDING, canvasCssHeight - PADDING); // X-axis
+    ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)';
+    ctx.setLineDash([2, 2]);
+    ctx.arc(cx, cy, scale, 0, 2 * Math.PI);
     ctx.stroke();
+    ctx.setLineDash([]);
 
-    // --- Draw Labels and Ticks ---
-    ctx.fillStyle = 'rgba(200, 200, 230, 0.9)';
-    ctx.font = '10px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('Angular Separation r (UV units)', PADDING + graphWidth / 2, canvasCssHeight - PADDING / 2.5);
-    ctx.textAlign = 'left';
-    ctx.save();
-    ctx.translate(PADDING / 2.5, PADDING + graphHeight / 2);
-    ctx.rotate(-Math.PI / 2);
-    ctx.textAlign = 'center';
-    ctx.fillText('Rel. Deflection', 0, 0);
-    ctx.restore();
+    [[caustics.tangential, CURVE_COLORS.tangentialCaustic], [caustics.radial, CURVE_COLORS.radialCaustic]].forEach(([segments, color]) => {
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        for (let k = 0; k < segments.length; k += 4) {
+            ctx.moveTo(toX(segments[k]), toY(segments[k + 1]));
+            ctx.lineTo(toX(segments[k + 2]), toY(segments[k + 3]));
+        }
+        ctx.stroke();
+    });
 
-    // X-axis ticks
-    const numXTicks = 5;
-    for (let i = 0; i <= numXTicks; i++) {
-        const val = (i / numXTicks) * maxXuv;
-        const x = PADDING + (val / maxXuv) * graphWidth;
-        ctx.moveTo(x, canvasCssHeight - PADDING);
-        ctx.lineTo(x, canvasCssHeight - PADDING + TICK_LENGTH);
-        ctx.fillText(val.toFixed(2), x - 10, canvasCssHeight - PADDING + TICK_LENGTH + 10);
-    }
-    // Y-axis ticks
-    const numYTicks = 4;
-    for (let i = 0; i <= numYTicks; i++) {
-        const val = (i / numYTicks) * practicalMaxY;
-        const y = canvasCssHeight - PADDING - (val / practicalMaxY) * graphHeight;
-        ctx.moveTo(PADDING, y);
-        ctx.lineTo(PADDING - TICK_LENGTH, y);
-        ctx.fillText(val.toFixed(3), PADDING - TICK_LENGTH - 20, y + 3);
-    }
-    ctx.stroke(); // Draw ticks
+    // Lens center
+    ctx.strokeStyle = 'rgba(200, 200, 200, 0.7)';
+    ctx.beginPath();
+    ctx.moveTo(cx - 3, cy);
+    ctx.lineTo(cx + 3, cy);
+    ctx.moveTo(cx, cy - 3);
+    ctx.lineTo(cx, cy + 3);
+    ctx.stroke();
 
-    // --- Draw Einstein Radius Line ---
-    const einsteinRadiusUv = Math.sqrt(params.lensingStrength);
-    if (einsteinRadiusUv <= maxXuv) {
-        const x_er = PADDING + (einsteinRadiusUv / maxXuv) * graphWidth;
+    sources.forEach(source => {
+        ctx.fillStyle = source.color;
         ctx.beginPath();
-        ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)'; // Reddish line
-        ctx.setLineDash([2, 2]);
-        ctx.moveTo(x_er, PADDING);
-        ctx.lineTo(x_er, canvasCssHeight - PADDING);
+        ctx.arc(toX(source.x), toY(source.y), 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+
+    // Image finder's source: drag it around the panel
+    const { solverSource, images } = sourcePlane;
+    if (solverSource) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(toX(solverSource.x), toY(solverSource.y), 4, 0, 2 * Math.PI);
         ctx.stroke();
-        ctx.setLineDash([]);
-        ctx.fillStyle = 'rgba(255, 100, 100, 0.9)';
-        ctx.fillText('Rᴇ', x_er + 2, PADDING + 10);
+    }
+    ctx.restore();
+    if (solverSource) {
+        ctx.fillStyle = 'rgba(200, 200, 230, 0.9)';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${images.length} image${images.length === 1 ? '' : 's'}`, x0 + TICK_LENGTH + 3, size - TICK_LENGTH - 4);
     }
 
+    ctx.fillStyle = 'rgba(200, 200, 230, 0.9)';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText('Source plane (θᴇ)', x0 + TICK_LENGTH + 3, TICK_LENGTH + 11);
+}
 
-    // --- Plot Data ---
-    ctx.beginPath();
-    ctx.strokeStyle = 'rgba(100, 255, 100, 0.9)'; // Green line for data
-    ctx.lineWidth = 1.5;
-
-    graphData.forEach((point, index) => {
-        const x = PADDING + (point.x_uv / maxXuv) * graphWidth;
-        let y_val = point.y_deflection;
-        // Clip y_val if it's excessively large to keep graph readable
-        y_val = Math.min(y_val, practicalMaxY);
-        const y = canvasCssHeight - PADDING - (y_val / practicalMaxY) * graphHeight;
-
-        if (index === 0 && graphData.length > 0) { // Added conditional log
-            console.log(`[graphManager] drawLensingGraph Plotting first point: uv_x=${point.x_uv.toFixed(3)}, defl_y=${point.y_deflection.toFixed(3)} -> screen x=${x.toFixed(1)}, y_val_clipped=${isFinite(y_val) ? y_val.toFixed(3) : y_val}, screen y=${isFinite(y) ? y.toFixed(1) : y}`);
-        }
-
-        if (index === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
-    });
-    ctx.stroke();
+// Colour bar of the diagnostic render mode, in the graph's top margin
+function drawDiagnosticLegend(ctx, mode, [min, max], width) {
+    const x0 = PADDING, barWidth = width - 2 * PADDING;
+    const y0 = 3, barHeight = 7;
+    ctx.font = '10px Arial';
+    if (mode === 'parity') {
+        const toCss = (rgb) => `rgb(${rgb.map(c => Math.round(c * 255)).join(',')})`;
+        ctx.fillStyle = toCss(PARITY_COLORS.positive);
+        ctx.fillRect(x0, y0, barWidth / 2, barHeight);
+        ctx.fillStyle = toCss(PARITY_COLORS.negative);
+        ctx.fillRect(x0 + barWidth / 2, y0, barWidth / 2, barHeight);
+        ctx.fillStyle = 'rgba(200, 200, 230, 0.9)';
+        ctx.textAlign = 'left';
+        ctx.fillText('+ (direct)', x0, y0 + barHeight + 10);
+        ctx.textAlign = 'right';
+        ctx.fillText('− (mirrored)', x0 + barWidth, y0 + barHeight + 10);
+        ctx.textAlign = 'center';
+        ctx.fillText(DIAGNOSTIC_LEGENDS.parity.label, x0 + barWidth / 2, y0 + barHeight + 10);
+        return;
+    }
+    const gradient = ctx.createLinearGradient(x0, 0, x0 + barWidth, 0);
+    for (let i = 0; i <= 8; i++) {
+        const rgb = viridis(i / 8).map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255));
+        gradient.addColorStop(i / 8, `rgb(${rgb.join(',')})`);
+    }
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x0, y0, barWidth, barHeight);
+    ctx.fillStyle = 'rgba(200, 200, 230, 0.9)';
+    ctx.textAlign = 'left';
+    ctx.fillText(min.toFixed(1), x0, y0 + barHeight + 10);
+    ctx.textAlign = 'right';
+    ctx.fillText(max.toFixed(1), x0 + barWidth, y0 + barHeight + 10);
+    ctx.textAlign = 'center';
+    ctx.fillText(DIAGNOSTIC_LEGENDS[mode].label, x0 + barWidth / 2, y0 + barHeight + 10);
 }
 
-export function handleGraphResize() {
-    if (canvas && ctx) {
+export function handleGraphResize(graph) {
+    if (graph) {
+        const { canvas, ctx } = graph;
         const dpr = window.devicePixelRatio;
-        const cssWidth = canvas.offsetWidth;
-        const cssHeight = canvas.offsetHeight;
-
-        canvas.width = cssWidth * dpr;
-        canvas.height = cssHeight * dpr;
-
+        canvas.width = canvas.offsetWidth * dpr;
+        canvas.height = canvas.offsetHeight * dpr;
         // Reset transform to identity and then apply the new scale
         // This prevents cumulative scaling if resize happens multiple times
         ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     }
     // No need to redraw immediately, will be handled by animation loop
-}
\ No newline at end of file
+}
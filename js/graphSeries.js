@@ -0,0 +1,189 @@
+// js/graphSeries.js
+// What the lensing graph (graphManager.js) plots. Each series is a set of
+// curves that can be evaluated exactly at any x, so the graph can resample
+// them for any zoom and read values off under the cursor, plus marker lines,
+// axis labels and a default x range. Also the axis ticks and CSV output.
+// Pure math, no THREE or DOM access.
+import { criticalImpactParameter, deflectionAngle, weakFieldDeflection } from './geodesic.js';
+import { getLensModel, radialDeflection, einsteinRadius as profileEinsteinRadius } from './lensModels.js';
+
+// Values of params.graphSeries, see buildGraphSeries
+export const GRAPH_SERIES = ['deflection', 'magnification', 'sourceMapping', 'weakVsStrong'];
+export const LENS_COLORS = ['rgba(100, 255, 100, 0.9)', 'rgba(100, 200, 255, 0.9)', 'rgba(255, 200, 80, 0.9)', 'rgba(230, 120, 255, 0.9)'];
+const CRITICAL_COLOR = 'rgba(200, 200, 200, 0.7)';
+const EINSTEIN_COLOR = 'rgba(255, 100, 100, 0.7)';
+const SAMPLES = 200;
+
+// Einstein radius in the lens plane for the ray visualizer's geometry:
+// R_E = sqrt(4M · D_L · D_LS / D_S), with D_L the camera-lens distance and
+// D_LS the ray source distance.
+function worldEinsteinRadius(mass, distance, params) {
+    const dLS = params.raySourceDistance;
+    return Math.sqrt(4 * mass * distance * dLS / (distance + dLS));
+}
+
+// Exact Schwarzschild α(b) from the geodesic integrator vs. impact parameter b
+// (world units, M = eventHorizonRadius / 2), one curve per lens
+function worldDeflectionSeries(params, lenses) {
+    const mass = params.eventHorizonRadius / 2;
+    const criticalB = criticalImpactParameter(mass);
+    const einsteinRadius = worldEinsteinRadius(mass, lenses[0].distance, params);
+    const maxB = Math.max(4 * criticalB, 1.5 * einsteinRadius);
+    const curves = lenses.map((lens, i) => ({
+        label: lenses.length === 1 ? 'α(b)' : i === 0 ? 'Lens 1' : `Lens ${i + 1} (${lens.massRatio.toFixed(2)} M₁)`,
+        color: LENS_COLORS[i % LENS_COLORS.length],
+        // α depends only on b/M: reuse the primary's mass at b / massRatio
+        valueAt: b => deflectionAngle(mass, b / lens.massRatio),
+    }));
+    const markers = [
+        { value: criticalB, label: 'b꜀', color: CRITICAL_COLOR },
+        { value: einsteinRadius, label: 'Rᴇ', color: EINSTEIN_COLOR },
+        ...lenses.slice(1).map((lens, i) => ({
+            value: worldEinsteinRadius(lens.mass, lens.distance, params), label: 'Rᴇ', color: LENS_COLORS[(i + 1) % LENS_COLORS.length],
+        })),
+    ];
+    return {
+        curves, markers, xRange: [maxB / 100, maxB],
+        xLabel: 'Impact Parameter b (world units)', yLabel: 'Deflection α (rad)',
+    };
+}
+
+// Exact α(b) against the first-order 4M/b for the primary
+function weakVsStrongSeries(params, lenses) {
+    const mass = params.eventHorizonRadius / 2;
+    const series = worldDeflectionSeries(params, lenses.slice(0, 1));
+    series.curves = [
+        { label: 'Exact α(b)', color: LENS_COLORS[0], valueAt: b => deflectionAngle(mass, b) },
+        { label: 'Weak field 4M/b', color: LENS_COLORS[1], valueAt: b => weakFieldDeflection(mass, b) },
+    ];
+    return series;
+}
+
+// Thin-lens curves of the primary's profile along its principal axes (both
+// for the SIE), in the shader's screen units (height = 1). quantity(α, dα/dθ, θ)
+// gives the plotted value. In strong-field mode the primary is a point mass.
+function thinLensSeries(params, label, yLabel, quantity) {
+    const profile = params.lensingMode === 'weak' ? params.lensProfile : 'point';
+    const model = getLensModel(params);
+    const majorAxis = profile === 'sie' ? model.positionAngle : 0;
+    const axes = profile === 'sie' ? [[`${label}, major axis`, majorAxis], [`${label}, minor axis`, majorAxis + Math.PI / 2]] : [[label, majorAxis]];
+    const curves = axes.map(([curveLabel, angle], i) => ({
+        label: curveLabel,
+        color: LENS_COLORS[i],
+        valueAt: theta => {
+            const alpha = radialDeflection(profile, theta, angle, model);
+            const h = 1e-4 * theta;
+            const slope = (radialDeflection(profile, theta + h, angle, model) - radialDeflection(profile, theta - h, angle, model)) / (2 * h);
+            return quantity(alpha, slope, theta);
+        },
+    }));
+    const markers = axes.map(([, angle], i) => ({
+        value: profileEinsteinRadius(profile, model, angle), label: 'Rᴇ', color: i === 0 ? EINSTEIN_COLOR : LENS_COLORS[i],
+    }));
+    return { curves, markers, xRange: [model.thetaE / 100, 3 * model.thetaE], xLabel: 'Radius θ (screen units)', yLabel };
+}
+
+/**
+ * Builds params.graphSeries for the current scene: 'deflection' (α(b), or the
+ * weak-field profile's α(θ)), 'magnification' (|μ| of an image at θ),
+ * 'sourceMapping' (β = θ - α(θ)) or 'weakVsStrong'. lenses are
+ * { mass, massRatio, distance } (world units, distance from the camera),
+ * primary first. Returns { curves: [{ label, color, valueAt(x) }], markers:
+ * [{ value, label, color }], xRange: [min, max], xLabel, yLabel }.
+ */
+export function buildGraphSeries(params, lenses) {
+    const series = buildSeries(params, lenses);
+    // Every series is radial; there is nothing left of the axis
+    series.curves.forEach(curve => {
+        const valueAt = curve.valueAt;
+        curve.valueAt = x => x > 0 ? valueAt(x) : NaN;
+    });
+    return series;
+}
+
+function buildSeries(params, lenses) {
+    switch (params.graphSeries) {
+        case 'magnification':
+            return thinLensSeries(params, '|μ(θ)|', 'Magnification |μ|', (alpha, slope, theta) => Math.abs(1 / ((1 - alpha / theta) * (1 - slope))));
+        case 'sourceMapping':
+            return thinLensSeries(params, 'β(θ)', 'Source Position β (screen units)', (alpha, slope, theta) => theta - alpha);
+        case 'weakVsStrong':
+            return weakVsStrongSeries(params, lenses);
+        default:
+            if (params.lensingMode === 'weak' && params.lensProfile !== 'point') {
+                return thinLensSeries(params, 'α(θ)', 'Deflection α (screen units)', alpha => alpha);
+            }
+            return worldDeflectionSeries(params, lenses);
+    }
+}
+
+// Evenly spaced x values over [min, max] (in log x when log), with every
+// curve's values there; NaN marks a gap (e.g. a captured ray)
+export function sampleGraphSeries(series, [min, max], log, samples = SAMPLES) {
+    const xs = [];
+    for (let i = 0; i < samples; i++) {
+        const t = i / (samples - 1);
+        xs.push(log ? min * Math.pow(max / min, t) : min + t * (max - min));
+    }
+    return {
+        xs,
+        curves: series.curves.map(curve => ({
+            ...curve,
+            values: xs.map(x => {
+                const value = curve.valueAt(x);
+                return Number.isFinite(value) ? value : NaN;
+            }),
+        })),
+    };
+}
+
+// y range that shows the sampled curves without letting a divergence (at the
+// shadow edge or a critical curve) flatten everything else
+export function autoGraphRange(sampled, log) {
+    const values = sampled.curves.flatMap(curve => curve.values)
+        .filter(v => Number.isFinite(v) && (!log || v > 0))
+        .sort((a, b) => a - b);
+    if (values.length === 0) return log ? [0.01, 1] : [0, 1];
+    const low = values[Math.floor(values.length * 0.02)];
+    const high = values[Math.floor(values.length * 0.98)];
+    if (log) {
+        const min = Math.max(low / 1.5, values[0]);
+        const max = Math.min(high * 1.5, values[values.length - 1]);
+        return max > min * 1.001 ? [min, max] : [min / 2, max * 2];
+    }
+    const min = Math.min(0, Math.max(low * 1.5, values[0]));
+    const max = Math.max(Math.min(high * 1.5, values[values.length - 1]), min + 1e-6);
+    return [min, max];
+}
+
+// Tick values for an axis: 1, 2 or 5 × 10ⁿ steps, or the decades on a log
+// axis spanning at least two of them. An empty or inverted range gets [min].
+export function axisTicks(min, max, log) {
+    if (log) {
+        const ticks = [];
+        for (let e = Math.ceil(Math.log10(min)); e <= Math.floor(Math.log10(max)); e++) ticks.push(Math.pow(10, e));
+        if (ticks.length >= 2) return ticks;
+    }
+    const rough = (max - min) / 4;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    if (!(step > 0 && Number.isFinite(step))) return [min];
+    const ticks = [];
+    for (let i = Math.ceil(min / step - 1e-9); i * step <= max + step * 1e-9; i++) ticks.push(i * step);
+    return ticks;
+}
+
+export function formatGraphValue(value) {
+    if (value === 0) return '0';
+    const magnitude = Math.abs(value);
+    return magnitude >= 1e4 || magnitude < 1e-3 ? value.toExponential(2) : String(Number(value.toPrecision(3)));
+}
+
+// Sampled series as CSV, one column per curve; gaps are left empty
+export function graphSeriesToCSV(sampled, xLabel) {
+    const quote = text => `"${text.replace(/"/g, '""')}"`;
+    const header = [xLabel, ...sampled.curves.map(curve => curve.label)].map(quote).join(',');
+    const rows = sampled.xs.map((x, i) =>
+        [x, ...sampled.curves.map(curve => curve.values[i])].map(v => Number.isNaN(v) ? '' : v.toPrecision(8)).join(','));
+    return [header, ...rows].join('\n') + '\n';
+}
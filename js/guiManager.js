@@ -2,19 +2,176 @@
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 import { updateBlackHoleMeshAppearance } from './sceneSetup.js';
 import { updateRayMaterial } from './rayVisualizer.js';
+import { clearPinnedRays, toggleRayPickerVisibility } from './rayPicker.js';
+import {
+    toggleSourcePlanePanel, toggleGraphVisibility, resetGraphView, exportGraphCSV, exportGraphPNG, exportGraphSVG,
+} from './graphManager.js';
+import { MAX_LENSES, createCompanionLens } from './lensSystem.js';
+import { toggleLightCurveVisibility, exportLightCurveCSV } from './lightCurveManager.js';
+import { restartObserver } from './observerCamera.js';
+import {
+    toggleTimelineVisibility, addTimelineKeyframe, deleteTimelineKeyframe, clearTimeline,
+    toggleTimelinePlayback, saveTimeline, loadTimeline,
+} from './timelineManager.js';
+import { exportStill, exportSequence, cancelExport } from './frameExporter.js';
+import { copySceneLink, saveSceneFile, loadSceneFile } from './sceneShare.js';
+import { PARAM_RANGES } from './paramLimits.js';
 
-export function setupGUI(params, blackHoleMeshRef) {
-    const gui = new GUI({ container: document.getElementById('gui-container') });
+/**
+ * Builds the control panel in viewer.container. viewer holds the subsystem
+ * states the controls act on ({ blackHoleMesh, rays, picker, graph,
+ * lightCurve, observer, player, exporter, sharing }) and
+ * onParamsChanged(changes), called with { name: value } after an edit.
+ * Returns { gui, rebuildLensFolders }; call the latter after params.lenses
+ * was replaced.
+ */
+export function setupGUI(params, viewer) {
+    const guiContainer = document.createElement('div');
+    guiContainer.className = 'gui-container';
+    viewer.container.appendChild(guiContainer);
+    const gui = new GUI({ container: guiContainer });
+    const blackHoleMeshRef = viewer.blackHoleMesh;
+
+    // Whole-scene state: every parameter plus the camera (see sceneShare.js)
+    const sceneFolder = gui.addFolder('Scene');
+    sceneFolder.add({ copyLink: () => copySceneLink(viewer.sharing) }, 'copyLink').name('Copy Share Link');
+    sceneFolder.add({ save: () => saveSceneFile(viewer.sharing) }, 'save').name('Save Scene JSON');
+    sceneFolder.add({ load: () => loadSceneFile(viewer.sharing) }, 'load').name('Load Scene JSON');
 
     const lensingFolder = gui.addFolder('Lensing Parameters');
-    lensingFolder.add(params, 'lensingStrength', 0.00001, 0.1, 0.00001).name('Lensing Strength (R<sub>E</sub><sup>2</sup>)');
-    lensingFolder.add(params, 'eventHorizonRadius', 0.01, 5.0, 0.01).name('BH Radius (World)')
+    lensingFolder.add(params, 'lensingMode', { 'Weak Field (Thin Lens)': 'weak', 'Strong Field (Geodesic)': 'strong' }).name('Lensing Mode');
+    lensingFolder.add(params, 'renderMode', {
+        'Lensed Sky': 'sky', 'Magnification |μ|': 'magnification', 'Convergence κ': 'convergence',
+        'Shear γ': 'shear', 'Deflection |α|': 'deflection', 'Image Parity': 'parity',
+    }).name('Render Mode');
+    const strengthController = lensingFolder.add(params, 'lensingStrength', ...PARAM_RANGES.lensingStrength).name('Lensing Strength (R<sub>E</sub><sup>2</sup>)').listen();
+    const horizonController = lensingFolder.add(params, 'eventHorizonRadius', ...PARAM_RANGES.eventHorizonRadius).name('BH Radius (World)').listen()
         .onChange(() => updateBlackHoleMeshAppearance(blackHoleMeshRef, params));
-    lensingFolder.add(params, 'blackHoleZ', -200, -1, 0.1).name('BH Z Position')
+    lensingFolder.add(params, 'lensProfile', { 'Point Mass': 'point', 'Singular Isothermal Sphere': 'sis', 'Singular Isothermal Ellipsoid': 'sie', 'NFW Halo': 'nfw' }).name('Lens Profile (Weak)');
+    lensingFolder.add(params, 'sieAxisRatio', ...PARAM_RANGES.sieAxisRatio).name('SIE Axis Ratio q');
+    lensingFolder.add(params, 'siePositionAngle', ...PARAM_RANGES.siePositionAngle).name('SIE Position Angle (deg)');
+    lensingFolder.add(params, 'nfwScaleRadius', ...PARAM_RANGES.nfwScaleRadius).name('NFW Scale Radius (θ<sub>E</sub>)');
+    lensingFolder.add(params, 'blackHoleZ', ...PARAM_RANGES.blackHoleZ).name('BH Z Position')
         .onChange(val => {
             if(blackHoleMeshRef) blackHoleMeshRef.position.z = val;
         });
 
+    // Physical parameter set: mass and distances drive the two sliders above
+    const physicalFolder = gui.addFolder('Physical Units');
+    const setPhysicalMode = (enabled) => {
+        strengthController.disable(enabled);
+        horizonController.disable(enabled);
+    };
+    physicalFolder.add(params, 'usePhysicalUnits').name('Use Physical Parameters').onChange(setPhysicalMode);
+    physicalFolder.add(params, 'blackHoleMassSolar', ...PARAM_RANGES.blackHoleMassSolar).name('BH Mass (M<sub>☉</sub>)');
+    physicalFolder.add(params, 'physicalLensDistanceKm', ...PARAM_RANGES.physicalLensDistanceKm).name('Observer–Lens Dist. (km)');
+    physicalFolder.add(params, 'physicalLensSourceDistanceKm', ...PARAM_RANGES.physicalLensSourceDistanceKm).name('Lens–Source Dist. (km)');
+    // Cosmological distances replace the two km distances above
+    physicalFolder.add(params, 'useCosmology').name('Distances from Redshift');
+    physicalFolder.add(params, 'lensRedshift', ...PARAM_RANGES.lensRedshift).name('Lens Redshift z<sub>L</sub>').listen()
+        .onChange(val => { if (params.sourceRedshift <= val) params.sourceRedshift = val + 0.01; });
+    physicalFolder.add(params, 'sourceRedshift', ...PARAM_RANGES.sourceRedshift).name('Source Redshift z<sub>S</sub>').listen()
+        .onChange(val => { if (params.lensRedshift >= val) params.lensRedshift = val - 0.01; });
+    physicalFolder.add(params, 'hubbleConstant', ...PARAM_RANGES.hubbleConstant).name('H<sub>0</sub> (km/s/Mpc)');
+    physicalFolder.add(params, 'omegaMatter', ...PARAM_RANGES.omegaMatter).name('Ω<sub>m</sub>');
+    physicalFolder.add(params, 'omegaLambda', ...PARAM_RANGES.omegaLambda).name('Ω<sub>Λ</sub>');
+    setPhysicalMode(params.usePhysicalUnits);
+
+    // Extra point-mass lenses, one subfolder each (the primary is lens 1)
+    const lensesFolder = gui.addFolder('Lenses');
+    const lensFolders = [];
+    const rebuildLensFolders = () => {
+        lensFolders.splice(0).forEach(folder => folder.destroy());
+        params.lenses.forEach((lens, i) => {
+            const folder = lensesFolder.addFolder(`Lens ${i + 2}`);
+            folder.add(lens, 'massRatio', 0.01, 10.0, 0.01).name('Mass (× primary)');
+            folder.add(lens, 'offsetX', -30, 30, 0.1).name('Offset X').listen();
+            folder.add(lens, 'offsetY', -30, 30, 0.1).name('Offset Y').listen();
+            folder.add(lens, 'offsetZ', -30, 30, 0.1).name('Offset Z').listen();
+            lensFolders.push(folder);
+        });
+    };
+    const lensActions = {
+        addLens() {
+            if (params.lenses.length >= MAX_LENSES - 1) return;
+            params.lenses.push(createCompanionLens(params.lenses.length));
+            rebuildLensFolders();
+        },
+        removeLens() {
+            params.lenses.pop();
+            rebuildLensFolders();
+        },
+    };
+    lensesFolder.add(lensActions, 'addLens').name('Add Lens');
+    lensesFolder.add(lensActions, 'removeLens').name('Remove Lens');
+    rebuildLensFolders();
+
+    // Spin only changes the strong-field image (and the ISCO, for the disk)
+    const kerrFolder = gui.addFolder('Black Hole Spin (Kerr)');
+    kerrFolder.add(params, 'blackHoleSpin', ...PARAM_RANGES.blackHoleSpin).name('Spin χ = a/M');
+    kerrFolder.add(params, 'spinAxisTilt', ...PARAM_RANGES.spinAxisTilt).name('Spin Axis Tilt (deg)');
+    kerrFolder.add(params, 'spinAxisAzimuth', ...PARAM_RANGES.spinAxisAzimuth).name('Spin Axis Azimuth (deg)');
+
+    // Camera as an observer near the primary (strong-field mode shows it best)
+    const observerFolder = gui.addFolder('Observer');
+    observerFolder.add(params, 'observerMode', {
+        'Distant (Orbit Controls)': 'distant', 'Static at r': 'static',
+        'Circular Orbit': 'orbiting', 'Radial Free Fall': 'falling',
+    }).name('Camera Mode');
+    observerFolder.add(params, 'observerRadius', ...PARAM_RANGES.observerRadius).name('Radius r (M)');
+    observerFolder.add(params, 'observerTimeScale', ...PARAM_RANGES.observerTimeScale).name('Proper Time (M/s)');
+    observerFolder.add(params, 'observerSkyShift').name('Doppler/Gravitational Shift');
+    observerFolder.add({ restart: () => restartObserver(viewer.observer) }, 'restart').name('Restart Clock / Fall');
+
+    const criticalFolder = gui.addFolder('Critical Curves & Caustics');
+    criticalFolder.add(params, 'showCriticalCurves').name('Critical Curves');
+    criticalFolder.add(params, 'showCaustics').name('Caustics');
+    criticalFolder.add(params, 'showSourcePlane').name('Source Plane Panel').onChange(show => toggleSourcePlanePanel(viewer.graph, show));
+    criticalFolder.add(params, 'splitView').name('Split View (Image | Source)');
+    criticalFolder.add(params, 'showImageSolver').name('Image Finder');
+    criticalFolder.add(params, 'solverSourceX', ...PARAM_RANGES.solverSourceX).name('Source β<sub>x</sub> (θ<sub>E</sub>)').listen();
+    criticalFolder.add(params, 'solverSourceY', ...PARAM_RANGES.solverSourceY).name('Source β<sub>y</sub> (θ<sub>E</sub>)').listen();
+    criticalFolder.add(params, 'animateTimeDelays').name('Variable Source (Delays)');
+
+    const diskFolder = gui.addFolder('Accretion Disk');
+    diskFolder.add(params, 'showAccretionDisk').name('Show Accretion Disk');
+    const innerRadiusController = diskFolder.add(params, 'diskInnerRadius', ...PARAM_RANGES.diskInnerRadius).name('Inner Radius (r<sub>s</sub>)').listen();
+    diskFolder.add(params, 'diskInnerAtIsco').name('Inner Edge at ISCO')
+        .onChange(enabled => innerRadiusController.disable(enabled));
+    innerRadiusController.disable(params.diskInnerAtIsco);
+    diskFolder.add(params, 'diskOuterRadius', ...PARAM_RANGES.diskOuterRadius).name('Outer Radius (r<sub>s</sub>)');
+    diskFolder.addColor(params, 'diskColorInner').name('Inner Color');
+    diskFolder.addColor(params, 'diskColorOuter').name('Outer Color');
+    diskFolder.add(params, 'diskNoiseScale', ...PARAM_RANGES.diskNoiseScale).name('Noise Scale');
+    diskFolder.add(params, 'diskTilt', ...PARAM_RANGES.diskTilt).name('Tilt (deg)');
+    diskFolder.add(params, 'diskOpacity', ...PARAM_RANGES.diskOpacity).name('Opacity');
+    diskFolder.add(params, 'diskAnimationSpeed', ...PARAM_RANGES.diskAnimationSpeed).name('Swirl Speed');
+    diskFolder.add(params, 'showDiskMesh').name('Show Unlensed Mesh');
+    diskFolder.add(params, 'dopplerBeaming').name('Doppler Beaming');
+    diskFolder.add(params, 'dopplerIntensity', ...PARAM_RANGES.dopplerIntensity).name('Doppler Intensity');
+    diskFolder.add(params, 'beamingExponent', ...PARAM_RANGES.beamingExponent).name('Beaming Exponent');
+    diskFolder.add(params, 'gravitationalRedshift').name('Gravitational Redshift');
+    diskFolder.add(params, 'redshiftIntensity', ...PARAM_RANGES.redshiftIntensity).name('Redshift Intensity');
+
+    const skyFolder = gui.addFolder('Sky & Sources');
+    skyFolder.add(params, 'skyProjection', { 'Equirectangular': 'equirect', 'Cubemap': 'cubemap', 'Screen (Legacy)': 'screen' }).name('Sky Projection');
+    skyFolder.add(params, 'backgroundBrightness', ...PARAM_RANGES.backgroundBrightness).name('Sky Brightness');
+    skyFolder.add(params, 'showSourceCatalog').name('Show Source Catalog');
+    skyFolder.add(params, 'sourceBrightness', ...PARAM_RANGES.sourceBrightness).name('Source Brightness');
+    skyFolder.add(params, 'starAngularSize', ...PARAM_RANGES.starAngularSize).name('Star PSF σ (deg)');
+    skyFolder.add(params, 'animateSources').name('Proper Motion');
+
+    const microlensingFolder = gui.addFolder('Microlensing');
+    microlensingFolder.add(params, 'showMicrolensing').name('Show Light Curve').onChange(show => toggleLightCurveVisibility(viewer.lightCurve, show));
+    microlensingFolder.add(params, 'microlensingU0', ...PARAM_RANGES.microlensingU0).name('Impact Parameter u₀');
+    microlensingFolder.add(params, 'microlensingTE', ...PARAM_RANGES.microlensingTE).name('Einstein Time tE (d)');
+    microlensingFolder.add(params, 'microlensingT0', ...PARAM_RANGES.microlensingT0).name('Peak Time t₀ (d)');
+    microlensingFolder.add(params, 'microlensingAngle', ...PARAM_RANGES.microlensingAngle).name('Track Angle (deg)');
+    microlensingFolder.add(params, 'microlensingWindow', ...PARAM_RANGES.microlensingWindow).name('Window (± tE)');
+    microlensingFolder.add(params, 'microlensingDaysPerSecond', ...PARAM_RANGES.microlensingDaysPerSecond).name('Days per Second');
+    microlensingFolder.add(params, 'microlensingSourceRadius', ...PARAM_RANGES.microlensingSourceRadius).name('Source Radius (θ<sub>E</sub>)');
+    microlensingFolder.add({ exportCSV: () => exportLightCurveCSV(viewer.lightCurve) }, 'exportCSV').name('Export CSV');
+
     const appearanceFolder = gui.addFolder('Appearance');
     appearanceFolder.add(params, 'showBlackHoleMesh').name('Show BH 3D Mesh')
         .onChange(() => updateBlackHoleMeshAppearance(blackHoleMeshRef, params));
@@ -24,31 +181,91 @@ export function setupGUI(params, blackHoleMeshRef) {
 
     const animFolder = gui.addFolder('Animations');
     animFolder.add(params, 'animateBlackHole').name('Animate Black Hole');
-    animFolder.add(params, 'bhAnimationSpeed', 0.01, 1.0, 0.01).name('BH Anim Speed');
-    animFolder.add(params, 'bhAnimationRadius', 0.1, 10.0, 0.1).name('BH Anim Radius');
+    animFolder.add(params, 'bhAnimationPreset', { 'Wobble': 'wobble', 'Binary Orbit (needs a 2nd lens)': 'binaryOrbit' }).name('Animation Preset');
+    animFolder.add(params, 'binarySeparation', ...PARAM_RANGES.binarySeparation).name('Binary Semi-Major Axis');
+    animFolder.add(params, 'binaryEccentricity', ...PARAM_RANGES.binaryEccentricity).name('Binary Eccentricity');
+    animFolder.add(params, 'binaryInclination', ...PARAM_RANGES.binaryInclination).name('Binary Inclination (deg)');
+    animFolder.add(params, 'binaryTimeScale', ...PARAM_RANGES.binaryTimeScale).name('Binary Time Scale');
+    animFolder.add(params, 'bhAnimationSpeed', ...PARAM_RANGES.bhAnimationSpeed).name('BH Anim Speed');
+    animFolder.add(params, 'bhAnimationRadius', ...PARAM_RANGES.bhAnimationRadius).name('BH Anim Radius');
     animFolder.add(params, 'animateBackground').name('Animate Background');
     // --- REMOVE STAR ANIMATION GUI ---
     // animFolder.add(params, 'animateStarField').name('Animate Star Field');
     // animFolder.add(params, 'starAnimationSpeed', 0.001, 0.1, 0.001).name('Star Anim Speed');
     // --- END REMOVE STAR ANIMATION GUI ---
 
+    // Keyframes capture the camera, the black hole and every scalar parameter
+    const timelineFolder = gui.addFolder('Timeline');
+    timelineFolder.add(params, 'showTimeline').name('Show Scrubber').onChange(show => toggleTimelineVisibility(viewer.player, show));
+    timelineFolder.add({ add: () => addTimelineKeyframe(viewer.player) }, 'add').name('Add Keyframe');
+    timelineFolder.add({ remove: () => deleteTimelineKeyframe(viewer.player) }, 'remove').name('Delete Keyframe');
+    timelineFolder.add({ play: () => toggleTimelinePlayback(viewer.player) }, 'play').name('Play / Pause');
+    timelineFolder.add(params, 'timelineEasing', {
+        'Linear': 'linear', 'Ease In': 'easeIn', 'Ease Out': 'easeOut', 'Ease In-Out': 'easeInOut', 'Step': 'step',
+    }).name('Easing (New Keys)');
+    timelineFolder.add(params, 'timelineDuration', ...PARAM_RANGES.timelineDuration).name('Duration (s)');
+    timelineFolder.add(params, 'timelineFps', { '24': 24, '25': 25, '30': 30, '60': 60 }).name('Frame Rate');
+    timelineFolder.add(params, 'timelineLoop').name('Loop');
+    timelineFolder.add({ save: () => saveTimeline(viewer.player) }, 'save').name('Save JSON');
+    timelineFolder.add({ load: () => loadTimeline(viewer.player) }, 'load').name('Load JSON');
+    timelineFolder.add({ clear: () => clearTimeline(viewer.player) }, 'clear').name('Clear Keyframes');
+
+    const exportFolder = gui.addFolder('Export');
+    exportFolder.add(params, 'exportWidth', ...PARAM_RANGES.exportWidth).name('Width (px)');
+    exportFolder.add(params, 'exportHeight', ...PARAM_RANGES.exportHeight).name('Height (px)');
+    exportFolder.add(params, 'exportSupersample', ...PARAM_RANGES.exportSupersample).name('Supersampling');
+    exportFolder.add(params, 'exportFormat', { 'PNG Sequence (zip)': 'png', 'WebM Video': 'webm' }).name('Sequence Format');
+    exportFolder.add({ still: () => exportStill(viewer.exporter) }, 'still').name('Save Still (PNG)');
+    exportFolder.add({ sequence: () => exportSequence(viewer.exporter) }, 'sequence').name('Export Timeline Sequence');
+    exportFolder.add({ cancel: () => cancelExport(viewer.exporter) }, 'cancel').name('Cancel Export');
+
     const rayFolder = gui.addFolder('Ray Visualization');
     rayFolder.add(params, 'showRays').name('Show Rays');
-    rayFolder.add(params, 'numVisualizedRays', 1, MAX_RAYS, 1).name('Number of Rays');
-    rayFolder.add(params, 'rayOriginRadiusFactor', 0.5, 5.0, 0.1).name('Ray Origin Radius Factor');
-    rayFolder.add(params, 'raySourceDistance', 10, 500, 1).name('Ray Source Distance');
-    rayFolder.addColor(params, 'rayColor').name('Ray Color').onChange(() => updateRayMaterial(params));
-    rayFolder.add(params, 'rayOpacity', 0.05, 1.0, 0.01).name('Ray Opacity').onChange(() => updateRayMaterial(params));
+    rayFolder.add(params, 'numVisualizedRays', ...PARAM_RANGES.numVisualizedRays).name('Number of Rays');
+    rayFolder.add(params, 'rayOriginRadiusFactor', ...PARAM_RANGES.rayOriginRadiusFactor).name('Ray Origin Radius Factor');
+    rayFolder.add(params, 'raySourceDistance', ...PARAM_RANGES.raySourceDistance).name('Ray Source Distance');
+    rayFolder.addColor(params, 'rayColor').name('Ray Color').onChange(() => updateRayMaterial(viewer.rays, params));
+    rayFolder.add(params, 'rayOpacity', ...PARAM_RANGES.rayOpacity).name('Ray Opacity').onChange(() => updateRayMaterial(viewer.rays, params));
+    rayFolder.add(params, 'enableRayPicking').name('Click to Trace').onChange(show => toggleRayPickerVisibility(viewer.picker, show));
+    rayFolder.add({ clear: () => clearPinnedRays(viewer.picker) }, 'clear').name('Clear Pinned Rays');
 
     const postProcessingFolder = gui.addFolder('Post-Processing (Bloom)');
-    postProcessingFolder.add(params, 'bloomStrength', 0.0, 3.0).name('Strength');
-    postProcessingFolder.add(params, 'bloomRadius', 0.0, 2.0).name('Radius');
-    postProcessingFolder.add(params, 'bloomThreshold', 0.0, 1.0).name('Threshold');
+    postProcessingFolder.add(params, 'bloomStrength', ...PARAM_RANGES.bloomStrength).name('Strength');
+    postProcessingFolder.add(params, 'bloomRadius', ...PARAM_RANGES.bloomRadius).name('Radius');
+    postProcessingFolder.add(params, 'bloomThreshold', ...PARAM_RANGES.bloomThreshold).name('Threshold');
+
+    const performanceFolder = gui.addFolder('Performance');
+    performanceFolder.add(params, 'adaptiveQuality').name('Adaptive Quality');
+    performanceFolder.add(params, 'targetFps', ...PARAM_RANGES.targetFps).name('Target FPS');
 
     const infoPanelFolder = gui.addFolder('Info Panel');
     infoPanelFolder.add(params, 'showInfoPanel').name('Show Info Panel');
 
-    return gui;
-}
+    const graphFolder = gui.addFolder('Lensing Graph');
+    graphFolder.add(params, 'showLensingGraph').name('Show Lensing Graph').onChange((value) => {
+        toggleGraphVisibility(viewer.graph, value);
+    });
+    graphFolder.add(params, 'graphSeries', {
+        'Deflection α': 'deflection',
+        'Magnification |μ|': 'magnification',
+        'Source Mapping β(θ)': 'sourceMapping',
+        'Weak vs Strong Field': 'weakVsStrong',
+    }).name('Series');
+    graphFolder.add(params, 'graphLogX').name('Log X Axis');
+    graphFolder.add(params, 'graphLogY').name('Log Y Axis');
+    graphFolder.add({ reset: () => resetGraphView(viewer.graph) }, 'reset').name('Reset Zoom');
+    graphFolder.add({ exportCSV: () => exportGraphCSV(viewer.graph) }, 'exportCSV').name('Export CSV');
+    graphFolder.add({ exportPNG: () => exportGraphPNG(viewer.graph) }, 'exportPNG').name('Export PNG');
+    graphFolder.add({ exportSVG: () => exportGraphSVG(viewer.graph) }, 'exportSVG').name('Export SVG');
 
-const MAX_RAYS = 50;
\ No newline at end of file
+    // Edits of params and of the extra lenses (including adding or removing one)
+    gui.onChange(({ object, property, value }) => {
+        if (object === params) {
+            viewer.onParamsChanged({ [property]: value });
+        } else if (object === lensActions || params.lenses.includes(object)) {
+            viewer.onParamsChanged({ lenses: params.lenses });
+        }
+    });
+
+    return { gui, rebuildLensFolders };
+}
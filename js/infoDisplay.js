@@ -1,38 +1,50 @@
-export function setupInfoDisplay() {
-  const infoPanel = document.getElementById('info-panel');
-  if (!infoPanel) {
-      console.error("Info panel element not found!");
-      return null;
-  }
+import { horizonRadius, photonOrbitRadius, iscoRadius } from './kerr.js';
+import { formatDelay } from './timeDelayLabels.js';
+import { sceneScale, SOLAR_MASS } from './physicalUnits.js';
+import { MPC } from './cosmology.js';
+import { visualizedRayCount } from './qualityGovernor.js';
+
+export function setupInfoDisplay(container) {
+  const infoPanel = document.createElement('div');
+  infoPanel.className = 'info-panel';
+  container.appendChild(infoPanel);
   return infoPanel;
 }
 
-export function updateInfoPanel(infoPanel, params, blackHoleWorldPosition, cameraPosition, fps) {
+// quality is the governor's level (see qualityGovernor.js)
+export function updateInfoPanel(infoPanel, params, blackHoleWorldPosition, cameraPosition, fps, physical, lenses = [], images = [], quality = null) {
+  const gravitationalRadius = physical.schwarzschildRadius / 2; // GM/c²
+  const spin = params.blackHoleSpin;
+
   if (!infoPanel || !params.showInfoPanel) {
       if(infoPanel) infoPanel.style.display = 'none';
       return;
   }
   infoPanel.style.display = 'block';
 
-  // Estimate Einstein Radius in world units (approximate)
-  // lensingStrength (shader) = R_E_screen^2
-  // R_E_screen (pixels) = sqrt(lensingStrength) * (typically screen height / 2 or width / 2 depending on how R_E_sq was normalized)
-  // For simplicity, let's say lensingStrength is roughly (R_E_angle)^2 if R_E_angle is small.
-  // alpha_E = sqrt(4GM/c^2 * D_LS / (D_L * D_S)) where D are angular diameter distances
-  // R_E_world = D_L * theta_E.
-  // Our shader's lensingStrength is screen-space. A more direct approach:
-  // The parameter `lensingStrength` in the shader is effectively R_E_screen_uv_units_squared.
-  // If we assume 1 UV unit in height corresponds to FOV, we can estimate an angle.
-  // This is very approximate. A better way would be to tie `lensingStrength` to a physical mass.
-  // For now, we'll just display related parameters.
-  const bhMassApprox = params.lensingStrength * 1e5; // Arbitrary scaling for display
-
   infoPanel.innerHTML = `
       <p><strong>Gravitational Lensing Tech Demo</strong></p>
       <p>FPS: ${fps.toFixed(1)}</p>
+      ${quality ? formatQuality(params, quality) : ''}
       <p>Lensing Strength (R<sub>E</sub><sup>2</sup> screen): ${params.lensingStrength.toFixed(5)}</p>
       <p>BH Event Horizon (World): ${params.eventHorizonRadius.toFixed(2)} units</p>
-      <p>BH Mass (Approx Display): ${bhMassApprox.toExponential(2)} M<sub>☉</sub></p>
+      <hr>
+      <p><strong>Physical Model</strong> (${params.usePhysicalUnits ? 'applied' : 'inferred from BH radius'})</p>
+      <p>BH Mass: ${formatNumber(physical.massSolar)} M<sub>☉</sub></p>
+      <p>Schwarzschild Radius r<sub>s</sub>: ${formatKm(physical.schwarzschildRadius)}</p>
+      <p>Photon Sphere (1.5 r<sub>s</sub>): ${formatKm(physical.photonSphereRadius)}</p>
+      <p>Einstein Angle θ<sub>E</sub>: ${formatNumber(physical.einsteinAngleArcsec)}″</p>
+      ${formatDistances(params, physical)}
+      <p>Σ<sub>cr</sub>: ${formatNumber(physical.criticalSurfaceDensity)} kg/m² (${formatNumber(physical.criticalSurfaceDensity * (MPC / 1e6) ** 2 / SOLAR_MASS)} M<sub>☉</sub>/pc²)</p>
+      ${formatSceneScale(physical, blackHoleWorldPosition.distanceTo(cameraPosition))}
+      <hr>
+      <p><strong>Spin</strong> χ = ${spin.toFixed(3)}</p>
+      <p>Outer Horizon r<sub>+</sub>: ${formatKerrRadius(horizonRadius(1, spin), gravitationalRadius)}</p>
+      <p>Photon Orbit (prograde): ${formatKerrRadius(photonOrbitRadius(1, spin, true), gravitationalRadius)}</p>
+      <p>Photon Orbit (retrograde): ${formatKerrRadius(photonOrbitRadius(1, spin, false), gravitationalRadius)}</p>
+      <p>ISCO (prograde): ${formatKerrRadius(iscoRadius(1, spin, true), gravitationalRadius)}</p>
+      ${formatLensList(lenses, physical, cameraPosition)}
+      ${params.showImageSolver ? formatImageList(images, params, physical) : ''}
       <hr>
       <p>BH Position (World):
           X: ${blackHoleWorldPosition.x.toFixed(2)},
@@ -45,6 +57,65 @@ export function updateInfoPanel(infoPanel, params, blackHoleWorldPosition, camer
           Z: ${cameraPosition.z.toFixed(2)}
       </p>
       <hr>
-      <p>Visualized Rays: ${params.showRays ? params.numVisualizedRays : 'Off'}</p>
+      <p>Visualized Rays: ${params.showRays ? (quality ? visualizedRayCount(params, quality) : params.numVisualizedRays) : 'Off'}</p>
   `;
-}
\ No newline at end of file
+}
+
+function formatQuality(params, quality) {
+  const target = params.adaptiveQuality ? `, adapting to ${params.targetFps} FPS` : '';
+  return `<p>Quality: ${quality.name} (${Math.round(quality.renderScale * 100)}% resolution${target})</p>`;
+}
+
+function formatNumber(value) {
+  return (Math.abs(value) >= 1e4 || Math.abs(value) < 1e-2) ? value.toExponential(2) : value.toFixed(2);
+}
+
+function formatKm(meters) {
+  return `${formatNumber(meters / 1000)} km`;
+}
+
+// Angular-diameter distances in Mpc with the redshifts, or the Euclidean km distances
+function formatDistances(params, physical) {
+  if (!params.useCosmology) {
+    return `<p>D<sub>L</sub>: ${formatKm(physical.lensDistance)}, D<sub>LS</sub>: ${formatKm(physical.lensSourceDistance)}</p>`;
+  }
+  const mpc = (meters) => `${(meters / MPC).toFixed(1)} Mpc`;
+  return `<p>z<sub>L</sub> = ${params.lensRedshift.toFixed(2)}, z<sub>S</sub> = ${params.sourceRedshift.toFixed(2)}</p>
+      <p>D<sub>L</sub>: ${mpc(physical.lensDistance)}, D<sub>S</sub>: ${mpc(physical.sourceDistance)}, D<sub>LS</sub>: ${mpc(physical.lensSourceDistance)}</p>`;
+}
+
+function formatSceneScale(physical, sceneLensDistance) {
+  const { metersPerUnit, arcsecPerUnit } = sceneScale(physical, sceneLensDistance);
+  return `<p>Scale at Lens: ${formatNumber(arcsecPerUnit)}″ = ${formatKm(metersPerUnit)} per unit</p>`;
+}
+
+// One line per extra lens (lens 1 is the primary above). Masses and θ_E scale
+// from the primary: θ_E ∝ sqrt(M) at the lens's own distance from the camera.
+function formatLensList(lenses, physical, cameraPosition) {
+  if (lenses.length < 2) return '';
+  const primaryDistance = cameraPosition.distanceTo(lenses[0].position);
+  const rows = lenses.slice(1).map((lens, i) => {
+    const distanceRatio = cameraPosition.distanceTo(lens.position) / primaryDistance;
+    const thetaE = physical.einsteinAngleArcsec * Math.sqrt(lens.massRatio / distanceRatio);
+    return `<p>Lens ${i + 2}: ${formatNumber(physical.massSolar * lens.massRatio)} M<sub>☉</sub>,
+          r<sub>s</sub> ${lens.horizonRadius.toFixed(2)} units, θ<sub>E</sub> ${formatNumber(thetaE)}″,
+          at (${lens.position.x.toFixed(2)}, ${lens.position.y.toFixed(2)}, ${lens.position.z.toFixed(2)})</p>`;
+  });
+  return `<hr><p><strong>Lenses</strong> (${lenses.length})</p>${rows.join('')}`;
+}
+
+// Radius given in units of M, shown in GM/c² and in km
+function formatKerrRadius(radiusOverM, gravitationalRadius) {
+  return `${radiusOverM.toFixed(3)} GM/c² (${formatKm(radiusOverM * gravitationalRadius)})`;
+}
+
+// Image finder results, positions in units of the primary's θ_E. The Fermat
+// potential τ is split into its geometric and Shapiro terms; Δt counts from
+// the first image to arrive.
+function formatImageList(images, params, physical) {
+  const rows = images.map((image, i) =>
+    `<p>Image ${i + 1}: (${image.x.toFixed(3)}, ${image.y.toFixed(3)}), μ ${image.magnification.toFixed(3)}, parity ${image.parity > 0 ? '+' : '−'}<br>
+          τ = ${image.geometric.toFixed(3)} (geometric) ${image.shapiro < 0 ? '−' : '+'} ${Math.abs(image.shapiro).toFixed(3)} (Shapiro),
+          Δt ${formatDelay(image.delay, params, physical)}</p>`);
+  return `<hr><p><strong>Images</strong> of β = (${params.solverSourceX.toFixed(3)}, ${params.solverSourceY.toFixed(3)}) θ<sub>E</sub></p>${rows.join('')}`;
+}
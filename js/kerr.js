@@ -0,0 +1,136 @@
+// js/kerr.js
+// Rotating (Kerr) black holes in geometric units (G = c = 1). `spin` is the
+// dimensionless χ = a/M in [0, 1). Pure math, no THREE or DOM access.
+
+const MIN_SPIN = 1e-4; // Below this the Schwarzschild expressions are used
+const ROOT_ITERATIONS = 80;
+
+// Outer event horizon r₊ = M + sqrt(M² - a²)
+export function horizonRadius(mass, spin) {
+    return mass * (1 + Math.sqrt(1 - spin * spin));
+}
+
+// Circular photon orbit in the equatorial plane:
+// r = 2M{1 + cos[(2/3) arccos(∓χ)]}, prograde (-) or retrograde (+)
+export function photonOrbitRadius(mass, spin, prograde = true) {
+    const sign = prograde ? -1 : 1;
+    return 2 * mass * (1 + Math.cos((2 / 3) * Math.acos(sign * spin)));
+}
+
+// Innermost stable circular orbit (Bardeen, Press & Teukolsky 1972)
+export function iscoRadius(mass, spin, prograde = true) {
+    const a = spin;
+    const z1 = 1 + Math.cbrt(1 - a * a) * (Math.cbrt(1 + a) + Math.cbrt(1 - a));
+    const z2 = Math.sqrt(3 * a * a + z1 * z1);
+    const sign = prograde ? -1 : 1;
+    return mass * (3 + z2 + sign * Math.sqrt((3 - z1) * (3 + z1 + 2 * z2)));
+}
+
+// Constants of motion of the spherical photon orbit at radius r (M = 1):
+// ξ = L/E and η = Q/E² (Bardeen 1973)
+function photonOrbitConstants(r, a) {
+    const xi = -(r * r * r - 3 * r * r + a * a * r + a * a) / (a * (r - 1));
+    const eta = r * r * r * (4 * a * a - r * (r - 3) * (r - 3)) / (a * a * (r - 1) * (r - 1));
+    return { xi, eta };
+}
+
+// β² on the observer's sky for the photon orbit at r; negative where that
+// orbit is not seen at this inclination
+function shadowBetaSquared(r, a, inclination) {
+    const { xi, eta } = photonOrbitConstants(r, a);
+    const cosI = Math.cos(inclination);
+    const cotI = cosI / Math.sin(inclination);
+    return eta + a * a * cosI * cosI - xi * xi * cotI * cotI;
+}
+
+function bisect(f, lo, hi) {
+    let fLo = f(lo);
+    for (let i = 0; i < ROOT_ITERATIONS; i++) {
+        const mid = 0.5 * (lo + hi);
+        const fMid = f(mid);
+        if ((fMid < 0) === (fLo < 0)) { lo = mid; fLo = fMid; } else { hi = mid; }
+    }
+    return 0.5 * (lo + hi);
+}
+
+/**
+ * Outline of the shadow on the observer's sky for M = 1, as [{ alpha, beta }]
+ * in impact-parameter units. `inclination` is the angle between the spin axis
+ * and the line of sight. α > 0 is the receding side, so the flattened edge of
+ * the D shape (prograde photon orbits) sits at α < 0.
+ */
+export function shadowBoundary(spin, inclination, samples = 256) {
+    const points = [];
+    if (spin < MIN_SPIN) {
+        const radius = 3 * Math.sqrt(3);
+        for (let i = 0; i < samples; i++) {
+            const angle = 2 * Math.PI * i / samples;
+            points.push({ alpha: radius * Math.cos(angle), beta: radius * Math.sin(angle) });
+        }
+        return points;
+    }
+
+    const a = spin;
+    const theta = Math.min(Math.max(inclination, 1e-3), Math.PI - 1e-3);
+    const rMin = photonOrbitRadius(1, a, true);
+    const rMax = photonOrbitRadius(1, a, false);
+    const betaSq = (r) => shadowBetaSquared(r, a, theta);
+
+    // The visible orbits form one interval around the maximum of β²
+    let lo = rMin, hi = rMax;
+    for (let i = 0; i < ROOT_ITERATIONS; i++) {
+        const m1 = lo + (hi - lo) / 3, m2 = hi - (hi - lo) / 3;
+        if (betaSq(m1) < betaSq(m2)) lo = m1; else hi = m2;
+    }
+    const rPeak = 0.5 * (lo + hi);
+    const r1 = betaSq(rMin) >= 0 ? rMin : bisect(betaSq, rMin, rPeak);
+    const r2 = betaSq(rMax) >= 0 ? rMax : bisect(betaSq, rPeak, rMax);
+
+    const half = Math.floor(samples / 2);
+    const upper = [];
+    for (let i = 0; i <= half; i++) {
+        // Cosine spacing resolves the ends, where β changes fastest
+        const r = r1 + (r2 - r1) * 0.5 * (1 - Math.cos(Math.PI * i / half));
+        const { xi } = photonOrbitConstants(r, a);
+        upper.push({ alpha: -xi / Math.sin(theta), beta: Math.sqrt(Math.max(betaSq(r), 0)) });
+    }
+    points.push(...upper);
+    for (let i = upper.length - 2; i > 0; i--) {
+        points.push({ alpha: upper[i].alpha, beta: -upper[i].beta });
+    }
+    return points;
+}
+
+// Shadow radius R(ψ) for M = 1 sampled at ψ = 2π·i/size, where ψ is the polar
+// angle on the sky measured from +α toward +β. The boundary is star-shaped
+// around the black hole's position, so a polar table describes it exactly.
+export function buildShadowTable(spin, inclination, size) {
+    const polar = shadowBoundary(spin, inclination, 2 * size)
+        .map(p => ({ angle: Math.atan2(p.beta, p.alpha), radius: Math.hypot(p.alpha, p.beta) }))
+        .sort((p, q) => p.angle - q.angle);
+    // Wrap the ends so every ψ has neighbours on both sides
+    const first = polar[0], last = polar[polar.length - 1];
+    polar.unshift({ angle: last.angle - 2 * Math.PI, radius: last.radius });
+    polar.push({ angle: first.angle + 2 * Math.PI, radius: first.radius });
+
+    const table = new Float32Array(size);
+    let j = 0;
+    for (let i = 0; i < size; i++) {
+        let psi = 2 * Math.PI * i / size;
+        if (psi > Math.PI) psi -= 2 * Math.PI;
+        while (j > 0 && polar[j].angle > psi) j--;
+        while (j < polar.length - 2 && polar[j + 1].angle < psi) j++;
+        const p0 = polar[j], p1 = polar[j + 1];
+        const t = (psi - p0.angle) / (p1.angle - p0.angle);
+        table[i] = p0.radius + t * (p1.radius - p0.radius);
+    }
+    return table;
+}
+
+// Unit spin axis [x, y, z]: +Y tipped toward the camera (+Z) by tiltDeg, then
+// turned about +Y by azimuthDeg
+export function spinAxisDirection(tiltDeg, azimuthDeg) {
+    const tilt = tiltDeg * Math.PI / 180;
+    const azimuth = azimuthDeg * Math.PI / 180;
+    return [Math.sin(tilt) * Math.sin(azimuth), Math.cos(tilt), Math.sin(tilt) * Math.cos(azimuth)];
+}
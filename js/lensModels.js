@@ -0,0 +1,148 @@
+// js/lensModels.js
+// Extended lens profiles for the weak-field (thin-lens) mode: analytic
+// deflection fields α(x, y) in the lens plane. Lengths are in the shader's
+// screen units (height = 1, x aspect-corrected) or any other consistent unit.
+// Every profile is scaled by its Einstein radius θ_E = sqrt(lensingStrength), so
+// the slider and the physical model keep working; the other parameters only
+// change the shape. Pure math, mirrored by lensing.frag.
+
+// Shader-side values of params.lensProfile
+export const LENS_PROFILES = { point: 0, sis: 1, sie: 2, nfw: 3 };
+
+// Point mass: α = θ_E² / r toward the center
+export function pointDeflection(x, y, thetaE) {
+    const r2 = x * x + y * y;
+    if (r2 === 0) return [0, 0];
+    return [thetaE * thetaE * x / r2, thetaE * thetaE * y / r2];
+}
+
+// Singular isothermal sphere, κ = θ_E / 2r: constant |α| = θ_E
+export function sisDeflection(x, y, thetaE) {
+    const r = Math.hypot(x, y);
+    if (r === 0) return [0, 0];
+    return [thetaE * x / r, thetaE * y / r];
+}
+
+/**
+ * Singular isothermal ellipsoid with axis ratio q (minor/major) and the major
+ * axis at positionAngle (radians from +x, counterclockwise). Keeton (2001)
+ * deflection for κ = θ_E / (2 sqrt(q x'² + y'²/q)), normalized on the
+ * intermediate axis so the mass inside an isodensity contour does not depend on q.
+ */
+export function sieDeflection(x, y, thetaE, axisRatio, positionAngle) {
+    const q = Math.min(Math.max(axisRatio, 1e-3), 1);
+    if (q > 0.9999) return sisDeflection(x, y, thetaE);
+    const c = Math.cos(positionAngle), s = Math.sin(positionAngle);
+    // Rotate into the frame where the major axis is x'
+    const xr = c * x + s * y;
+    const yr = -s * x + c * y;
+    const psi = Math.sqrt(q * q * xr * xr + yr * yr);
+    if (psi === 0) return [0, 0];
+    const e = Math.sqrt(1 - q * q);
+    const scale = thetaE * Math.sqrt(q) / e;
+    const ax = scale * Math.atan(e * xr / psi);
+    const ay = scale * Math.atanh(e * yr / psi);
+    return [c * ax - s * ay, s * ax + c * ay];
+}
+
+// NFW lensing function h(x) = ln(x/2) + F(x), from the projected mass inside x = r / r_s
+function nfwMassFunction(x) {
+    if (x < 1e-6) return 0.25 * x * x * (2 * Math.log(2 / x) - 1); // Small-x limit
+    let f;
+    if (x < 1 - 1e-6) {
+        f = 2 / Math.sqrt(1 - x * x) * Math.atanh(Math.sqrt((1 - x) / (1 + x)));
+    } else if (x > 1 + 1e-6) {
+        f = 2 / Math.sqrt(x * x - 1) * Math.atan(Math.sqrt((x - 1) / (x + 1)));
+    } else {
+        f = 1;
+    }
+    return Math.log(x / 2) + f;
+}
+
+// Characteristic convergence κ_s that puts the Einstein radius at θ_E for a
+// scale radius θ_s: α(θ_E) = 4 κ_s θ_s h(x_E) / x_E = θ_E with x_E = θ_E / θ_s
+export function nfwConvergenceScale(thetaE, scaleRadius) {
+    const xE = thetaE / scaleRadius;
+    return xE * xE / (4 * nfwMassFunction(xE));
+}
+
+// Navarro–Frenk–White halo with scale radius θ_s: α = 4 κ_s θ_s h(r/θ_s) / (r/θ_s)
+export function nfwDeflection(x, y, thetaE, scaleRadius) {
+    const r = Math.hypot(x, y);
+    if (r === 0) return [0, 0];
+    const u = r / scaleRadius;
+    const alpha = 4 * nfwConvergenceScale(thetaE, scaleRadius) * scaleRadius * nfwMassFunction(u) / u;
+    return [alpha * x / r, alpha * y / r];
+}
+
+// NFW potential ψ = 4 κ_s θ_s² g(x), with dg/dx = h(x) / x so that ∇ψ = α
+// (Golse & Kneib 2002); the additive constant is irrelevant for time delays
+function nfwPotentialFunction(x) {
+    const logTerm = 0.5 * Math.log(x / 2) ** 2;
+    if (x < 1) return logTerm - 2 * Math.atanh(Math.sqrt((1 - x) / (1 + x))) ** 2;
+    return logTerm + 2 * Math.atan(Math.sqrt((x - 1) / (x + 1))) ** 2;
+}
+
+/**
+ * Lens potential ψ (α = ∇ψ) of the profile at (x, y), same arguments as
+ * profileDeflection. Isothermal potentials are homogeneous of degree one, so
+ * ψ = θ · α(θ) for the SIS and SIE.
+ */
+export function lensPotential(profile, x, y, model) {
+    const r = Math.hypot(x, y);
+    switch (profile) {
+        case 'sis': return model.thetaE * r;
+        case 'sie': {
+            const [ax, ay] = sieDeflection(x, y, model.thetaE, model.axisRatio, model.positionAngle);
+            return x * ax + y * ay;
+        }
+        case 'nfw': {
+            const kappaS = nfwConvergenceScale(model.thetaE, model.scaleRadius);
+            return 4 * kappaS * model.scaleRadius * model.scaleRadius * nfwPotentialFunction(Math.max(r, 1e-12) / model.scaleRadius);
+        }
+        default: return model.thetaE * model.thetaE * Math.log(Math.max(r, 1e-12));
+    }
+}
+
+/**
+ * Deflection of the profile named by params.lensProfile at (x, y), with
+ * model = { thetaE, axisRatio, positionAngle (rad), scaleRadius (same units as x) }.
+ */
+export function profileDeflection(profile, x, y, model) {
+    switch (profile) {
+        case 'sis': return sisDeflection(x, y, model.thetaE);
+        case 'sie': return sieDeflection(x, y, model.thetaE, model.axisRatio, model.positionAngle);
+        case 'nfw': return nfwDeflection(x, y, model.thetaE, model.scaleRadius);
+        default: return pointDeflection(x, y, model.thetaE);
+    }
+}
+
+// Radial component of α at distance r along the direction `angle`
+export function radialDeflection(profile, r, angle, model) {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    const [ax, ay] = profileDeflection(profile, r * c, r * s, model);
+    return ax * c + ay * s;
+}
+
+// Einstein radius along `angle`: where the radial deflection equals r (the
+// tangential critical curve of a round lens). NaN if the lens is subcritical.
+export function einsteinRadius(profile, model, angle = 0, maxRadius = 10 * model.thetaE) {
+    const f = (r) => radialDeflection(profile, r, angle, model) - r;
+    let lo = 1e-6 * model.thetaE, hi = maxRadius;
+    if (!(f(lo) > 0) || f(hi) > 0) return NaN;
+    for (let i = 0; i < 60; i++) {
+        const mid = 0.5 * (lo + hi);
+        if (f(mid) > 0) lo = mid; else hi = mid;
+    }
+    return 0.5 * (lo + hi);
+}
+
+// Lens model for PARAMS; nfwScaleRadius is given there in units of θ_E
+export function getLensModel(params, thetaE = Math.sqrt(params.lensingStrength)) {
+    return {
+        thetaE,
+        axisRatio: params.sieAxisRatio,
+        positionAngle: params.siePositionAngle * Math.PI / 180,
+        scaleRadius: params.nfwScaleRadius * thetaE,
+    };
+}
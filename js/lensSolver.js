@@ -0,0 +1,110 @@
+// js/lensSolver.js
+// Images of a source: all solutions θ of the lens equation β = θ - α(θ) for a
+// lens configuration (see criticalCurves.js; lengths in units of the primary's
+// Einstein radius). Each image is { x, y, magnification, parity }, where the
+// magnification is signed (1 / det A) and parity is its sign.
+// Pure math, no THREE or DOM access.
+import { mapToSourcePlane, jacobianEigenvalues } from './criticalCurves.js';
+
+const NEWTON_ITERATIONS = 30;
+const NEWTON_TOLERANCE = 1e-10;
+const DERIVATIVE_STEP = 1e-6;
+
+// Point lens: two images on the line through the lens and the source, at
+// θ± = β̂ (u ± sqrt(u² + 4)) / 2, with μ± = ±1/2 + (u² + 2) / (2u sqrt(u² + 4))
+export function pointLensImages(betaX, betaY) {
+    const u = Math.hypot(betaX, betaY);
+    if (u === 0) return []; // On axis the images merge into the Einstein ring
+    const root = Math.sqrt(u * u + 4);
+    const base = (u * u + 2) / (2 * u * root);
+    return [[(u + root) / 2, base + 0.5], [(u - root) / 2, 0.5 - base]].map(([r, magnification]) => ({
+        x: betaX / u * r,
+        y: betaY / u * r,
+        magnification,
+        parity: Math.sign(magnification),
+    }));
+}
+
+// Newton iteration on β(θ) - β = 0 from (x, y); null if it does not converge
+function refineImage(x, y, betaX, betaY, config) {
+    const h = DERIVATIVE_STEP;
+    for (let i = 0; i < NEWTON_ITERATIONS; i++) {
+        const [bx, by] = mapToSourcePlane(x, y, config);
+        const rx = betaX - bx, ry = betaY - by;
+        if (Math.hypot(rx, ry) < NEWTON_TOLERANCE) return [x, y];
+        const [bxx, byx] = mapToSourcePlane(x + h, y, config);
+        const [bxy, byy] = mapToSourcePlane(x, y + h, config);
+        const a11 = (bxx - bx) / h, a21 = (byx - by) / h;
+        const a12 = (bxy - bx) / h, a22 = (byy - by) / h;
+        const det = a11 * a22 - a12 * a21;
+        if (!isFinite(det) || det === 0) return null;
+        x += (a22 * rx - a12 * ry) / det;
+        y += (a11 * ry - a21 * rx) / det;
+        if (!isFinite(x) || !isFinite(y)) return null;
+    }
+    return null;
+}
+
+// Barycentric coordinates of p in triangle (a, b, c), or null if outside
+function barycentric(px, py, ax, ay, bx, by, cx, cy) {
+    const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+    if (det === 0 || !isFinite(det)) return null;
+    const l1 = ((by - cy) * (px - cx) + (cx - bx) * (py - cy)) / det;
+    const l2 = ((cy - ay) * (px - cx) + (ax - cx) * (py - cy)) / det;
+    const l3 = 1 - l1 - l2;
+    return l1 >= 0 && l2 >= 0 && l3 >= 0 ? [l1, l2, l3] : null;
+}
+
+/**
+ * All images of the source at (betaX, betaY) within [-halfSize, halfSize]²,
+ * brightest first. The analytic solution is used for a lone point mass;
+ * otherwise the image plane is triangulated on a resolution² grid, every
+ * triangle whose source-plane image contains β gives a starting point, and
+ * Newton's method polishes it. Triangles that fold over (straddling a critical
+ * curve) still map onto β from both sides, so no image is missed there.
+ */
+export function findImages(config, betaX, betaY, halfSize = 3, resolution = 200) {
+    if (config.profile === 'point' && config.points.length === 0) {
+        return pointLensImages(betaX, betaY);
+    }
+
+    const step = 2 * halfSize / resolution;
+    const origin = -halfSize + 0.5 * step; // Nodes off the lens centers, as in findCriticalCurves
+    const n = resolution;
+    const mapped = new Float64Array(n * n * 2);
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const [bx, by] = mapToSourcePlane(origin + i * step, origin + j * step, config);
+            mapped[2 * (j * n + i)] = bx;
+            mapped[2 * (j * n + i) + 1] = by;
+        }
+    }
+
+    const images = [];
+    const tryTriangle = (vertices) => {
+        const [p, q, r] = vertices.map(([i, j]) => 2 * (j * n + i));
+        const weights = barycentric(betaX, betaY,
+            mapped[p], mapped[p + 1], mapped[q], mapped[q + 1], mapped[r], mapped[r + 1]);
+        if (!weights) return;
+        const x = weights.reduce((sum, w, k) => sum + w * (origin + vertices[k][0] * step), 0);
+        const y = weights.reduce((sum, w, k) => sum + w * (origin + vertices[k][1] * step), 0);
+        const solution = refineImage(x, y, betaX, betaY, config);
+        if (!solution || Math.abs(solution[0]) > halfSize || Math.abs(solution[1]) > halfSize) return;
+        if (images.some(image => Math.hypot(image.x - solution[0], image.y - solution[1]) < 1e-3 * step)) return;
+        images.push({ x: solution[0], y: solution[1] });
+    };
+    for (let j = 0; j < n - 1; j++) {
+        for (let i = 0; i < n - 1; i++) {
+            tryTriangle([[i, j], [i + 1, j], [i + 1, j + 1]]);
+            tryTriangle([[i, j], [i + 1, j + 1], [i, j + 1]]);
+        }
+    }
+
+    return images
+        .map(({ x, y }) => {
+            const [tangential, radial] = jacobianEigenvalues(x, y, config);
+            const magnification = 1 / (tangential * radial);
+            return { x, y, magnification, parity: Math.sign(magnification) };
+        })
+        .sort((a, b) => Math.abs(b.magnification) - Math.abs(a.magnification));
+}
@@ -0,0 +1,98 @@
+// js/lensSystem.js
+import * as THREE from 'three';
+import { MAX_LENSES } from './lensingConstants.js';
+
+// The primary black hole (blackHoleMesh, with its disk and spin) is lens 0.
+// params.lenses holds the extra point masses, each { massRatio, offsetX,
+// offsetY, offsetZ }: mass relative to the primary and position relative to it
+// in world units. Horizons scale with mass (r_s ∝ M), and so does the
+// screen-space lensingStrength (R_E² ∝ M).
+export { MAX_LENSES };
+
+// Returns the companions' state for updateLensSystem
+export function setupLensSystem(scene) {
+    return {
+        scene,
+        material: new THREE.MeshStandardMaterial({
+            color: 0x000000,
+            roughness: 0.1,
+            metalness: 0.2,
+            emissive: 0x110011,
+            emissiveIntensity: 0.2
+        }),
+        meshes: [],
+    };
+}
+
+export function disposeLensSystem(lensSystem) {
+    if (!lensSystem) return;
+    lensSystem.meshes.forEach(mesh => {
+        lensSystem.scene.remove(mesh);
+        mesh.geometry.dispose();
+    });
+    lensSystem.meshes.length = 0;
+    lensSystem.material.dispose();
+}
+
+// Default parameters for the next extra lens, spread out so they don't overlap
+export function createCompanionLens(index) {
+    return { massRatio: 1.0, offsetX: 4.0, offsetY: 2.0 * index, offsetZ: 0.0 };
+}
+
+// Positions the companion meshes and returns the full lens list, primary
+// first: [{ position, massRatio, mass, horizonRadius }] with mass M and the
+// horizon in world units.
+export function updateLensSystem(lensSystem, params, blackHoleMesh) {
+    const { scene, material, meshes: companionMeshes } = lensSystem;
+    const primaryMass = params.eventHorizonRadius / 2;
+    const lenses = [{
+        position: blackHoleMesh.position,
+        massRatio: 1,
+        mass: primaryMass,
+        horizonRadius: params.eventHorizonRadius,
+    }];
+
+    while (companionMeshes.length < params.lenses.length) {
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 32), material);
+        scene.add(mesh);
+        companionMeshes.push(mesh);
+    }
+    while (companionMeshes.length > params.lenses.length) {
+        const mesh = companionMeshes.pop();
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+    }
+
+    params.lenses.forEach((lens, i) => {
+        const mesh = companionMeshes[i];
+        mesh.position.set(lens.offsetX, lens.offsetY, lens.offsetZ).add(blackHoleMesh.position);
+        mesh.scale.setScalar(params.eventHorizonRadius * lens.massRatio);
+        mesh.visible = params.showBlackHoleMesh;
+        lenses.push({
+            position: mesh.position,
+            massRatio: lens.massRatio,
+            mass: primaryMass * lens.massRatio,
+            horizonRadius: params.eventHorizonRadius * lens.massRatio,
+        });
+    });
+    return lenses;
+}
+
+// Camera tangent-plane coordinates (x right, y up, per unit distance) of a
+// world position. The weak-field shader's aspect-corrected screen offsets are
+// these divided by 2 tan(fov/2).
+export function tangentPlanePosition(position, camera) {
+    const view = position.clone().applyMatrix4(camera.matrixWorldInverse);
+    return { x: view.x / -view.z, y: view.y / -view.z };
+}
+
+// A lens's Einstein radius on the tangent plane: sqrt(lensingStrength · massRatio)
+// in screen units for the weak field, R_E / D_L from the ray geometry otherwise
+export function einsteinTangent(params, lens, camera) {
+    if (params.lensingMode === 'weak') {
+        return Math.sqrt(params.lensingStrength * lens.massRatio) * 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    }
+    const dL = camera.position.distanceTo(lens.position);
+    const dLS = params.raySourceDistance;
+    return Math.sqrt(4 * lens.mass * dLS / (dL * (dL + dLS)));
+}
@@ -0,0 +1,40 @@
+// js/lensingConstants.js
+// Constants of the lensing pipeline shared by lensing.frag (lensingEffect.js
+// injects them as #defines and uniforms) and its CPU mirror,
+// referenceRenderer.js, so the two can't drift apart.
+// Pure values, no THREE or DOM access.
+
+// Shader-side values of params.lensingMode
+export const LENSING_MODES = { weak: 0, strong: 1 };
+// Shader-side values of params.skyProjection
+export const SKY_PROJECTIONS = { screen: 0, equirect: 1, cubemap: 2 };
+
+export const MAX_LENSES = 4; // Primary included; sizes the shader's uniform arrays
+
+export const DEFLECTION_TABLE_SIZE = 1024;
+export const ORBIT_TABLE_SIZE = 512;          // Rows (impact parameters) and columns (φ)
+export const ORBIT_TABLE_MAX_IMPACT = 64;     // In units of M; the shader goes analytic beyond
+export const ORBIT_TABLE_MAX_PHI = 3 * Math.PI;
+export const SHADOW_TABLE_SIZE = 256;         // Kerr shadow radius samples around the sky
+
+export const MAX_DISK_CROSSINGS = 3;          // Disk crossings followed along a strong-field orbit
+export const SKY_ROTATION_SPEED = 0.002;      // Radians per second about +Y when the background is animated
+// Drift of the legacy screen-space background, uv + A (sin ωx t, cos ωy t)
+export const BACKGROUND_WOBBLE_AMPLITUDE = 0.005;
+export const BACKGROUND_WOBBLE_RATE_X = 0.01;
+export const BACKGROUND_WOBBLE_RATE_Y = 0.015;
+
+// GLSL spelling of a float constant ("3" would be an int there)
+function glslFloat(value) {
+    return Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+// The #defines lensing.frag expects, besides MAX_LENSES and MAX_SOURCES
+export const LENSING_SHADER_DEFINES = {
+    PI: glslFloat(Math.PI),
+    MAX_DISK_CROSSINGS,
+    SKY_ROTATION_SPEED: glslFloat(SKY_ROTATION_SPEED),
+    BACKGROUND_WOBBLE_AMPLITUDE: glslFloat(BACKGROUND_WOBBLE_AMPLITUDE),
+    BACKGROUND_WOBBLE_RATE_X: glslFloat(BACKGROUND_WOBBLE_RATE_X),
+    BACKGROUND_WOBBLE_RATE_Y: glslFloat(BACKGROUND_WOBBLE_RATE_Y),
+};
@@ -1,14 +1,41 @@
 // js/lensingEffect.js
 import * as THREE from 'three';
+import { buildDeflectionTable, buildOrbitTable, criticalImpactParameter } from './geodesic.js';
+import { COLOR_SHIFT_EXPONENTS, MAX_ORBITAL_SPEED } from './diskRelativity.js';
+import { buildShadowTable, spinAxisDirection } from './kerr.js';
+import { MAX_LENSES, einsteinTangent } from './lensSystem.js';
+import { LENS_PROFILES, getLensModel, nfwConvergenceScale } from './lensModels.js';
+import { MAX_SOURCES, packSourceCatalog } from './sourceCatalog.js';
+import { RENDER_MODES, diagnosticRange } from './diagnostics.js';
+import {
+    LENSING_MODES, SKY_PROJECTIONS, LENSING_SHADER_DEFINES, DEFLECTION_TABLE_SIZE,
+    ORBIT_TABLE_SIZE, ORBIT_TABLE_MAX_IMPACT, ORBIT_TABLE_MAX_PHI, SHADOW_TABLE_SIZE,
+} from './lensingConstants.js';
 
-let backgroundTexture;
-let lensingMaterial;
-let lensingQuad;
+const SKY_CUBEMAP_SIZE = 1024;
 
-export async function setupLensingEffect(scene, params, cameraRef) {
+// Shared by every viewer on the page: the geodesic tables are built for M = 1
+let deflectionTable, orbitTable;
+
+function floatTexture(data, width, height) {
+    const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter; // Interpolated by hand in the shader
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Builds the full-screen lensing quad for one viewer. Returns its state,
+ * { lensingMaterial, lensingQuad, ... }, for the other functions here.
+ * Shaders load relative to this module; a relative galaxyTexturePath is
+ * resolved from the app's root.
+ */
+export async function setupLensingEffect(scene, params, cameraRef, renderer) {
     const textureLoader = new THREE.TextureLoader();
+    let backgroundTexture;
     try {
-        backgroundTexture = await textureLoader.loadAsync(params.galaxyTexturePath);
+        backgroundTexture = await textureLoader.loadAsync(new URL(params.galaxyTexturePath, new URL('../', import.meta.url)).href);
         backgroundTexture.wrapS = THREE.RepeatWrapping;
         backgroundTexture.wrapT = THREE.RepeatWrapping;
     } catch (error) {
@@ -22,22 +49,86 @@ export async function setupLensingEffect(scene, params, cameraRef) {
         backgroundTexture = new THREE.CanvasTexture(canvas);
     }
 
-    const vertexShader = await fetch('shaders/lensing.vert').then(res => res.text());
-    const fragmentShader = await fetch('shaders/lensing.frag').then(res => res.text());
+    // The same image wrapped around the celestial sphere as a cubemap: no pole
+    // pinching or seam, at the cost of a one-off conversion
+    const skyCubeTarget = new THREE.WebGLCubeRenderTarget(SKY_CUBEMAP_SIZE);
+    skyCubeTarget.fromEquirectangularTexture(renderer, backgroundTexture);
+
+    // α(b) lookup table for the strong-field mode
+    deflectionTable = deflectionTable || buildDeflectionTable(DEFLECTION_TABLE_SIZE);
+    const deflectionTexture = floatTexture(deflectionTable, DEFLECTION_TABLE_SIZE, 1);
+
+    // M/r along photon orbits, for finding where rays cross the accretion disk
+    orbitTable = orbitTable || buildOrbitTable(ORBIT_TABLE_SIZE, ORBIT_TABLE_SIZE, ORBIT_TABLE_MAX_IMPACT, ORBIT_TABLE_MAX_PHI);
+    const orbitTexture = floatTexture(orbitTable, ORBIT_TABLE_SIZE, ORBIT_TABLE_SIZE);
+
+    // Kerr shadow outline R(ψ); rebuilt when the spin or viewing inclination changes
+    const shadowTexture = floatTexture(buildShadowTable(0, Math.PI / 2, SHADOW_TABLE_SIZE), SHADOW_TABLE_SIZE, 1);
+
+    const vertexShader = await fetch(new URL('../shaders/lensing.vert', import.meta.url)).then(res => res.text());
+    const fragmentShader = await fetch(new URL('../shaders/lensing.frag', import.meta.url)).then(res => res.text());
 
-    lensingMaterial = new THREE.ShaderMaterial({
+    const lensingMaterial = new THREE.ShaderMaterial({
         uniforms: {
             backgroundTexture: { value: backgroundTexture },
-            resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+            resolution: { value: renderer.getSize(new THREE.Vector2()) },
             time: { value: 0.0 },
             backgroundBrightness: { value: params.backgroundBrightness }, // Add new uniform
+            skyProjection: { value: SKY_PROJECTIONS[params.skyProjection] },
+            skyCubemap: { value: skyCubeTarget.texture },
+            sourceCount: { value: 0 },
+            sourceDirections: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Vector3()) },
+            sourceColors: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Vector3()) },
+            sourceShapes: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Vector4(0, 1, 1, 1)) },
+            sourceBrightness: { value: params.sourceBrightness },
             blackHoleWorldPosition: { value: new THREE.Vector3(0, 0, params.blackHoleZ) },
             lensingStrength: { value: params.lensingStrength },
             eventHorizonRadius: { value: params.eventHorizonRadius },
+            lensCount: { value: 1 },
+            lensPositions: { value: Array.from({ length: MAX_LENSES }, () => new THREE.Vector3(0, 0, params.blackHoleZ)) },
+            lensMassRatios: { value: new Array(MAX_LENSES).fill(1) },
+            lensProfile: { value: LENS_PROFILES[params.lensProfile] },
+            sieAxisRatio: { value: params.sieAxisRatio },
+            siePositionAngle: { value: 0 },
+            nfwScaleRadius: { value: 1 },
+            nfwConvergenceScale: { value: 0 },
+            lensingMode: { value: LENSING_MODES[params.lensingMode] },
+            deflectionTable: { value: deflectionTexture },
+            deflectionTableSize: { value: DEFLECTION_TABLE_SIZE },
+            criticalImpactParameter: { value: criticalImpactParameter(params.eventHorizonRadius / 2) },
+            showAccretionDisk: { value: false }, // Enabled once a disk is passed to updateLensingUniforms
+            diskTexture: { value: null },
+            diskBasisX: { value: new THREE.Vector3(1, 0, 0) },
+            diskBasisY: { value: new THREE.Vector3(0, 0, -1) },
+            diskNormal: { value: new THREE.Vector3(0, 1, 0) },
+            diskInnerRadius: { value: 0 },
+            diskOuterRadius: { value: 0 },
+            orbitTable: { value: orbitTexture },
+            orbitTableSize: { value: new THREE.Vector2(ORBIT_TABLE_SIZE, ORBIT_TABLE_SIZE) },
+            orbitTableMaxImpact: { value: ORBIT_TABLE_MAX_IMPACT },
+            orbitTableMaxPhi: { value: ORBIT_TABLE_MAX_PHI },
+            dopplerIntensity: { value: 0 },
+            redshiftIntensity: { value: 0 },
+            beamingExponent: { value: params.beamingExponent },
+            diskColorShiftExponents: { value: new THREE.Vector3(...COLOR_SHIFT_EXPONENTS) },
+            maxOrbitalSpeed: { value: MAX_ORBITAL_SPEED },
+            blackHoleSpin: { value: 0 },
+            spinAxis: { value: new THREE.Vector3(0, 1, 0) },
+            shadowTable: { value: shadowTexture },
+            shadowTableSize: { value: SHADOW_TABLE_SIZE },
+            renderMode: { value: RENDER_MODES[params.renderMode] },
+            diagnosticRange: { value: new THREE.Vector2(-1, 2) },
+            unlensed: { value: false }, // Set only while the split view draws its source pane
+            observerVelocity: { value: new THREE.Vector3() },
+            observerLapse: { value: 1 },
+            observerSkyShift: { value: false },
             viewMatrixInverse: { value: cameraRef.matrixWorld.clone() },
             projectionMatrixInverse: { value: cameraRef.projectionMatrixInverse.clone() },
+            cameraViewMatrix: { value: cameraRef.matrixWorldInverse.clone() },
+            cameraProjectionMatrix: { value: cameraRef.projectionMatrix.clone() },
             cameraWorldPosition: { value: cameraRef.position.clone() }
         },
+        defines: { ...LENSING_SHADER_DEFINES, MAX_LENSES, MAX_SOURCES },
         vertexShader: vertexShader,
         fragmentShader: fragmentShader,
         depthWrite: false,
@@ -45,26 +136,135 @@ export async function setupLensingEffect(scene, params, cameraRef) {
     });
 
     const lensingGeometry = new THREE.PlaneGeometry(2, 2);
-    lensingQuad = new THREE.Mesh(lensingGeometry, lensingMaterial);
+    const lensingQuad = new THREE.Mesh(lensingGeometry, lensingMaterial);
     scene.add(lensingQuad);
 
-    return { lensingMaterial, lensingQuad };
+    return {
+        lensingMaterial, lensingQuad, backgroundTexture, skyCubeTarget,
+        deflectionTexture, orbitTexture, shadowTexture,
+        shadowTableKey: undefined, // Spin and inclination the shadow table was last built for
+    };
 }
 
-export function updateLensingUniforms(lensingMaterial, params, blackHoleWorldPosition, camera, time) {
-    if (!lensingMaterial) return;
+export function disposeLensingEffect(lensing) {
+    lensing.lensingQuad.removeFromParent();
+    lensing.lensingQuad.geometry.dispose();
+    lensing.lensingMaterial.dispose();
+    [lensing.backgroundTexture, lensing.deflectionTexture, lensing.orbitTexture, lensing.shadowTexture]
+        .forEach(texture => texture.dispose());
+    lensing.skyCubeTarget.dispose();
+}
+
+// lenses is the list from updateLensSystem (primary first); without it only
+// the primary black hole lenses. observer is the camera's state from
+// updateObserverCamera; without it the camera is a distant observer.
+export function updateLensingUniforms(lensing, params, blackHoleWorldPosition, camera, time, accretionDisk, lenses, extraSources = [], observer = null) {
+    if (!lensing) return;
+    const { lensingMaterial } = lensing;
 
     lensingMaterial.uniforms.time.value = params.animateBackground ? time : 0.0;
     lensingMaterial.uniforms.backgroundBrightness.value = params.backgroundBrightness; // Update uniform
+    lensingMaterial.uniforms.skyProjection.value = SKY_PROJECTIONS[params.skyProjection];
+    updateSourceUniforms(lensingMaterial, params, time, extraSources);
     lensingMaterial.uniforms.lensingStrength.value = params.lensingStrength;
     lensingMaterial.uniforms.eventHorizonRadius.value = params.eventHorizonRadius;
+    lensingMaterial.uniforms.lensingMode.value = LENSING_MODES[params.lensingMode];
+    lensingMaterial.uniforms.criticalImpactParameter.value = criticalImpactParameter(params.eventHorizonRadius / 2); // M = r_s / 2
     lensingMaterial.uniforms.blackHoleWorldPosition.value.copy(blackHoleWorldPosition);
 
+    const activeLenses = (lenses || [{ position: blackHoleWorldPosition, massRatio: 1, mass: params.eventHorizonRadius / 2 }]).slice(0, MAX_LENSES);
+    lensingMaterial.uniforms.lensCount.value = activeLenses.length;
+    activeLenses.forEach((lens, i) => {
+        lensingMaterial.uniforms.lensPositions.value[i].copy(lens.position);
+        lensingMaterial.uniforms.lensMassRatios.value[i] = lens.massRatio;
+    });
+
+    // Extended profile shape; θ_E follows lensingStrength
+    const lensModel = getLensModel(params);
+    lensingMaterial.uniforms.lensProfile.value = LENS_PROFILES[params.lensProfile];
+    lensingMaterial.uniforms.sieAxisRatio.value = lensModel.axisRatio;
+    lensingMaterial.uniforms.siePositionAngle.value = lensModel.positionAngle;
+    lensingMaterial.uniforms.nfwScaleRadius.value = lensModel.scaleRadius;
+    lensingMaterial.uniforms.nfwConvergenceScale.value = nfwConvergenceScale(lensModel.thetaE, lensModel.scaleRadius);
+
+    updateKerrUniforms(lensing, params, blackHoleWorldPosition, camera);
+
+    lensingMaterial.uniforms.renderMode.value = RENDER_MODES[params.renderMode];
+    lensingMaterial.uniforms.diagnosticRange.value.fromArray(diagnosticRange(params.renderMode, einsteinTangent(params, activeLenses[0], camera)));
+
+    const showDisk = !!accretionDisk && params.showAccretionDisk;
+    lensingMaterial.uniforms.showAccretionDisk.value = showDisk;
+    if (showDisk) {
+        const { diskMesh, bakeTarget } = accretionDisk;
+        lensingMaterial.uniforms.diskTexture.value = bakeTarget.texture;
+        diskMesh.matrixWorld.extractBasis(
+            lensingMaterial.uniforms.diskBasisX.value,
+            lensingMaterial.uniforms.diskBasisY.value,
+            lensingMaterial.uniforms.diskNormal.value);
+        lensingMaterial.uniforms.diskBasisX.value.normalize();
+        lensingMaterial.uniforms.diskBasisY.value.normalize();
+        lensingMaterial.uniforms.diskNormal.value.normalize();
+        lensingMaterial.uniforms.diskInnerRadius.value = params.diskInnerRadius * params.eventHorizonRadius; // r_s units -> world
+        lensingMaterial.uniforms.diskOuterRadius.value = params.diskOuterRadius * params.eventHorizonRadius;
+        lensingMaterial.uniforms.dopplerIntensity.value = params.dopplerBeaming ? params.dopplerIntensity : 0;
+        lensingMaterial.uniforms.redshiftIntensity.value = params.gravitationalRedshift ? params.redshiftIntensity : 0;
+    }
+    lensingMaterial.uniforms.beamingExponent.value = params.beamingExponent; // Also beams the sky for a moving observer
+
+    if (observer) {
+        lensingMaterial.uniforms.observerVelocity.value.copy(observer.velocity);
+        lensingMaterial.uniforms.observerLapse.value = observer.lapse;
+    } else {
+        lensingMaterial.uniforms.observerVelocity.value.set(0, 0, 0);
+        lensingMaterial.uniforms.observerLapse.value = 1;
+    }
+    lensingMaterial.uniforms.observerSkyShift.value = params.observerSkyShift;
+
     camera.updateMatrixWorld(true);
     camera.updateProjectionMatrix();
 
     lensingMaterial.uniforms.viewMatrixInverse.value.copy(camera.matrixWorld);
     lensingMaterial.uniforms.projectionMatrixInverse.value.copy(camera.projectionMatrixInverse);
+    lensingMaterial.uniforms.cameraViewMatrix.value.copy(camera.matrixWorldInverse);
+    lensingMaterial.uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
     lensingMaterial.uniforms.cameraWorldPosition.value.copy(camera.getWorldPosition(new THREE.Vector3()));
-    lensingMaterial.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
-}
\ No newline at end of file
+}
+
+// Size of the render target the quad is drawn into: the view, or the
+// exporter's frame size (see frameExporter.js)
+export function setLensingResolution(lensing, width, height) {
+    if (lensing) lensing.lensingMaterial.uniforms.resolution.value.set(width, height);
+}
+
+// Spin axis and the shadow table for the current inclination: the angle between
+// the spin axis and the direction from the black hole to the camera
+function updateKerrUniforms(lensing, params, blackHoleWorldPosition, camera) {
+    const { lensingMaterial, shadowTexture } = lensing;
+    const spinAxis = lensingMaterial.uniforms.spinAxis.value;
+    spinAxis.fromArray(spinAxisDirection(params.spinAxisTilt, params.spinAxisAzimuth));
+    lensingMaterial.uniforms.blackHoleSpin.value = params.blackHoleSpin;
+    if (params.blackHoleSpin <= 0) return; // The shader uses 3√3 M directly
+
+    const toCamera = camera.position.clone().sub(blackHoleWorldPosition).normalize();
+    const inclination = Math.acos(THREE.MathUtils.clamp(spinAxis.dot(toCamera), -1, 1));
+    const key = `${params.blackHoleSpin.toFixed(4)}:${inclination.toFixed(3)}`;
+    if (key === lensing.shadowTableKey) return;
+    lensing.shadowTableKey = key;
+    shadowTexture.image.data.set(buildShadowTable(params.blackHoleSpin, inclination, SHADOW_TABLE_SIZE));
+    shadowTexture.needsUpdate = true;
+}
+
+// Source catalog positions (after proper motion) and shapes. extraSources
+// (e.g. the microlensing source) come first so the catalog can't crowd them out.
+function updateSourceUniforms(lensingMaterial, params, time, extraSources) {
+    const uniforms = lensingMaterial.uniforms;
+    const catalog = params.showSourceCatalog ? [...extraSources, ...params.sourceCatalog] : extraSources;
+    const packed = packSourceCatalog(catalog, params.animateSources ? time : 0, params.starAngularSize);
+    uniforms.sourceCount.value = packed.count;
+    uniforms.sourceBrightness.value = params.sourceBrightness;
+    for (let i = 0; i < packed.count; i++) {
+        uniforms.sourceDirections.value[i].fromArray(packed.directions[i]);
+        uniforms.sourceColors.value[i].fromArray(packed.colors[i]);
+        uniforms.sourceShapes.value[i].fromArray(packed.shapes[i]);
+    }
+}
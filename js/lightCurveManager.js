@@ -0,0 +1,227 @@
+// js/lightCurveManager.js
+import * as THREE from 'three';
+import { buildMagnificationMap, computeLightCurve, sourceTrajectory, lightCurveToCSV } from './microlensing.js';
+import { skyCoordinates } from './sourceCatalog.js';
+import { tangentPlanePosition, einsteinTangent } from './lensSystem.js';
+
+const PADDING = 25;
+const TICK_LENGTH = 5;
+const MAP_RESOLUTION = 256;
+const MAP_REBUILD_INTERVAL = 1.0; // Seconds; a binary orbit moves the lenses every frame
+
+// Creates the light curve canvas in `container` and returns its state for the
+// other functions here
+export function setupLightCurveCanvas(params, container) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'light-curve-canvas';
+    container.appendChild(canvas);
+    const lc = {
+        canvas,
+        ctx: canvas.getContext('2d'),
+        curve: [], // [{ t, x, y, u, magnification }], see computeLightCurve
+        map: null,
+        mapKey: undefined, // Lens layout and extent the map was built for
+        curveKey: undefined, // Event parameters and map the curve was computed for
+        lastMapBuildTime: -Infinity,
+    };
+    canvas.style.display = params.showMicrolensing ? 'block' : 'none';
+    handleLightCurveResize(lc);
+    return lc;
+}
+
+export function toggleLightCurveVisibility(lc, show) {
+    if (lc) {
+        lc.canvas.style.display = show ? 'block' : 'none';
+    }
+}
+
+export function handleLightCurveResize(lc) {
+    if (lc) {
+        const { canvas, ctx } = lc;
+        const dpr = window.devicePixelRatio;
+        canvas.width = canvas.offsetWidth * dpr;
+        canvas.height = canvas.offsetHeight * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+}
+
+// Current event parameters from PARAMS (angle in radians)
+function getEvent(params) {
+    return {
+        u0: params.microlensingU0,
+        tE: params.microlensingTE,
+        t0: params.microlensingT0,
+        angle: THREE.MathUtils.degToRad(params.microlensingAngle),
+    };
+}
+
+/**
+ * Advances the microlensing event, keeps the light curve up to date for the
+ * current lens layout and redraws it. Returns the moving source as a catalog
+ * entry (see sourceCatalog.js) so it is rendered through the lens, or null
+ * when the mode is off.
+ */
+export function updateLightCurve(lc, params, lenses, camera, elapsedTime) {
+    if (!params.showMicrolensing) return null;
+
+    const event = getEvent(params);
+    const halfWindow = params.microlensingWindow;
+    const span = 2 * halfWindow * event.tE;
+    const time = event.t0 - halfWindow * event.tE + (elapsedTime * params.microlensingDaysPerSecond) % span;
+
+    // Lens layout in units of the primary's Einstein radius, as seen from the camera
+    camera.updateMatrixWorld();
+    const thetaE = einsteinTangent(params, lenses[0], camera);
+    const center = tangentPlanePosition(lenses[0].position, camera);
+    const layout = lenses.map(lens => {
+        const p = tangentPlanePosition(lens.position, camera);
+        return { x: (p.x - center.x) / thetaE, y: (p.y - center.y) / thetaE, massRatio: lens.massRatio };
+    });
+
+    if (layout.length > 1) {
+        const halfSize = Math.hypot(halfWindow, event.u0) + 2 * params.microlensingSourceRadius + 0.2;
+        // Quantized so small camera moves don't trigger a rebuild
+        const round = (v) => Math.round(v * 20) / 20;
+        const key = JSON.stringify([round(halfSize), layout.map(l => [round(l.x), round(l.y), l.massRatio])]);
+        if (key !== lc.mapKey && (!lc.map || Math.abs(elapsedTime - lc.lastMapBuildTime) >= MAP_REBUILD_INTERVAL)) { // abs: the timeline can rewind
+            lc.map = buildMagnificationMap(layout, halfSize, MAP_RESOLUTION);
+            lc.mapKey = key;
+            lc.lastMapBuildTime = elapsedTime;
+        }
+    } else {
+        lc.map = null;
+        lc.mapKey = undefined;
+    }
+
+    const key = JSON.stringify([event, halfWindow, params.microlensingSourceRadius, lc.mapKey]);
+    if (key !== lc.curveKey) {
+        lc.curve = computeLightCurve(event, {
+            lenses: layout, map: lc.map, halfWindow, sourceRadius: params.microlensingSourceRadius,
+        });
+        lc.curveKey = key;
+    }
+    drawLightCurve(lc, time);
+
+    // Send the source's tangent-plane position back out through the camera
+    const position = sourceTrajectory(time, event);
+    const direction = new THREE.Vector3(center.x + position.x * thetaE, center.y + position.y * thetaE, -1)
+        .transformDirection(camera.matrixWorld);
+    return {
+        name: 'Microlensing Source',
+        type: 'star',
+        ...skyCoordinates(direction.toArray()),
+        magnitude: 0,
+        color: '#ffffff',
+    };
+}
+
+function drawLightCurve(lc, currentTime) {
+    const { canvas, ctx, curve: lightCurve } = lc;
+    if (lightCurve.length === 0) return;
+
+    const width = canvas.offsetWidth;
+    const height = canvas.offsetHeight;
+    const graphWidth = width - 2 * PADDING;
+    const graphHeight = height - 2 * PADDING;
+    ctx.clearRect(0, 0, width, height);
+
+    const tMin = lightCurve[0].t;
+    const tMax = lightCurve[lightCurve.length - 1].t;
+    const finite = lightCurve.map(p => p.magnification).filter(isFinite);
+    const maxA = Math.max(...finite, 1.1) * 1.05;
+    const toX = (t) => PADDING + (t - tMin) / (tMax - tMin) * graphWidth;
+    const toY = (a) => height - PADDING - (Math.min(a, maxA) - 1) / (maxA - 1) * graphHeight;
+
+    // --- Axes, labels and ticks ---
+    ctx.strokeStyle = 'rgba(150, 150, 200, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(PADDING, PADDING);
+    ctx.lineTo(PADDING, height - PADDING);
+    ctx.lineTo(width - PADDING, height - PADDING);
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(200, 200, 230, 0.9)';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Time (days)', PADDING + graphWidth / 2, height - PADDING / 2.5);
+    ctx.save();
+    ctx.translate(PADDING / 2.5, PADDING + graphHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Magnification A', 0, 0);
+    ctx.restore();
+
+    ctx.beginPath();
+    const numXTicks = 4;
+    for (let i = 0; i <= numXTicks; i++) {
+        const t = tMin + (i / numXTicks) * (tMax - tMin);
+        const x = toX(t);
+        ctx.moveTo(x, height - PADDING);
+        ctx.lineTo(x, height - PADDING + TICK_LENGTH);
+        ctx.fillText(t.toFixed(1), x, height - PADDING + TICK_LENGTH + 10);
+    }
+    const numYTicks = 3;
+    ctx.textAlign = 'right';
+    for (let i = 0; i <= numYTicks; i++) {
+        const a = 1 + (i / numYTicks) * (maxA - 1);
+        const y = toY(a);
+        ctx.moveTo(PADDING, y);
+        ctx.lineTo(PADDING - TICK_LENGTH, y);
+        ctx.fillText(a.toFixed(1), PADDING - TICK_LENGTH - 1, y + 3);
+    }
+    ctx.stroke();
+
+    // --- Curve ---
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(255, 210, 120, 0.9)';
+    ctx.lineWidth = 1.5;
+    let started = false;
+    lightCurve.forEach(point => {
+        if (!isFinite(point.magnification)) return;
+        const x = toX(point.t), y = toY(point.magnification);
+        if (started) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+            started = true;
+        }
+    });
+    ctx.stroke();
+
+    // --- Cursor at the current time ---
+    const index = Math.round((currentTime - tMin) / (tMax - tMin) * (lightCurve.length - 1));
+    const current = lightCurve[Math.min(Math.max(index, 0), lightCurve.length - 1)];
+    const cursorX = toX(currentTime);
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(255, 100, 100, 0.8)';
+    ctx.setLineDash([2, 2]);
+    ctx.moveTo(cursorX, PADDING);
+    ctx.lineTo(cursorX, height - PADDING);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    if (isFinite(current.magnification)) {
+        ctx.fillStyle = 'rgba(255, 100, 100, 0.9)';
+        ctx.beginPath();
+        ctx.arc(cursorX, toY(current.magnification), 3, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+    ctx.textAlign = 'right';
+    ctx.fillText(`t = ${currentTime.toFixed(1)} d, u = ${current.u.toFixed(3)}, A = ${current.magnification.toFixed(2)}`,
+        width - PADDING, PADDING - 8);
+    ctx.textAlign = 'left';
+}
+
+// Downloads the current light curve as CSV
+export function exportLightCurveCSV(lc) {
+    if (!lc || lc.curve.length === 0) {
+        console.warn("No light curve to export; enable the microlensing mode first.");
+        return;
+    }
+    const blob = new Blob([lightCurveToCSV(lc.curve)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'light-curve.csv';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
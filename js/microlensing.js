@@ -0,0 +1,129 @@
+// js/microlensing.js
+// Microlensing events: a source moving on a straight line past the lens, and
+// its magnification over time. Positions are in units of the primary lens's
+// Einstein radius θ_E, with the primary at the origin; times are in days.
+// Pure math, no THREE or DOM access.
+
+// Point lens: A(u) = (u² + 2) / (u sqrt(u² + 4))
+export function pointLensMagnification(u) {
+    if (u <= 0) return Infinity;
+    return (u * u + 2) / (u * Math.sqrt(u * u + 4));
+}
+
+// Magnitude change of a magnified source (negative is brighter)
+export function magnitudeShift(magnification) {
+    return -2.5 * Math.log10(magnification);
+}
+
+/**
+ * Source position at time t for event = { u0, tE, t0, angle }: it moves along
+ * `angle` (radians from +x) at one Einstein radius per tE and passes closest to
+ * the primary, at distance u0 (to its left), at t0.
+ */
+export function sourceTrajectory(t, event) {
+    const tau = (t - event.t0) / event.tE;
+    const c = Math.cos(event.angle), s = Math.sin(event.angle);
+    return { x: tau * c - event.u0 * s, y: tau * s + event.u0 * c };
+}
+
+// Lens equation for point masses: β = θ - Σ m_i (θ - θ_i) / |θ - θ_i|², with
+// lenses = [{ x, y, massRatio }] (mass relative to the primary)
+export function lensEquation(x, y, lenses) {
+    let bx = x, by = y;
+    for (const lens of lenses) {
+        const dx = x - lens.x, dy = y - lens.y;
+        const r2 = dx * dx + dy * dy;
+        if (r2 === 0) continue;
+        bx -= lens.massRatio * dx / r2;
+        by -= lens.massRatio * dy / r2;
+    }
+    return [bx, by];
+}
+
+/**
+ * Magnification map of the source plane over [-halfSize, halfSize]² by inverse
+ * ray shooting: rays on a regular grid in the image plane are mapped through
+ * the lens equation and counted per source-plane bin. A bin's magnification is
+ * its ray density relative to the unlensed density. The rays are jittered
+ * within their cells (deterministically) so the grid does not alias into
+ * streaks, and the shooting region is padded so the images of every source in
+ * the map are covered.
+ */
+export function buildMagnificationMap(lenses, halfSize, resolution = 256, raysPerSide = 1500) {
+    const totalMass = lenses.reduce((sum, lens) => sum + lens.massRatio, 0);
+    const lensExtent = lenses.reduce((max, lens) => Math.max(max, Math.abs(lens.x), Math.abs(lens.y)), 0);
+    const shootHalfSize = Math.max(halfSize, lensExtent) + 2 * Math.sqrt(totalMass) + 1;
+    const rayStep = 2 * shootHalfSize / raysPerSide;
+    const binSize = 2 * halfSize / resolution;
+    const counts = new Float32Array(resolution * resolution);
+
+    let seed = 1;
+    const jitter = () => {
+        seed = (seed * 16807) % 2147483647; // Park–Miller
+        return seed / 2147483647;
+    };
+    for (let j = 0; j < raysPerSide; j++) {
+        for (let i = 0; i < raysPerSide; i++) {
+            const x = -shootHalfSize + (i + jitter()) * rayStep;
+            const y = -shootHalfSize + (j + jitter()) * rayStep;
+            const [bx, by] = lensEquation(x, y, lenses);
+            const bi = Math.floor((bx + halfSize) / binSize);
+            const bj = Math.floor((by + halfSize) / binSize);
+            if (bi >= 0 && bi < resolution && bj >= 0 && bj < resolution) {
+                counts[bj * resolution + bi] += 1;
+            }
+        }
+    }
+
+    const raysPerUnlensedBin = (binSize * binSize) / (rayStep * rayStep);
+    for (let k = 0; k < counts.length; k++) counts[k] /= raysPerUnlensedBin;
+    return { halfSize, resolution, data: counts };
+}
+
+// Mean magnification of a uniform disk source of radius sourceRadius at (x, y)
+// (at least one bin). NaN outside the map.
+export function sampleMagnificationMap(map, x, y, sourceRadius) {
+    const { halfSize, resolution, data } = map;
+    const binSize = 2 * halfSize / resolution;
+    const ci = (x + halfSize) / binSize - 0.5;
+    const cj = (y + halfSize) / binSize - 0.5;
+    const radiusBins = Math.max(sourceRadius / binSize, 0.5);
+    let sum = 0, count = 0;
+    for (let j = Math.ceil(cj - radiusBins); j <= Math.floor(cj + radiusBins); j++) {
+        for (let i = Math.ceil(ci - radiusBins); i <= Math.floor(ci + radiusBins); i++) {
+            if (i < 0 || i >= resolution || j < 0 || j >= resolution) continue;
+            if ((i - ci) * (i - ci) + (j - cj) * (j - cj) > radiusBins * radiusBins) continue;
+            sum += data[j * resolution + i];
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : NaN;
+}
+
+/**
+ * Light curve [{ t, x, y, u, magnification }] over t0 ± halfWindow·tE. With only
+ * the primary (lenses omitted or a single lens) A(u) is analytic; otherwise it
+ * is read from `map` (see buildMagnificationMap), built for the same lenses.
+ */
+export function computeLightCurve(event, { lenses = [], map = null, halfWindow = 2, samples = 400, sourceRadius = 0.05 } = {}) {
+    const curve = [];
+    const start = event.t0 - halfWindow * event.tE;
+    const span = 2 * halfWindow * event.tE;
+    for (let k = 0; k < samples; k++) {
+        const t = start + span * k / (samples - 1);
+        const { x, y } = sourceTrajectory(t, event);
+        const u = Math.hypot(x, y);
+        const magnification = (lenses.length > 1 && map)
+            ? sampleMagnificationMap(map, x, y, sourceRadius)
+            : pointLensMagnification(u);
+        curve.push({ t, x, y, u, magnification });
+    }
+    return curve;
+}
+
+// CSV with one row per sample; time in days, u in Einstein radii
+export function lightCurveToCSV(curve) {
+    const rows = curve.map(p =>
+        [p.t.toFixed(5), p.u.toFixed(6), p.magnification.toFixed(6), magnitudeShift(p.magnification).toFixed(6)].join(','));
+    return ['time_days,u,magnification,delta_mag', ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,146 @@
+// js/observerCamera.js
+import * as THREE from 'three';
+import {
+    MIN_OBSERVER_RADIUS, observerState, orbitalAngularVelocity, freeFallRadius,
+} from './observerMotion.js';
+import { spinAxisDirection } from './kerr.js';
+import { C } from './physicalUnits.js';
+
+// Places the camera for the observer modes (see observerMotion.js) and keeps
+// the observer's clocks. 'distant' leaves the camera to OrbitControls. A static
+// observer can still be orbited around the hole, but at a fixed radius; the
+// orbiting and falling observers are moved along their worldlines, looking at
+// the hole. The orbit runs prograde in the spin equator, and the fall starts
+// from wherever the camera was, restarting just outside the horizon.
+// The simulation clock advances in the observer's proper time τ, at
+// params.observerTimeScale M per second.
+
+const DISTANT_DISTANCE_LIMITS = [2, 100]; // OrbitControls min/maxDistance, as set in sceneSetup.js
+const MODE_NAMES = {
+    static: 'Static observer',
+    orbiting: 'Circular orbit',
+    falling: 'Radial free fall',
+};
+
+// Creates the HUD in `container`; returns the observer's state for the
+// functions here
+export function setupObserverCamera(container) {
+    const hudElement = document.createElement('div');
+    hudElement.className = 'observer-hud';
+    container.appendChild(hudElement);
+    return {
+        mode: 'distant',
+        startDirection: new THREE.Vector3(0, 0, 1), // From the hole toward the observer when the mode began
+        distantTarget: new THREE.Vector3(), // OrbitControls target to restore
+        orbitAngle: 0,
+        properTime: 0, // τ, in M
+        coordinateTime: 0, // t of a clock at infinity, in M
+        hudElement,
+    };
+}
+
+// Zeroes the clocks and restarts the orbit or the fall
+export function restartObserver(observer) {
+    observer.orbitAngle = 0;
+    observer.properTime = 0;
+    observer.coordinateTime = 0;
+}
+
+function enterMode(observer, mode, camera, controls, blackHolePosition) {
+    const { startDirection } = observer;
+    if (observer.mode === 'distant') observer.distantTarget.copy(controls.target);
+    startDirection.copy(camera.position).sub(blackHolePosition);
+    if (startDirection.lengthSq() < 1e-12) startDirection.set(0, 0, 1);
+    startDirection.normalize();
+    observer.mode = mode;
+    restartObserver(observer);
+
+    const distant = mode === 'distant';
+    controls.enabled = distant || mode === 'static';
+    controls.enablePan = distant;
+    controls.enableZoom = distant;
+    if (distant) {
+        [controls.minDistance, controls.maxDistance] = DISTANT_DISTANCE_LIMITS;
+        controls.target.copy(observer.distantTarget);
+    }
+}
+
+/**
+ * Moves the camera for params.observerMode and advances the clocks by
+ * deltaTime seconds. Returns { mode, radius (M), speed, lorentzFactor, lapse,
+ * timeDilation, velocity (β as a world-space THREE.Vector3), properTime,
+ * coordinateTime } for the shader uniforms and the HUD.
+ */
+export function updateObserverCamera(observer, params, camera, controls, blackHolePosition, deltaTime) {
+    const mode = params.observerMode;
+    if (mode !== observer.mode) enterMode(observer, mode, camera, controls, blackHolePosition);
+    const { startDirection } = observer;
+    const mass = params.eventHorizonRadius / 2;
+    const velocity = new THREE.Vector3();
+
+    if (mode === 'distant') {
+        const radius = camera.position.distanceTo(blackHolePosition) / mass;
+        return { mode, radius, ...observerState(mode, radius), velocity, properTime: 0, coordinateTime: 0 };
+    }
+
+    let radius = Math.max(params.observerRadius, MIN_OBSERVER_RADIUS[mode]);
+    const step = deltaTime * params.observerTimeScale; // Proper time this frame, in M
+
+    if (mode === 'static') {
+        // OrbitControls picks the direction; the radius is pinned
+        controls.target.copy(blackHolePosition);
+        controls.minDistance = controls.maxDistance = radius * mass;
+        const direction = camera.position.clone().sub(blackHolePosition).normalize();
+        camera.position.copy(blackHolePosition).addScaledVector(direction, radius * mass);
+    } else if (mode === 'orbiting') {
+        const axis = new THREE.Vector3().fromArray(spinAxisDirection(params.spinAxisTilt, params.spinAxisAzimuth));
+        const e1 = startDirection.clone().addScaledVector(axis, -startDirection.dot(axis));
+        if (e1.lengthSq() < 1e-8) e1.set(1, 0, 0).addScaledVector(axis, -axis.x); // Started over a pole
+        e1.normalize();
+        const e2 = new THREE.Vector3().crossVectors(axis, e1);
+        observer.orbitAngle += orbitalAngularVelocity(radius) * step;
+        const { orbitAngle } = observer;
+        const radial = e1.clone().multiplyScalar(Math.cos(orbitAngle)).addScaledVector(e2, Math.sin(orbitAngle));
+        velocity.copy(e2).multiplyScalar(Math.cos(orbitAngle)).addScaledVector(e1, -Math.sin(orbitAngle));
+        camera.position.copy(blackHolePosition).addScaledVector(radial, radius * mass);
+    } else {
+        radius = freeFallRadius(radius, observer.properTime + step);
+        if (radius < MIN_OBSERVER_RADIUS.falling) {
+            restartObserver(observer);
+            radius = Math.max(params.observerRadius, MIN_OBSERVER_RADIUS.falling);
+        }
+        velocity.copy(startDirection).negate();
+        camera.position.copy(blackHolePosition).addScaledVector(startDirection, radius * mass);
+    }
+    if (mode !== 'static') camera.lookAt(blackHolePosition);
+
+    const state = observerState(mode, radius);
+    velocity.multiplyScalar(state.speed);
+    observer.properTime += step;
+    observer.coordinateTime += step / state.timeDilation;
+    return { mode, radius, ...state, velocity, properTime: observer.properTime, coordinateTime: observer.coordinateTime };
+}
+
+// Radius, local speed and clocks of the observer; hidden for the distant camera.
+// With physical units the times are also given in seconds (M = GM/c³).
+// `state` is from setupObserverCamera, `observer` from updateObserverCamera.
+export function updateObserverHud(state, params, observer, physical) {
+    if (!state) return;
+    const { hudElement } = state;
+    const show = !!observer && observer.mode !== 'distant';
+    hudElement.style.display = show ? 'block' : 'none';
+    if (!show) return;
+
+    const secondsPerM = physical.schwarzschildRadius / (2 * C);
+    const formatTime = (t) => params.usePhysicalUnits
+        ? `${t.toFixed(1)} M (${(t * secondsPerM).toPrecision(3)} s)`
+        : `${t.toFixed(1)} M`;
+    hudElement.innerHTML = `
+        <strong>${MODE_NAMES[observer.mode]}</strong>
+        <p>r = ${observer.radius.toFixed(2)} M (${(observer.radius / 2).toFixed(2)} r<sub>s</sub>)</p>
+        <p>v = ${observer.speed.toFixed(3)} c, γ = ${observer.lorentzFactor.toFixed(3)}</p>
+        <p>dτ/dt = ${observer.timeDilation.toFixed(4)}</p>
+        <p>τ = ${formatTime(observer.properTime)}</p>
+        <p>t<sub>∞</sub> = ${formatTime(observer.coordinateTime)}</p>
+    `;
+}
@@ -0,0 +1,64 @@
+// js/observerMotion.js
+// Kinematics of an observer near the primary, treated as a Schwarzschild hole
+// (the spin is ignored here). Radii and times are in units of M (G = c = 1).
+// Velocities are measured by the static observer at the same radius. That
+// static frame is the one the lensing shader traces rays in, so the camera's
+// rays are aberrated into it and the sky is shifted by the observer's motion
+// and depth in the potential. Pure math, no THREE or DOM access.
+import { orbitalSpeed, lorentzFactor, gravitationalRedshiftFactor } from './diskRelativity.js';
+
+// Closest approach for each mode: the static frame breaks down at the horizon,
+// and circular orbits need r > 3M
+export const MIN_OBSERVER_RADIUS = { static: 2.05, orbiting: 3.05, falling: 2.05 };
+
+/**
+ * State of an observer at radius r (in M) for a mode:
+ * { speed (v/c, static frame), lorentzFactor, lapse (sqrt(1 - 2M/r)),
+ *   timeDilation (dτ/dt against a clock at infinity) }.
+ * 'distant' is the usual camera far from the hole; 'static' hovers at r;
+ * 'orbiting' follows a circular geodesic; 'falling' drops radially from rest
+ * at infinity (E = 1).
+ */
+export function observerState(mode, radius) {
+    if (mode === 'distant') return { speed: 0, lorentzFactor: 1, lapse: 1, timeDilation: 1 };
+    const lapse = gravitationalRedshiftFactor(1, radius);
+    let speed = 0;
+    if (mode === 'orbiting') speed = orbitalSpeed(1, radius);  // sqrt(M / (r - 2M))
+    if (mode === 'falling') speed = Math.sqrt(2 / radius);
+    const gamma = lorentzFactor(speed);
+    return { speed, lorentzFactor: gamma, lapse, timeDilation: lapse / gamma };
+}
+
+// Angular velocity dφ/dτ of the circular orbit: sqrt(M / r³) / sqrt(1 - 3M/r)
+export function orbitalAngularVelocity(radius) {
+    return Math.sqrt(1 / (radius * radius * radius)) / Math.sqrt(Math.max(1 - 3 / radius, 1e-6));
+}
+
+// Radius after falling for proper time τ from r0: dr/dτ = -sqrt(2M/r), so
+// r^3/2 = r0^3/2 - (3/2) sqrt(2M) τ. Returns 0 once the fall has ended.
+export function freeFallRadius(startRadius, properTime) {
+    const r32 = Math.pow(startRadius, 1.5) - 1.5 * Math.SQRT2 * properTime;
+    return r32 > 0 ? Math.pow(r32, 2 / 3) : 0;
+}
+
+// Static-frame direction of a ray the observer sees along `direction`
+// (observer frame, unit), for velocity β (static frame, |β| < 1). Light-
+// direction aberration: n = (n∥ - β + n⊥ / γ) / (1 - β · n).
+export function aberrateDirection(direction, velocity) {
+    const beta = Math.hypot(...velocity);
+    if (beta < 1e-9) return [...direction];
+    const v = velocity.map(c => c / beta);
+    const gamma = lorentzFactor(beta);
+    const parallel = direction.reduce((sum, c, i) => sum + c * v[i], 0);
+    const scale = 1 / (1 - beta * parallel);
+    return direction.map((c, i) => ((parallel - beta) * v[i] + (c - parallel * v[i]) / gamma) * scale);
+}
+
+// Frequency ratio ν_observed / ν_∞ for light from infinity arriving along the
+// static-frame direction `direction` (pointing back at the source):
+// g = γ (1 + β · n) / lapse
+export function observerShiftFactor(direction, velocity, lapse) {
+    const beta = Math.hypot(...velocity);
+    const dot = direction.reduce((sum, c, i) => sum + c * velocity[i], 0);
+    return lorentzFactor(beta) * (1 + dot) / lapse;
+}
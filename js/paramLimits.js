@@ -0,0 +1,99 @@
+// js/paramLimits.js
+// The values each parameter may take: the choices of the option parameters
+// and [min, max, step] of the sliders (max omitted when unbounded).
+// guiManager.js builds its sliders from PARAM_RANGES, and sceneState.js checks
+// scene files, share links and StellarLens.setParams against both.
+// Pure data, no THREE or DOM access.
+import { RENDER_MODES } from './diagnostics.js';
+import { LENS_PROFILES } from './lensModels.js';
+import { LENSING_MODES, SKY_PROJECTIONS } from './lensingConstants.js';
+import { GRAPH_SERIES } from './graphSeries.js';
+import { MIN_OBSERVER_RADIUS } from './observerMotion.js';
+import { EASINGS } from './timeline.js';
+
+export const PARAM_OPTIONS = {
+    lensingMode: Object.keys(LENSING_MODES),
+    renderMode: Object.keys(RENDER_MODES),
+    lensProfile: Object.keys(LENS_PROFILES),
+    skyProjection: Object.keys(SKY_PROJECTIONS),
+    observerMode: ['distant', ...Object.keys(MIN_OBSERVER_RADIUS)],
+    bhAnimationPreset: ['wobble', 'binaryOrbit'],
+    timelineEasing: Object.keys(EASINGS),
+    timelineFps: [24, 25, 30, 60],
+    exportFormat: ['png', 'webm'],
+    graphSeries: GRAPH_SERIES,
+};
+
+export const PARAM_RANGES = {
+    lensingStrength: [0.00001, 0.1, 0.00001],
+    eventHorizonRadius: [0.01, 5.0, 0.01],
+    sieAxisRatio: [0.1, 1.0, 0.01],
+    siePositionAngle: [-90, 90, 1],
+    nfwScaleRadius: [0.1, 10.0, 0.1],
+    blackHoleZ: [-200, -1, 0.1],
+
+    blackHoleMassSolar: [0.1],
+    physicalLensDistanceKm: [1],
+    physicalLensSourceDistanceKm: [1],
+    lensRedshift: [0.01, 5, 0.01],
+    sourceRedshift: [0.02, 10, 0.01],
+    hubbleConstant: [40, 100, 0.1],
+    omegaMatter: [0, 1, 0.01],
+    omegaLambda: [0, 1, 0.01],
+
+    blackHoleSpin: [0.0, 0.998, 0.001],
+    spinAxisTilt: [-90, 90, 0.5],
+    spinAxisAzimuth: [-180, 180, 1],
+
+    observerRadius: [2.1, 100, 0.1],
+    observerTimeScale: [0.1, 50, 0.1],
+
+    solverSourceX: [-3, 3, 0.001],
+    solverSourceY: [-3, 3, 0.001],
+
+    diskInnerRadius: [0.5, 10.0, 0.01],
+    diskOuterRadius: [2.0, 30.0, 0.1],
+    diskNoiseScale: [0.1, 5.0, 0.1],
+    diskTilt: [-90, 90, 0.5],
+    diskOpacity: [0.0, 1.0, 0.01],
+    diskAnimationSpeed: [0.0, 5.0, 0.1],
+    dopplerIntensity: [0.0, 3.0, 0.05],
+    beamingExponent: [0.0, 4.0, 0.1],
+    redshiftIntensity: [0.0, 3.0, 0.05],
+
+    backgroundBrightness: [0.0, 2.0, 0.01],
+    sourceBrightness: [0.0, 5.0, 0.05],
+    starAngularSize: [0.01, 1.0, 0.01],
+
+    microlensingU0: [0.0, 2.0, 0.01],
+    microlensingTE: [1, 200, 1],
+    microlensingT0: [-50, 50, 0.5],
+    microlensingAngle: [-180, 180, 1],
+    microlensingWindow: [0.5, 5.0, 0.1],
+    microlensingDaysPerSecond: [0.1, 50, 0.1],
+    microlensingSourceRadius: [0.005, 0.5, 0.005],
+
+    binarySeparation: [1.0, 30.0, 0.1],
+    binaryEccentricity: [0.0, 0.95, 0.01],
+    binaryInclination: [0, 90, 1],
+    binaryTimeScale: [0.0, 200.0, 1],
+    bhAnimationSpeed: [0.01, 1.0, 0.01],
+    bhAnimationRadius: [0.1, 10.0, 0.1],
+
+    timelineDuration: [1, 120, 0.5],
+
+    exportWidth: [16, 7680, 1],
+    exportHeight: [16, 4320, 1],
+    exportSupersample: [1, 4, 1],
+
+    numVisualizedRays: [1, 50, 1], // MAX_RAYS in rayVisualizer.js
+    rayOriginRadiusFactor: [0.5, 5.0, 0.1],
+    raySourceDistance: [10, 500, 1],
+    rayOpacity: [0.05, 1.0, 0.01],
+
+    bloomStrength: [0.0, 3.0],
+    bloomRadius: [0.0, 2.0],
+    bloomThreshold: [0.0, 1.0],
+
+    targetFps: [15, 120, 1],
+};
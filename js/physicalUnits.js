@@ -0,0 +1,115 @@
+// js/physicalUnits.js
+// Physical parameter model: black hole mass in solar masses plus observer-lens
+// and lens-source distances, and the scene/screen quantities derived from them.
+// Pure math (SI units internally), no THREE or DOM access.
+import { lensingDistances } from './cosmology.js';
+
+export const G = 6.67430e-11;          // m³ kg⁻¹ s⁻²
+export const C = 299792458;            // m s⁻¹
+export const SOLAR_MASS = 1.98847e30;  // kg
+export const KM = 1000;                // m
+export const RAD_TO_ARCSEC = 180 * 3600 / Math.PI;
+
+// r_s = 2GM/c², in meters
+export function schwarzschildRadiusMeters(massSolar) {
+    return 2 * G * massSolar * SOLAR_MASS / (C * C);
+}
+
+// Inverse of schwarzschildRadiusMeters
+export function massFromSchwarzschildRadius(radiusMeters) {
+    return radiusMeters * C * C / (2 * G * SOLAR_MASS);
+}
+
+// θ_E = sqrt(4GM/c² · D_LS / (D_L · D_S)) in radians. D_S defaults to the
+// Euclidean D_L + D_LS; cosmological distances pass all three (see getDistances).
+export function einsteinAngle(massSolar, lensDistance, lensSourceDistance, sourceDistance = lensDistance + lensSourceDistance) {
+    const rs = schwarzschildRadiusMeters(massSolar);
+    return Math.sqrt(2 * rs * lensSourceDistance / (lensDistance * sourceDistance));
+}
+
+// The lensing shader measures offsets in UV units where the screen height is 1
+// (x is aspect-corrected). An angle θ off the view axis lands at
+// tan θ / (2 tan(fov/2)) of the height, and lensingStrength is R_E² in those units.
+export function screenSpaceLensingStrength(einsteinAngleRad, fovDeg) {
+    const halfFov = fovDeg * Math.PI / 360;
+    const radiusUv = Math.tan(einsteinAngleRad) / (2 * Math.tan(halfFov));
+    return radiusUv * radiusUv;
+}
+
+// Σ_cr = c² D_S / (4πG D_L D_LS) in kg m⁻²: a lens is strong (makes multiple
+// images) where its surface density exceeds this
+export function criticalSurfaceDensity(lensDistance, lensSourceDistance, sourceDistance) {
+    return C * C * sourceDistance / (4 * Math.PI * G * lensDistance * lensSourceDistance);
+}
+
+// Observer-lens, lens-source and observer-source distances in meters: the
+// angular-diameter distances for params.lensRedshift/sourceRedshift in the
+// configured cosmology (see cosmology.js), or the Euclidean km distances.
+// lensRedshift is 0 in the Euclidean case.
+export function getDistances(params) {
+    if (params.useCosmology && params.sourceRedshift > params.lensRedshift) {
+        const cosmology = { H0: params.hubbleConstant, omegaM: params.omegaMatter, omegaL: params.omegaLambda };
+        return {
+            ...lensingDistances(params.lensRedshift, params.sourceRedshift, cosmology),
+            lensRedshift: params.lensRedshift,
+        };
+    }
+    const lensDistance = params.physicalLensDistanceKm * KM;
+    const lensSourceDistance = params.physicalLensSourceDistanceKm * KM;
+    return { lensDistance, lensSourceDistance, sourceDistance: lensDistance + lensSourceDistance, lensRedshift: 0 };
+}
+
+/**
+ * Derives the physical quantities for a mass (M☉) and distances (meters, see
+ * getDistances): { massSolar, schwarzschildRadius, photonSphereRadius,
+ *   lensDistance, lensSourceDistance, sourceDistance, lensRedshift,
+ *   einsteinAngle, einsteinAngleArcsec, criticalSurfaceDensity }.
+ * Lengths are in meters, θ_E in radians.
+ */
+export function derivePhysicalQuantities(massSolar, { lensDistance, lensSourceDistance, sourceDistance, lensRedshift = 0 }) {
+    const schwarzschildRadius = schwarzschildRadiusMeters(massSolar);
+    const thetaE = einsteinAngle(massSolar, lensDistance, lensSourceDistance, sourceDistance);
+    return {
+        massSolar,
+        schwarzschildRadius,
+        photonSphereRadius: 1.5 * schwarzschildRadius,
+        lensDistance,
+        lensSourceDistance,
+        sourceDistance,
+        lensRedshift,
+        einsteinAngle: thetaE,
+        einsteinAngleArcsec: thetaE * RAD_TO_ARCSEC,
+        criticalSurfaceDensity: criticalSurfaceDensity(lensDistance, lensSourceDistance, sourceDistance),
+    };
+}
+
+// Quantities for the "physical" parameter set in PARAMS
+export function getPhysicalQuantities(params) {
+    return derivePhysicalQuantities(params.blackHoleMassSolar, getDistances(params));
+}
+
+// Same quantities when the scene is driven by the free sliders instead: the mass
+// is inferred from the world-space horizon, taking the camera-BH distance in
+// the scene to stand for the physical observer-lens distance.
+export function inferPhysicalQuantities(params, sceneLensDistance) {
+    const distances = getDistances(params);
+    const schwarzschildRadius = params.eventHorizonRadius * distances.lensDistance / sceneLensDistance;
+    return derivePhysicalQuantities(massFromSchwarzschildRadius(schwarzschildRadius), distances);
+}
+
+// Length and angle one scene unit at the lens stands for: meters (D_L over
+// the camera-BH scene distance) and arcseconds as seen from the camera
+export function sceneScale(quantities, sceneLensDistance) {
+    return {
+        metersPerUnit: quantities.lensDistance / sceneLensDistance,
+        arcsecPerUnit: RAD_TO_ARCSEC / sceneLensDistance,
+    };
+}
+
+// Overwrites the screen-space parameters from the physical set. The horizon is
+// scaled so it subtends r_s / D_L as seen from the camera at its current
+// scene distance, and the lensing strength follows θ_E and the camera FOV.
+export function applyPhysicalParameters(params, quantities, sceneLensDistance, fovDeg) {
+    params.eventHorizonRadius = quantities.schwarzschildRadius * sceneLensDistance / quantities.lensDistance;
+    params.lensingStrength = screenSpaceLensingStrength(quantities.einsteinAngle, fovDeg);
+}
@@ -0,0 +1,89 @@
+// js/qualityGovernor.js
+// Adaptive quality: averages the frame rate and steps the render quality down
+// while it stays below params.targetFps, and back up once it keeps up again.
+// Each level scales the canvas resolution (relative to devicePixelRatio), the
+// bloom buffers and the number of visualized rays; StellarLens applies them.
+// A level that has to be left again right after stepping up to it is retried
+// only after an ever longer wait, so a machine on the edge settles instead of
+// flickering between two levels.
+// Pure logic, no THREE or DOM access.
+
+export const QUALITY_LEVELS = [
+    { name: 'High', renderScale: 1, bloomScale: 1, rayFraction: 1 },
+    { name: 'Medium', renderScale: 0.75, bloomScale: 0.5, rayFraction: 0.5 },
+    { name: 'Low', renderScale: 0.5, bloomScale: 0.5, rayFraction: 0.25 },
+    { name: 'Lowest', renderScale: 0.35, bloomScale: 0.25, rayFraction: 0 },
+];
+
+const SAMPLE_INTERVAL = 1; // Seconds of frames averaged per decision
+const MAX_FRAME_GAP = 0.5; // Longer frames (a hidden tab, a stall) are not counted
+const DOWNGRADE_RATIO = 0.9; // Step down below this fraction of the target...
+const UPGRADE_RATIO = 0.97; // ...and up at or above this one,
+const UPGRADE_DELAY = 3; // held for this many seconds,
+const MAX_UPGRADE_DELAY = 60; // doubled up to this after each failed step up
+const FAILED_UPGRADE_WINDOW = 5; // Seconds after a step up in which a step down counts against it
+
+// Returns the governor's state, at the top level
+export function createQualityGovernor() {
+    return {
+        level: 0, // Index into QUALITY_LEVELS
+        fps: 0, // Average over the last sample
+        frames: 0,
+        time: 0,
+        timeAtTarget: 0, // Seconds the average has kept up at this level
+        upgradeDelay: UPGRADE_DELAY,
+        sinceUpgrade: Infinity,
+    };
+}
+
+/**
+ * Counts one frame that took deltaTime seconds of wall-clock time and returns
+ * true when the level changed. With params.adaptiveQuality off the governor
+ * holds the top level.
+ */
+export function updateQualityGovernor(governor, params, deltaTime) {
+    if (!params.adaptiveQuality) {
+        const changed = governor.level !== 0;
+        Object.assign(governor, createQualityGovernor());
+        return changed;
+    }
+    if (!(deltaTime > 0) || deltaTime > MAX_FRAME_GAP) return false;
+    governor.frames++;
+    governor.time += deltaTime;
+    governor.sinceUpgrade += deltaTime;
+    if (governor.time < SAMPLE_INTERVAL) return false;
+
+    const sampleTime = governor.time;
+    governor.fps = governor.frames / sampleTime;
+    governor.frames = 0;
+    governor.time = 0;
+
+    if (governor.fps < params.targetFps * DOWNGRADE_RATIO) {
+        governor.timeAtTarget = 0;
+        if (governor.level === QUALITY_LEVELS.length - 1) return false;
+        if (governor.sinceUpgrade < FAILED_UPGRADE_WINDOW) {
+            governor.upgradeDelay = Math.min(2 * governor.upgradeDelay, MAX_UPGRADE_DELAY);
+        }
+        governor.level++;
+        return true;
+    }
+    if (governor.fps < params.targetFps * UPGRADE_RATIO || governor.level === 0) {
+        governor.timeAtTarget = 0;
+        return false;
+    }
+    governor.timeAtTarget += sampleTime;
+    if (governor.timeAtTarget < governor.upgradeDelay) return false;
+    governor.timeAtTarget = 0;
+    governor.sinceUpgrade = 0;
+    governor.level--;
+    return true;
+}
+
+export function getQualityLevel(governor) {
+    return QUALITY_LEVELS[governor.level];
+}
+
+// Rays the visualizer draws at this quality level
+export function visualizedRayCount(params, quality) {
+    return Math.round(params.numVisualizedRays * quality.rayFraction);
+}
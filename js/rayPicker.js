@@ -0,0 +1,211 @@
+// js/rayPicker.js
+import * as THREE from 'three';
+import { traceCameraGeodesic } from './rayVisualizer.js';
+import { skyCoordinates } from './sourceCatalog.js';
+
+// Click on the canvas to trace that pixel's ray through the primary's
+// Schwarzschild geodesic and pin it; hold Shift while moving the mouse for a
+// live preview. Pinned rays are snapshots: they stay where they were traced
+// when the camera or the black hole moves, so several can be compared.
+
+const MAX_PINNED_RAYS = 8;
+const CLICK_TOLERANCE = 4; // Pixels the pointer may move before a click counts as a drag
+const PINNED_COLORS = ['#ff5c5c', '#5cd1ff', '#8cff5c', '#ffd15c', '#d25cff', '#5cffc4', '#ff9a5c', '#ffffff'];
+
+// Builds the picker's scene objects and overlays (in `container`) and starts
+// listening on domElement; returns the picker's state for the functions here
+export function setupRayPicker(scene, camera, domElement, params, blackHoleMesh, container) {
+    const picker = {
+        scene,
+        camera,
+        domElement,
+        params,
+        blackHole: blackHoleMesh,
+        group: new THREE.Group(),
+        hoverLine: createRayLine('#ffffff', 0.6),
+        pinnedRays: [], // [{ line, info, color }]
+        tooltipElement: document.createElement('div'),
+        pinnedListElement: document.createElement('div'),
+        pointerDownPosition: null,
+        nextColorIndex: 0,
+    };
+    scene.add(picker.group);
+    picker.hoverLine.visible = false;
+    picker.group.add(picker.hoverLine);
+
+    picker.tooltipElement.className = 'ray-tooltip';
+    picker.pinnedListElement.className = 'pinned-rays';
+    container.append(picker.tooltipElement, picker.pinnedListElement);
+
+    picker.listeners = {
+        pointerdown: (event) => onPointerDown(picker, event),
+        pointerup: (event) => onPointerUp(picker, event),
+        pointermove: (event) => onPointerMove(picker, event),
+        pointerleave: () => hideHover(picker),
+    };
+    Object.entries(picker.listeners).forEach(([type, listener]) => domElement.addEventListener(type, listener));
+    return picker;
+}
+
+// Removes the picker's listeners, lines and overlays
+export function disposeRayPicker(picker) {
+    if (!picker) return;
+    clearPinnedRays(picker);
+    Object.entries(picker.listeners).forEach(([type, listener]) => picker.domElement.removeEventListener(type, listener));
+    picker.scene.remove(picker.group);
+    picker.hoverLine.geometry.dispose();
+    picker.hoverLine.material.dispose();
+    picker.tooltipElement.remove();
+    picker.pinnedListElement.remove();
+}
+
+function createRayLine(color, opacity) {
+    const material = new THREE.LineBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false,
+        depthTest: false, // Draw on top, like the ray visualizer
+    });
+    return new THREE.Line(new THREE.BufferGeometry(), material);
+}
+
+/**
+ * Traces the ray through the canvas pixel (clientX, clientY). Returns null if
+ * it points away from the black hole or lies in the split view's source pane,
+ * otherwise
+ * { points, impactParameter, deflection (rad, Infinity if captured),
+ *   closestApproach, captured, mass, sky: { lon, lat } | null }.
+ */
+export function pickRay(picker, clientX, clientY) {
+    const { camera: cameraRef, params: paramsRef, blackHole: blackHoleRef } = picker;
+    const rect = picker.domElement.getBoundingClientRect();
+    const viewWidth = paramsRef.splitView ? rect.width / 2 : rect.width; // The image pane, see splitView.js
+    const ndc = new THREE.Vector3(
+        ((clientX - rect.left) / viewWidth) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1,
+        0.5
+    );
+    if (ndc.x > 1) return null; // Over the split view's source pane
+    const direction = ndc.unproject(cameraRef).sub(cameraRef.position).normalize();
+    const mass = paramsRef.eventHorizonRadius / 2; // r_s = 2M in world units
+    const trace = traceCameraGeodesic(cameraRef.position, direction, blackHoleRef.position, mass, paramsRef.raySourceDistance);
+    if (!trace) return null;
+
+    const { geodesic } = trace;
+    return {
+        points: trace.points,
+        impactParameter: geodesic.impactParameter,
+        deflection: geodesic.deflection,
+        closestApproach: geodesic.closestApproach,
+        captured: geodesic.captured,
+        mass,
+        sky: trace.skyDirection ? skyCoordinates(trace.skyDirection.toArray()) : null,
+    };
+}
+
+function onPointerDown(picker, event) {
+    picker.pointerDownPosition = { x: event.clientX, y: event.clientY };
+}
+
+function onPointerUp(picker, event) {
+    const { pointerDownPosition } = picker;
+    if (!pointerDownPosition || event.button !== 0 || !picker.params.enableRayPicking) return;
+    const moved = Math.hypot(event.clientX - pointerDownPosition.x, event.clientY - pointerDownPosition.y);
+    picker.pointerDownPosition = null;
+    if (moved > CLICK_TOLERANCE) return; // Orbit drag, not a click
+
+    const info = pickRay(picker, event.clientX, event.clientY);
+    if (info) pinRay(picker, info);
+}
+
+function onPointerMove(picker, event) {
+    if (!picker.params.enableRayPicking || !event.shiftKey || event.buttons !== 0) {
+        hideHover(picker);
+        return;
+    }
+    const info = pickRay(picker, event.clientX, event.clientY);
+    if (!info) {
+        hideHover(picker);
+        return;
+    }
+    const { hoverLine, tooltipElement } = picker;
+    hoverLine.geometry.setFromPoints(info.points);
+    hoverLine.geometry.computeBoundingSphere();
+    hoverLine.visible = true;
+    tooltipElement.innerHTML = formatRayInfo(info);
+    tooltipElement.style.left = `${event.clientX + 14}px`;
+    tooltipElement.style.top = `${event.clientY + 14}px`;
+    tooltipElement.style.display = 'block';
+}
+
+function hideHover(picker) {
+    picker.hoverLine.visible = false;
+    picker.tooltipElement.style.display = 'none';
+}
+
+function pinRay(picker, info) {
+    if (picker.pinnedRays.length >= MAX_PINNED_RAYS) {
+        removePinnedRay(picker, picker.pinnedRays[0]);
+    }
+    const color = PINNED_COLORS[picker.nextColorIndex++ % PINNED_COLORS.length];
+    const line = createRayLine(color, 0.9);
+    line.geometry.setFromPoints(info.points);
+    line.geometry.computeBoundingSphere();
+    picker.group.add(line);
+    picker.pinnedRays.push({ line, info, color });
+    updatePinnedList(picker);
+}
+
+function removePinnedRay(picker, ray) {
+    picker.group.remove(ray.line);
+    ray.line.geometry.dispose();
+    ray.line.material.dispose();
+    picker.pinnedRays = picker.pinnedRays.filter(r => r !== ray);
+    updatePinnedList(picker);
+}
+
+export function clearPinnedRays(picker) {
+    if (picker) [...picker.pinnedRays].forEach(ray => removePinnedRay(picker, ray));
+}
+
+// Shows or hides the picked rays, e.g. when picking is switched off
+export function toggleRayPickerVisibility(picker, show) {
+    if (!picker) return;
+    picker.group.visible = show;
+    picker.pinnedListElement.style.display = show && picker.pinnedRays.length > 0 ? 'block' : 'none';
+    if (!show) hideHover(picker);
+}
+
+function updatePinnedList(picker) {
+    const { pinnedListElement, pinnedRays } = picker;
+    pinnedListElement.innerHTML = '';
+    pinnedListElement.style.display = pinnedRays.length > 0 && picker.params.enableRayPicking ? 'block' : 'none';
+    pinnedRays.forEach((ray, index) => {
+        const item = document.createElement('div');
+        item.className = 'pinned-ray';
+        item.style.borderLeftColor = ray.color;
+        item.innerHTML = `<strong>Ray ${index + 1}</strong> ${formatRayInfo(ray.info)}`;
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove';
+        removeButton.addEventListener('click', () => removePinnedRay(picker, ray));
+        item.prepend(removeButton);
+        pinnedListElement.appendChild(item);
+    });
+}
+
+function formatRayInfo(info) {
+    const { mass } = info;
+    const lines = [
+        `b = ${info.impactParameter.toFixed(3)} (${(info.impactParameter / mass).toFixed(2)} M)`,
+        `r<sub>min</sub> = ${info.closestApproach.toFixed(3)} (${(info.closestApproach / mass).toFixed(2)} M)`,
+    ];
+    if (info.captured) {
+        lines.push('Captured by the black hole');
+    } else {
+        lines.push(`α = ${THREE.MathUtils.radToDeg(info.deflection).toFixed(3)}°`);
+        lines.push(`Sky: lon ${info.sky.lon.toFixed(2)}°, lat ${info.sky.lat.toFixed(2)}°`);
+    }
+    return lines.join('<br>');
+}
@@ -0,0 +1,350 @@
+// js/referenceRenderer.js
+// CPU mirror of lensing.frag for golden-image checks of the lensing math: the
+// same ray unprojection through the inverse matrices, horizon tests,
+// weak-field thin-lens mapping, strong-field table lookups (Schwarzschild and
+// Kerr shadow) and background sampling, one pixel at a time in double
+// precision. It renders the lensed sky (renderMode 'sky') without the
+// accretion disk, which the shader reads from a texture baked on the GPU, as
+// if no disk had been passed to updateLensingUniforms.
+// Differences to expect from the GPU: float precision, and the sky texture is
+// sampled bilinearly from its full-size image (no mipmaps; the cubemap
+// projection reads the equirectangular image it is built from).
+// Pure math, no THREE or DOM access.
+import { buildDeflectionTable, criticalImpactParameter } from './geodesic.js';
+import { buildShadowTable, spinAxisDirection } from './kerr.js';
+import { getLensModel, profileDeflection } from './lensModels.js';
+import { packSourceCatalog } from './sourceCatalog.js';
+import { COLOR_SHIFT_EXPONENTS } from './diskRelativity.js';
+import {
+    LENSING_MODES, SKY_PROJECTIONS, MAX_LENSES, DEFLECTION_TABLE_SIZE, SHADOW_TABLE_SIZE,
+    SKY_ROTATION_SPEED, BACKGROUND_WOBBLE_AMPLITUDE, BACKGROUND_WOBBLE_RATE_X, BACKGROUND_WOBBLE_RATE_Y,
+} from './lensingConstants.js';
+
+// Built on first use, like lensingEffect's copy
+let deflectionTable;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = a => Math.sqrt(dot(a, a));
+const normalize = a => scale(a, 1 / length(a));
+const fract = x => x - Math.floor(x);
+const clamp = (x, lo, hi) => Math.min(Math.max(x, lo), hi);
+const mix = (a, b, t) => a + (b - a) * t;
+const vec3 = v => Array.isArray(v) ? v : [v.x, v.y, v.z];
+
+// Column-major 4×4 matrix (THREE.Matrix4.elements) times (x, y, z, w)
+function transform(m, x, y, z, w) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12] * w,
+        m[1] * x + m[5] * y + m[9] * z + m[13] * w,
+        m[2] * x + m[6] * y + m[10] * z + m[14] * w,
+        m[3] * x + m[7] * y + m[11] * z + m[15] * w,
+    ];
+}
+
+/**
+ * Collects what lensing.frag gets as uniforms for a width × height target.
+ * camera is a THREE camera with up-to-date matrices, or any object with the
+ * same matrixWorld, matrixWorldInverse, projectionMatrix and
+ * projectionMatrixInverse ({ elements }). options:
+ * - sky: { width, height, data } RGBA image, top row first (like ImageData),
+ *   bytes or 0..1 floats; the background texture. Black if omitted.
+ * - time: scene clock in seconds (default 0)
+ * - blackHolePosition: [x, y, z] or Vector3 (default on the axis at params.blackHoleZ)
+ * - lenses: as from updateLensSystem (primary first); default the primary alone
+ * - extraSources: catalog entries ahead of params.sourceCatalog (e.g. microlensing)
+ * - observer: { velocity, lapse } as from updateObserverCamera; default a distant camera
+ */
+export function createReferenceFrame(params, camera, width, height, options = {}) {
+    const { sky = null, time = 0, extraSources = [], observer = null } = options;
+    const blackHolePosition = vec3(options.blackHolePosition || [0, 0, params.blackHoleZ]);
+    const lenses = (options.lenses || [{ position: blackHolePosition, massRatio: 1 }]).slice(0, MAX_LENSES)
+        .map(lens => ({ position: vec3(lens.position), massRatio: lens.massRatio }));
+    deflectionTable = deflectionTable || buildDeflectionTable(DEFLECTION_TABLE_SIZE);
+
+    const catalog = params.showSourceCatalog ? [...extraSources, ...params.sourceCatalog] : extraSources;
+    const matrixWorld = camera.matrixWorld.elements;
+    const cameraPosition = [matrixWorld[12], matrixWorld[13], matrixWorld[14]];
+    const frame = {
+        params, width, height, sky, lenses, blackHolePosition, cameraPosition,
+        time: params.animateBackground ? time : 0,
+        sources: packSourceCatalog(catalog, params.animateSources ? time : 0, params.starAngularSize),
+        viewMatrixInverse: matrixWorld,
+        viewMatrix: camera.matrixWorldInverse.elements,
+        projectionMatrix: camera.projectionMatrix.elements,
+        projectionMatrixInverse: camera.projectionMatrixInverse.elements,
+        lensingMode: LENSING_MODES[params.lensingMode],
+        skyProjection: SKY_PROJECTIONS[params.skyProjection],
+        lensModel: getLensModel(params),
+        criticalImpactParameter: criticalImpactParameter(params.eventHorizonRadius / 2),
+        observerVelocity: observer ? vec3(observer.velocity) : [0, 0, 0],
+        observerLapse: observer ? observer.lapse : 1,
+        spinAxis: spinAxisDirection(params.spinAxisTilt, params.spinAxisAzimuth),
+        shadowTable: null,
+    };
+    if (params.blackHoleSpin > 0) {
+        const toCamera = normalize(sub(cameraPosition, blackHolePosition));
+        const inclination = Math.acos(clamp(dot(frame.spinAxis, toCamera), -1, 1));
+        frame.shadowTable = buildShadowTable(params.blackHoleSpin, inclination, SHADOW_TABLE_SIZE);
+    }
+    return frame;
+}
+
+function getRayDirection(frame, u, v) {
+    const eye = transform(frame.projectionMatrixInverse, u * 2 - 1, v * 2 - 1, -1, 1);
+    const world = transform(frame.viewMatrixInverse, eye[0] / eye[3], eye[1] / eye[3], eye[2] / eye[3], 0);
+    return normalize(world);
+}
+
+function cameraRayDirection(frame, u, v) {
+    const dir = getRayDirection(frame, u, v);
+    const beta = length(frame.observerVelocity);
+    if (beta < 1e-6) return dir;
+    const velocity = scale(frame.observerVelocity, 1 / beta);
+    const parallel = dot(dir, velocity);
+    return normalize(add(scale(velocity, parallel - beta), scale(sub(dir, scale(velocity, parallel)), Math.sqrt(1 - beta * beta))));
+}
+
+function observerShiftFactor(frame, dir) {
+    const v = frame.observerVelocity;
+    return (1 + dot(v, dir)) / (Math.sqrt(1 - dot(v, v)) * frame.observerLapse);
+}
+
+function directionToScreenUv(frame, dir) {
+    const view = transform(frame.viewMatrix, dir[0], dir[1], dir[2], 0);
+    const clip = transform(frame.projectionMatrix, view[0], view[1], -Math.max(Math.abs(view[2]), 1e-4), 1);
+    return [clip[0] / clip[3] * 0.5 + 0.5, clip[1] / clip[3] * 0.5 + 0.5];
+}
+
+// Bilinear lookup with repeat wrapping; uv (0, 0) is the image's bottom-left
+// corner, as for a flipped WebGL texture
+function sampleTexture(image, u, v) {
+    if (!image) return [0, 0, 0, 1];
+    const { width, height, data } = image;
+    const norm = data instanceof Uint8Array || data instanceof Uint8ClampedArray ? 1 / 255 : 1;
+    const x = u * width - 0.5, y = (1 - v) * height - 0.5;
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = x - x0, fy = y - y0;
+    const wrap = (i, n) => ((i % n) + n) % n;
+    const texel = (i, j, c) => data[(wrap(j, height) * width + wrap(i, width)) * 4 + c] * norm;
+    return [0, 1, 2, 3].map(c => mix(
+        mix(texel(x0, y0, c), texel(x0 + 1, y0, c), fx),
+        mix(texel(x0, y0 + 1, c), texel(x0 + 1, y0 + 1, c), fx), fy));
+}
+
+function sampleBackground(frame, [u, v]) {
+    const { time, params } = frame;
+    const texel = sampleTexture(frame.sky,
+        fract(u + BACKGROUND_WOBBLE_AMPLITUDE * Math.sin(time * BACKGROUND_WOBBLE_RATE_X)),
+        fract(v + BACKGROUND_WOBBLE_AMPLITUDE * Math.cos(time * BACKGROUND_WOBBLE_RATE_Y)));
+    return [...scale(texel, params.backgroundBrightness), texel[3]];
+}
+
+function sampleEquirect(frame, dir) {
+    return sampleTexture(frame.sky,
+        Math.atan2(dir[2], dir[0]) / (2 * Math.PI) + 0.5,
+        Math.asin(clamp(dir[1], -1, 1)) / Math.PI + 0.5);
+}
+
+function catalogEmission(frame, dir) {
+    const { count, directions, colors, shapes } = frame.sources;
+    let emission = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        const theta = Math.atan2(length(cross(dir, directions[i])), dot(dir, directions[i]));
+        const [type, radius, n, bn] = shapes[i];
+        const x = theta / radius;
+        let profile;
+        if (type < 1.5) {
+            if (x > 5) continue;
+            profile = Math.exp(-0.5 * x * x);
+        } else {
+            if (x > 8) continue;
+            profile = Math.exp(-bn * Math.pow(x, 1 / n));
+        }
+        emission = add(emission, scale(colors[i], profile));
+    }
+    return scale(emission, frame.params.sourceBrightness);
+}
+
+function sampleSky(frame, dir) {
+    let sky;
+    if (frame.skyProjection === SKY_PROJECTIONS.screen) {
+        sky = sampleBackground(frame, directionToScreenUv(frame, dir));
+    } else {
+        const angle = frame.time * SKY_ROTATION_SPEED;
+        const c = Math.cos(angle), s = Math.sin(angle);
+        const texel = sampleEquirect(frame, [c * dir[0] + s * dir[2], dir[1], -s * dir[0] + c * dir[2]]);
+        sky = [...scale(texel, frame.params.backgroundBrightness), texel[3]];
+    }
+    return [...add(sky, catalogEmission(frame, dir)), sky[3]];
+}
+
+function lookupDeflection(frame, impactParameter) {
+    const x = clamp(frame.criticalImpactParameter / impactParameter, 0, 1);
+    const t = 1 - Math.pow(1 - x, 1 / 3);
+    const fi = t * (DEFLECTION_TABLE_SIZE - 1);
+    const i0 = Math.floor(fi);
+    const i1 = Math.min(i0 + 1, DEFLECTION_TABLE_SIZE - 1);
+    return mix(deflectionTable[i0], deflectionTable[i1], fract(fi));
+}
+
+function kerrShadowRadius(frame, rayDir, perp) {
+    const { params } = frame;
+    if (params.blackHoleSpin <= 0) return frame.criticalImpactParameter;
+    let betaAxis = sub(frame.spinAxis, scale(rayDir, dot(frame.spinAxis, rayDir)));
+    if (dot(betaAxis, betaAxis) < 1e-8) betaAxis = cross(rayDir, Math.abs(rayDir[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0]);
+    betaAxis = normalize(betaAxis);
+    const alphaAxis = cross(rayDir, betaAxis);
+    const psi = Math.atan2(dot(perp, betaAxis), dot(perp, alphaAxis));
+    const fi = fract(psi / (2 * Math.PI)) * SHADOW_TABLE_SIZE;
+    const i0 = Math.floor(fi) % SHADOW_TABLE_SIZE;
+    const i1 = (i0 + 1) % SHADOW_TABLE_SIZE;
+    return mix(frame.shadowTable[i0], frame.shadowTable[i1], fract(fi)) * 0.5 * params.eventHorizonRadius;
+}
+
+// Summed companion deflection, { deflection, captured }
+function companionDeflection(frame, rayOrigin, rayDir) {
+    let deflection = [0, 0, 0];
+    for (let i = 1; i < frame.lenses.length; i++) {
+        const { position, massRatio } = frame.lenses[i];
+        const tca = dot(sub(position, rayOrigin), rayDir);
+        if (tca <= 0) continue;
+        const perp = sub(add(rayOrigin, scale(rayDir, tca)), position);
+        const b = length(perp);
+        if (b < frame.criticalImpactParameter * massRatio) return { deflection, captured: true };
+        deflection = sub(deflection, scale(perp, lookupDeflection(frame, b / massRatio) / b));
+    }
+    return { deflection, captured: false };
+}
+
+function applyDeflection(rayDir, deflection) {
+    const angle = length(deflection);
+    if (angle < 1e-9) return rayDir;
+    return add(scale(rayDir, Math.cos(angle)), scale(deflection, Math.sin(angle) / angle));
+}
+
+// Sky direction of a strong-field ray, { direction, captured }
+function strongFieldDirection(frame, rayOrigin, rayDir) {
+    const { deflection, captured } = companionDeflection(frame, rayOrigin, rayDir);
+    const tca = dot(sub(frame.blackHolePosition, rayOrigin), rayDir);
+    if (tca <= 0) return { direction: applyDeflection(rayDir, deflection), captured };
+
+    const perp = sub(add(rayOrigin, scale(rayDir, tca)), frame.blackHolePosition);
+    const bCamera = length(perp);
+    const n = bCamera > 1e-6 ? scale(perp, 1 / bCamera) : normalize(cross(rayDir, Math.abs(rayDir[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0]));
+    const b = bCamera / frame.observerLapse * frame.criticalImpactParameter / kerrShadowRadius(frame, rayDir, perp);
+    if (b < frame.criticalImpactParameter) return { direction: rayDir, captured: true };
+    return { direction: applyDeflection(rayDir, sub(deflection, scale(n, lookupDeflection(frame, b)))), captured };
+}
+
+// Thin-lens source UV for the static-frame screen UV, { uv, inShadow }
+function weakFieldSourceUv(frame, uv, rayOrigin, rayDir) {
+    const { params, lenses } = frame;
+    const aspect = frame.width / frame.height;
+    let dx = 0, dy = 0;
+    for (let i = 0; i < lenses.length; i++) {
+        const { position, massRatio } = lenses[i];
+        const horizon = params.eventHorizonRadius * massRatio;
+        const L = sub(position, rayOrigin);
+        const tca = dot(L, rayDir);
+        if (tca < 0 && dot(L, L) > horizon * horizon * 4) continue;
+
+        const extended = i === 0 && params.lensProfile !== 'point';
+        const d = Math.sqrt(Math.max(dot(L, L) - tca * tca, 0));
+        if (d < horizon && !extended) return { uv, inShadow: true };
+
+        const clip = transform(frame.projectionMatrix, ...transform(frame.viewMatrix, ...position, 1));
+        const x = (uv[0] - (clip[0] / clip[3] * 0.5 + 0.5)) * aspect;
+        const y = uv[1] - (clip[1] / clip[3] * 0.5 + 0.5);
+        const r2 = x * x + y * y;
+        if (r2 < 0.000001) continue;
+
+        if (extended) {
+            const [ax, ay] = profileDeflection(params.lensProfile, x, y, frame.lensModel);
+            dx += ax;
+            dy += ay;
+        } else {
+            const k = params.lensingStrength * massRatio / r2;
+            dx += x * k;
+            dy += y * k;
+        }
+    }
+    return { uv: [uv[0] - dx / aspect, uv[1] - dy], inShadow: false };
+}
+
+function staticScreenUv(frame, uv, rayDir) {
+    if (dot(frame.observerVelocity, frame.observerVelocity) === 0) return uv;
+    return directionToScreenUv(frame, rayDir);
+}
+
+/**
+ * Sky direction the light seen at screen UV (u, v) comes from, in the current
+ * mode: { direction, captured }. Mirrors lensedDirection in lensing.frag.
+ */
+export function referenceLensedDirection(frame, u, v) {
+    const rayDir = cameraRayDirection(frame, u, v);
+    if (frame.lensingMode === LENSING_MODES.strong) {
+        return strongFieldDirection(frame, frame.cameraPosition, rayDir);
+    }
+    const source = weakFieldSourceUv(frame, staticScreenUv(frame, [u, v], rayDir), frame.cameraPosition, rayDir);
+    return { direction: getRayDirection(frame, ...source.uv), captured: source.inShadow };
+}
+
+// Linear RGBA the shader writes at screen UV (u, v), origin bottom-left
+export function shadeReferencePixel(frame, u, v) {
+    const { params } = frame;
+    const rayDir = cameraRayDirection(frame, u, v);
+    let color;
+    if (frame.lensingMode === LENSING_MODES.strong) {
+        const { direction, captured } = strongFieldDirection(frame, frame.cameraPosition, rayDir);
+        color = captured ? [0, 0, 0, 1] : [...sampleSky(frame, direction).slice(0, 3), 1];
+    } else {
+        const source = weakFieldSourceUv(frame, staticScreenUv(frame, [u, v], rayDir), frame.cameraPosition, rayDir);
+        if (source.inShadow) {
+            color = [0, 0, 0, 1];
+        } else if (frame.skyProjection === SKY_PROJECTIONS.screen) {
+            const background = sampleBackground(frame, source.uv);
+            color = [...add(background, catalogEmission(frame, getRayDirection(frame, ...source.uv))), background[3]];
+        } else {
+            color = sampleSky(frame, getRayDirection(frame, ...source.uv));
+        }
+    }
+    if (params.observerSkyShift) {
+        const g = Math.max(observerShiftFactor(frame, rayDir), 1e-3);
+        for (let c = 0; c < 3; c++) color[c] *= Math.pow(g, COLOR_SHIFT_EXPONENTS[c] + params.beamingExponent);
+    }
+    return color;
+}
+
+/**
+ * Renders params and camera (see createReferenceFrame for camera and options)
+ * at width × height, sampling each pixel at its center. Returns
+ * { width, height, data }: linear RGBA floats, top row first.
+ */
+export function renderReferenceImage(params, camera, width, height, options = {}) {
+    const frame = createReferenceFrame(params, camera, width, height, options);
+    const data = new Float32Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const v = 1 - (y + 0.5) / height;
+        for (let x = 0; x < width; x++) {
+            data.set(shadeReferencePixel(frame, (x + 0.5) / width, v), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+// Largest per-channel difference between two images of the same size, and
+// the share of channels that differ by more than tolerance
+export function compareImages(a, b, tolerance = 1 / 255) {
+    if (a.width !== b.width || a.height !== b.height) throw new Error(`Image sizes differ: ${a.width}×${a.height} and ${b.width}×${b.height}`);
+    let maxDifference = 0, over = 0;
+    for (let i = 0; i < a.data.length; i++) {
+        const difference = Math.abs(a.data[i] - b.data[i]);
+        maxDifference = Math.max(maxDifference, difference);
+        if (difference > tolerance) over++;
+    }
+    return { maxDifference, mismatchFraction: over / a.data.length };
+}
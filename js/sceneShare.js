@@ -0,0 +1,180 @@
+// js/sceneShare.js
+import {
+    createSceneState, diffParams, validateSceneState, encodeSceneLink, decodeSceneLink,
+} from './sceneState.js';
+import { MAX_LENSES } from './lensSystem.js';
+
+// Saves and restores the whole scene (every PARAMS value, the camera and the
+// OrbitControls target, see sceneState.js) as a JSON file or a link. Links
+// carry only what differs from the defaults, in the URL hash as #scene=...;
+// opening one restores the scene before anything is built, so parameters read
+// only at startup (the sky texture, the initial camera) come through too.
+// Only a viewer created with shareLink reads and writes the page's URL.
+// Rejected scenes and ignored parameters are shown in a notice over the view.
+
+const HASH_KEY = 'scene=';
+
+export const SCENE_LIMITS = { maxLenses: MAX_LENSES - 1 };
+
+function sceneFromHash() {
+    const hash = window.location.hash.slice(1);
+    return hash.startsWith(HASH_KEY) ? hash.slice(HASH_KEY.length) : null;
+}
+
+export function reportSceneWarnings(warnings) {
+    warnings.forEach(warning => console.warn(`Scene: ${warning}`));
+}
+
+// Notices for the user: { title, text, error }
+function failureNotice(title, err) {
+    console.error(`${title}:`, err);
+    return { title, text: err.message, error: true };
+}
+
+function warningNotice(title, warnings) {
+    reportSceneWarnings(warnings);
+    return warnings.length > 0 ? { title, text: warnings.join('\n'), error: false } : null;
+}
+
+/**
+ * Call before the scene is built: if the page was opened from a scene link,
+ * writes its values into params. Returns { camera, notice }: the link's
+ * camera (or null) and what to tell the user about it (or null), for
+ * setupSceneSharing. A bad link leaves params alone.
+ */
+export async function loadSceneFromUrl(params, defaults) {
+    const link = sceneFromHash();
+    if (!link) return { camera: null, notice: null };
+    try {
+        const scene = validateSceneState(await decodeSceneLink(link), defaults, SCENE_LIMITS);
+        Object.assign(params, JSON.parse(JSON.stringify(scene.params)));
+        return { camera: scene.camera, notice: warningNotice('Scene link opened with warnings', scene.warnings) };
+    } catch (err) {
+        return { camera: null, notice: failureNotice('Could not open scene link', err) };
+    }
+}
+
+/**
+ * Creates the notice overlay in `container` and returns the sharing state for
+ * the other functions here. applyParams(values) sets params the way an edit
+ * in the GUI would (see StellarLens). initialCamera and initialNotice come
+ * from loadSceneFromUrl, if it was called. With useUrl, a link pasted into
+ * the address bar of the open page is applied too.
+ */
+export function setupSceneSharing(params, defaults, camera, controls, applyParams, container,
+    { useUrl = false, initialCamera = null, initialNotice = null } = {}) {
+    const sharing = { params, defaults, camera, controls, applyParams, useUrl };
+    sharing.notice = setupNotice(container);
+    if (initialCamera) applyCamera(sharing, initialCamera);
+    showNotice(sharing, initialNotice);
+
+    sharing.fileInput = document.createElement('input');
+    sharing.fileInput.type = 'file';
+    sharing.fileInput.accept = 'application/json,.json';
+    sharing.fileInput.addEventListener('change', () => onFileChosen(sharing));
+    if (useUrl) {
+        sharing.onHashChange = () => {
+            const link = sceneFromHash();
+            if (!link) return;
+            decodeSceneLink(link)
+                .then(data => applyScene(sharing, data, 'Scene link opened with warnings'))
+                .catch(err => showNotice(sharing, failureNotice('Could not open scene link', err)));
+        };
+        window.addEventListener('hashchange', sharing.onHashChange);
+    }
+    return sharing;
+}
+
+export function disposeSceneSharing(sharing) {
+    if (!sharing) return;
+    if (sharing.onHashChange) window.removeEventListener('hashchange', sharing.onHashChange);
+    sharing.notice.element.remove();
+}
+
+function setupNotice(container) {
+    const notice = {
+        element: document.createElement('div'),
+        title: document.createElement('div'),
+        text: document.createElement('div'),
+    };
+    notice.element.className = 'scene-notice';
+    notice.title.className = 'scene-notice-title';
+    notice.text.className = 'scene-notice-text';
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => showNotice({ notice }, null));
+    notice.element.append(notice.title, notice.text, closeButton);
+    container.appendChild(notice.element);
+    return notice;
+}
+
+// Shows a notice from failureNotice or warningNotice; null hides it
+function showNotice({ notice }, content) {
+    notice.element.style.display = content ? 'block' : 'none';
+    if (!content) return;
+    notice.element.classList.toggle('scene-notice-error', content.error);
+    notice.title.textContent = content.title;
+    notice.text.textContent = content.text;
+}
+
+function applyCamera({ camera, controls }, state) {
+    camera.position.fromArray(state.position);
+    controls.target.fromArray(state.target);
+    camera.lookAt(controls.target);
+}
+
+// Resets params to the defaults, then sets the scene's values; shows the
+// warnings, if any, under warningTitle
+function applyScene(sharing, data, warningTitle) {
+    const scene = validateSceneState(data, sharing.defaults, SCENE_LIMITS);
+    showNotice(sharing, warningNotice(warningTitle, scene.warnings));
+    sharing.applyParams(diffParams({ ...sharing.defaults, ...scene.params }, sharing.params));
+    if (scene.camera) applyCamera(sharing, scene.camera);
+}
+
+function currentScene({ camera, controls }, params) {
+    return createSceneState(params, {
+        position: camera.position.toArray(),
+        target: controls.target.toArray(),
+    });
+}
+
+// Copies a link to the current scene to the clipboard and returns it. With
+// useUrl it is also put in the address bar.
+export async function copySceneLink(sharing) {
+    const link = await encodeSceneLink(currentScene(sharing, diffParams(sharing.params, sharing.defaults)));
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_KEY}${link}`;
+    if (sharing.useUrl) history.replaceState(null, '', url.hash); // No hashchange, so nothing is reapplied
+    try {
+        await navigator.clipboard.writeText(url.href);
+    } catch (err) {
+        console.warn("Could not copy the scene link.", err);
+    }
+    return url.href;
+}
+
+export function saveSceneFile(sharing) {
+    const blob = new Blob([JSON.stringify(currentScene(sharing, sharing.params), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'scene.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Opens a file picker; the chosen scene replaces the current one
+export function loadSceneFile(sharing) {
+    if (sharing) sharing.fileInput.click();
+}
+
+function onFileChosen(sharing) {
+    const { fileInput } = sharing;
+    const file = fileInput.files[0];
+    fileInput.value = ''; // Let the same file be picked again
+    if (!file) return;
+    file.text()
+        .then(text => applyScene(sharing, JSON.parse(text), 'Scene loaded with warnings'))
+        .catch(err => showNotice(sharing, failureNotice('Could not load scene', err)));
+}
@@ -0,0 +1,182 @@
+// js/sceneState.js
+// Saved scenes, for JSON files and share links. A scene is
+//   { format: 'stellarlens-scene', version, params, camera }
+// where params holds PARAMS values (all of them in files, only those that
+// differ from the defaults in links) and camera is { position: [x, y, z],
+// target: [x, y, z] } (the OrbitControls target), or null to leave it alone.
+// Older files are brought up to date by MIGRATIONS before validation.
+// Pure, no THREE or DOM access.
+import { MAX_SOURCES, SOURCE_TYPES } from './sourceCatalog.js';
+import { PARAM_OPTIONS, PARAM_RANGES } from './paramLimits.js';
+
+export const SCENE_FORMAT = 'stellarlens-scene';
+export const SCENE_STATE_VERSION = 1;
+
+// MIGRATIONS[v] turns a version v scene into version v + 1. Renamed or
+// re-scaled parameters get an entry here when the version is bumped.
+const MIGRATIONS = {
+    // Version 0: a bare PARAMS object, e.g. JSON.stringify(PARAMS) from the console
+    0: params => ({ format: SCENE_FORMAT, version: 1, params, camera: null }),
+};
+
+const isVector = v => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+
+export function createSceneState(params, camera) {
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_STATE_VERSION,
+        params: JSON.parse(JSON.stringify(params)),
+        camera: camera ? { position: [...camera.position], target: [...camera.target] } : null,
+    };
+}
+
+// The params that differ from the defaults, for compact links
+export function diffParams(params, defaults) {
+    const changed = {};
+    Object.keys(params).forEach(name => {
+        if (JSON.stringify(params[name]) !== JSON.stringify(defaults[name])) changed[name] = params[name];
+    });
+    return changed;
+}
+
+// Brings a parsed scene up to SCENE_STATE_VERSION; throws for unknown formats
+export function migrateSceneState(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Scene is not a JSON object');
+    let scene = data;
+    let version = data.format === undefined && data.version === undefined ? 0 : data.version;
+    if (version !== 0 && data.format !== SCENE_FORMAT) throw new Error(`Not a StellarLens scene (format "${data.format}")`);
+    if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid scene version ${version}`);
+    if (version > SCENE_STATE_VERSION) {
+        throw new Error(`Scene version ${version} is newer than this viewer supports (${SCENE_STATE_VERSION})`);
+    }
+    while (version < SCENE_STATE_VERSION) {
+        scene = MIGRATIONS[version](scene);
+        version = scene.version;
+    }
+    return scene;
+}
+
+function lensProblems(lens) {
+    if (!lens || typeof lens !== 'object') return ['is not an object'];
+    return ['massRatio', 'offsetX', 'offsetY', 'offsetZ']
+        .filter(key => !Number.isFinite(lens[key]) || (key === 'massRatio' && lens[key] <= 0))
+        .map(key => `has an invalid ${key}`);
+}
+
+function sourceProblems(source) {
+    if (!source || typeof source !== 'object') return ['is not an object'];
+    const problems = [];
+    if (!(source.type in SOURCE_TYPES)) problems.push(`has unknown type "${source.type}"`);
+    ['lon', 'lat', 'magnitude'].forEach(key => {
+        if (!Number.isFinite(source[key])) problems.push(`has an invalid ${key}`);
+    });
+    if (source.type !== 'star' && !(source.radius > 0)) problems.push('needs a positive radius');
+    if (!/^#[0-9a-f]{6}$/i.test(source.color)) problems.push(`has an invalid color "${source.color}"`);
+    return problems;
+}
+
+// Array params with their element checks and the most entries the shader takes
+const LIST_PARAMS = {
+    lenses: { problems: lensProblems, max: limits => limits.maxLenses },
+    sourceCatalog: { problems: sourceProblems, max: () => MAX_SOURCES },
+};
+
+// Physical units set these two past their sliders' ends, so they only need to be positive
+const POSITIVE_PARAMS = ['lensingStrength', 'eventHorizonRadius'];
+
+function paramProblems(name, value, defaultValue, limits) {
+    if (name in LIST_PARAMS) {
+        if (!Array.isArray(value)) return [`"${name}" should be a list`];
+        const { problems, max } = LIST_PARAMS[name];
+        const limit = max(limits);
+        const itemProblems = value.flatMap((item, i) => problems(item).map(p => `"${name}" entry ${i + 1} ${p}`));
+        return value.length > limit ? [`"${name}" has ${value.length} entries (at most ${limit})`, ...itemProblems] : itemProblems;
+    }
+    if (typeof value !== typeof defaultValue) return [`"${name}" should be a ${typeof defaultValue}, not ${JSON.stringify(value)}`];
+    if (typeof value === 'number' && !Number.isFinite(value)) return [`"${name}" is not a finite number`];
+    if (/^#[0-9a-f]{6}$/i.test(defaultValue) && !/^#[0-9a-f]{6}$/i.test(value)) return [`"${name}" should be a #rrggbb colour`];
+    if (name in PARAM_OPTIONS && !PARAM_OPTIONS[name].includes(value)) {
+        return [`"${name}" should be one of ${PARAM_OPTIONS[name].map(option => JSON.stringify(option)).join(', ')}, not ${JSON.stringify(value)}`];
+    }
+    if (POSITIVE_PARAMS.includes(name)) return value > 0 ? [] : [`"${name}" should be positive, not ${value}`];
+    if (name in PARAM_RANGES) {
+        const [min, max = Infinity] = PARAM_RANGES[name];
+        if (value < min || value > max) {
+            return [`"${name}" should be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`}, not ${value}`];
+        }
+    }
+    return [];
+}
+
+/**
+ * Migrates and checks a parsed scene against the default PARAMS. Returns
+ * { params, camera, warnings }, where params holds the valid values found and
+ * warnings lists parameters this version does not know (they are dropped).
+ * Throws an Error listing every problem if anything else is wrong: a value of
+ * the wrong type, or outside PARAM_OPTIONS or PARAM_RANGES (see paramLimits.js).
+ * limits.maxLenses is the most extra lenses allowed.
+ */
+export function validateSceneState(data, defaults, limits) {
+    const scene = migrateSceneState(data);
+    const problems = [];
+    const warnings = [];
+    const params = {};
+
+    if (!scene.params || typeof scene.params !== 'object' || Array.isArray(scene.params)) {
+        problems.push('"params" should be an object');
+    } else {
+        Object.entries(scene.params).forEach(([name, value]) => {
+            if (!(name in defaults)) {
+                warnings.push(`Unknown parameter "${name}" ignored`);
+                return;
+            }
+            const found = paramProblems(name, value, defaults[name], limits);
+            if (found.length > 0) {
+                problems.push(...found);
+            } else {
+                params[name] = value;
+            }
+        });
+    }
+    const camera = scene.camera ?? null;
+    if (camera !== null && (!isVector(camera.position) || !isVector(camera.target))) {
+        problems.push('"camera" needs position and target as [x, y, z]');
+    }
+
+    if (problems.length > 0) throw new Error(`Invalid scene:\n- ${problems.join('\n- ')}`);
+    return { params, camera, warnings };
+}
+
+// URL-safe base64 without padding
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Scene → deflated, base64url-encoded JSON for a URL hash
+export async function encodeSceneLink(scene) {
+    const json = new TextEncoder().encode(JSON.stringify(scene));
+    return toBase64Url(await transform(json, new CompressionStream('deflate-raw')));
+}
+
+// Inverse of encodeSceneLink; the result still needs validateSceneState
+export async function decodeSceneLink(text) {
+    let json;
+    try {
+        json = new TextDecoder().decode(await transform(fromBase64Url(text), new DecompressionStream('deflate-raw')));
+    } catch (err) {
+        throw new Error('Scene link is damaged or incomplete');
+    }
+    return JSON.parse(json);
+}
@@ -0,0 +1,90 @@
+// js/sourceCatalog.js
+// Discrete background sources drawn on the celestial sphere behind the lens:
+// point stars and extended Gaussian or Sérsic blobs. Entries are plain JSON:
+// { name, type: 'star' | 'gaussian' | 'sersic', lon, lat (degrees),
+//   magnitude, color, radius (degrees; extended sources), sersicIndex,
+//   properMotion: [dLon, dLat] (degrees per second) }.
+// lon = lat = 0 is straight ahead of the initial camera (-Z), lon grows to +X.
+// Pure math, no THREE or DOM access.
+
+export const MAX_SOURCES = 16; // Sizes the shader's uniform arrays
+// Shader-side values of a source's type
+export const SOURCE_TYPES = { star: 0, gaussian: 1, sersic: 2 };
+
+export const DEFAULT_SOURCE_CATALOG = [
+    // Drifts behind the black hole and spreads into an Einstein ring on the way
+    { name: 'Crossing Star', type: 'star', lon: -8, lat: 0.4, magnitude: 0, color: '#fff4e0', properMotion: [0.4, 0] },
+    { name: 'Blue Giant', type: 'star', lon: 14, lat: -6, magnitude: 0.8, color: '#9fc4ff' },
+    { name: 'Red Dwarf', type: 'star', lon: -16, lat: 9, magnitude: 2.5, color: '#ffb38a' },
+    { name: 'Background Galaxy', type: 'sersic', lon: 4, lat: 3, magnitude: 1.5, color: '#ffe2b0', radius: 1.2, sersicIndex: 4 },
+    { name: 'Emission Nebula', type: 'gaussian', lon: -5, lat: -4, magnitude: 2, color: '#ff8fd0', radius: 2 },
+];
+
+// World-space unit direction [x, y, z] of sky coordinates in degrees
+export function skyDirection(lonDeg, latDeg) {
+    const lon = lonDeg * Math.PI / 180;
+    const lat = latDeg * Math.PI / 180;
+    return [Math.cos(lat) * Math.sin(lon), Math.sin(lat), -Math.cos(lat) * Math.cos(lon)];
+}
+
+// Linear flux relative to magnitude 0: 10^(-0.4 m)
+export function magnitudeToFlux(magnitude) {
+    return Math.pow(10, -0.4 * magnitude);
+}
+
+// Sérsic b_n so that the effective radius encloses half the light
+// (Ciotti & Bertin 1999 expansion, good for n > 0.36)
+export function sersicB(n) {
+    return 2 * n - 1 / 3 + 4 / (405 * n) + 46 / (25515 * n * n);
+}
+
+// Position of a source after `time` seconds of proper motion, wrapped to
+// lon in [-180, 180) and lat clamped to the poles
+export function sourcePosition(source, time) {
+    const [dLon, dLat] = source.properMotion || [0, 0];
+    const lon = ((source.lon + dLon * time + 180) % 360 + 360) % 360 - 180;
+    const lat = Math.min(Math.max(source.lat + dLat * time, -90), 90);
+    return { lon, lat };
+}
+
+// "#rrggbb" to linear [r, g, b] in 0..1
+function hexToLinear(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+        .map(c => c / 255)
+        .map(c => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+}
+
+/**
+ * Flattens the catalog (at most MAX_SOURCES entries) into the arrays the
+ * shader reads: directions [x, y, z], colors [r, g, b] already scaled by flux,
+ * and shapes [type, radius (rad), sérsic n, sérsic b_n].
+ */
+export function packSourceCatalog(catalog, time, starRadiusDeg) {
+    const sources = catalog.slice(0, MAX_SOURCES);
+    return {
+        count: sources.length,
+        directions: sources.map(source => {
+            const { lon, lat } = sourcePosition(source, time);
+            return skyDirection(lon, lat);
+        }),
+        colors: sources.map(source => {
+            const flux = magnitudeToFlux(source.magnitude);
+            return hexToLinear(source.color).map(c => c * flux);
+        }),
+        shapes: sources.map(source => {
+            const type = SOURCE_TYPES[source.type] ?? SOURCE_TYPES.star;
+            const radiusDeg = type === SOURCE_TYPES.star ? starRadiusDeg : source.radius;
+            const n = source.sersicIndex || 1;
+            return [type, radiusDeg * Math.PI / 180, n, sersicB(n)];
+        }),
+    };
+}
+
+// Inverse of skyDirection: { lon, lat } in degrees of a unit direction [x, y, z]
+export function skyCoordinates([x, y, z]) {
+    return {
+        lon: Math.atan2(x, -z) * 180 / Math.PI,
+        lat: Math.asin(Math.min(Math.max(y, -1), 1)) * 180 / Math.PI,
+    };
+}
@@ -0,0 +1,248 @@
+// js/splitView.js
+import * as THREE from 'three';
+import { mapToSourcePlane } from './criticalCurves.js';
+import { findImages } from './lensSolver.js';
+import { CURVE_COLORS } from './criticalCurveOverlay.js';
+import { PARITY_COLORS } from './diagnostics.js';
+import { tangentPlanePosition } from './lensSystem.js';
+
+// Split screen: the lensed view (image plane) in the left half of the canvas
+// and the same sky unlensed (source plane) in the right half, through the same
+// camera, with the lenses and caustics marked on it. Hovering a pixel in either
+// pane marks the corresponding points in the other: an image-plane point maps
+// to its source through the lens equation the critical-curve overlay solves
+// (the configuration lensing.frag evaluates), and a source-plane point to all
+// of its images.
+
+const HOVER_RESOLUTION = 80; // Image finder grid while hovering; coarser than the overlay's to keep up with the pointer
+const LENS_MARKER_SIZE = 7; // CSS pixels
+const TITLE_COLOR = 'rgba(200, 200, 230, 0.9)';
+const DIVIDER_COLOR = 'rgba(200, 200, 230, 0.5)';
+const LENS_COLOR = 'rgba(255, 255, 255, 0.9)';
+
+// Builds the source pane's scene (a second mesh on the lensing quad's geometry
+// and material) and the overlay canvas in `container`, and listens for the
+// pointer on domElement; returns the split view's state
+export function setupSplitView(lensing, container, domElement) {
+    const split = {
+        scene: new THREE.Scene(),
+        material: lensing.lensingMaterial,
+        quad: new THREE.Mesh(lensing.lensingQuad.geometry, lensing.lensingMaterial),
+        canvas: document.createElement('canvas'),
+        domElement,
+        active: false,
+        pointer: null, // { pane: 'image' | 'source', x, y } in the pane's NDC
+        hover: null, // { key, config, point, source, images } in θ_E units
+    };
+    split.ctx = split.canvas.getContext('2d');
+    split.quad.frustumCulled = false; // Placed in the vertex shader
+    split.scene.add(split.quad);
+    split.canvas.className = 'split-view-overlay';
+    container.appendChild(split.canvas);
+
+    split.listeners = {
+        pointermove: (event) => onPointerMove(split, event),
+        pointerleave: () => {
+            split.pointer = null;
+        },
+    };
+    Object.entries(split.listeners).forEach(([type, listener]) => domElement.addEventListener(type, listener));
+    return split;
+}
+
+// Removes the listeners and the overlay; the quad's geometry and material
+// belong to the lensing effect
+export function disposeSplitView(split) {
+    if (!split) return;
+    Object.entries(split.listeners).forEach(([type, listener]) => split.domElement.removeEventListener(type, listener));
+    split.scene.remove(split.quad);
+    split.canvas.remove();
+}
+
+// Width of one pane for a canvas `width` pixels wide
+export function splitPaneWidth(width) {
+    return Math.floor(width / 2);
+}
+
+/**
+ * Renders the lensed view through the composer (bloom included) into the left
+ * pane and the unlensed sky into the right one. The camera's aspect, the
+ * composer's size and the lensing resolution must already be the pane's (see
+ * StellarLens.resize).
+ */
+export function renderSplitView(split, renderer, composer, camera) {
+    const { x: width, y: height } = renderer.getSize(new THREE.Vector2());
+    const paneWidth = splitPaneWidth(width);
+    renderer.setRenderTarget(null);
+    renderer.clear(); // Both panes, and the odd column between them
+
+    renderer.setScissorTest(true);
+    renderer.setViewport(0, 0, paneWidth, height);
+    renderer.setScissor(0, 0, paneWidth, height);
+    composer.render();
+
+    renderer.setRenderTarget(null);
+    renderer.setViewport(width - paneWidth, 0, paneWidth, height);
+    renderer.setScissor(width - paneWidth, 0, paneWidth, height);
+    const { unlensed } = split.material.uniforms;
+    unlensed.value = true;
+    renderer.render(split.scene, camera);
+    unlensed.value = false;
+
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
+}
+
+// Matches the overlay's backing store to its CSS size; measured while shown,
+// since a hidden canvas has no size
+function fitCanvas({ canvas, ctx }) {
+    const dpr = window.devicePixelRatio;
+    const width = Math.round(canvas.offsetWidth * dpr);
+    const height = Math.round(canvas.offsetHeight * dpr);
+    if (canvas.width === width && canvas.height === height) return;
+    canvas.width = width;
+    canvas.height = height;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+function onPointerMove(split, event) {
+    if (!split.active) return;
+    const rect = split.domElement.getBoundingClientRect();
+    const paneWidth = rect.width / 2;
+    const x = event.clientX - rect.left;
+    const pane = x < paneWidth ? 'image' : 'source';
+    split.pointer = {
+        pane,
+        x: ((pane === 'image' ? x : x - paneWidth) / paneWidth) * 2 - 1,
+        y: -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    };
+}
+
+// The hovered point, its source and all of the source's images, in θ_E units;
+// recomputed only when the pointer or the lens configuration changes
+function updateHover(split, sourcePlane, camera) {
+    const { pointer } = split;
+    if (!pointer || !sourcePlane) {
+        split.hover = null;
+        return;
+    }
+    const { center, thetaE } = sourcePlane.frame;
+    const elements = camera.projectionMatrix.elements;
+    const x = (pointer.x / elements[0] - center.x) / thetaE;
+    const y = (pointer.y / elements[5] - center.y) / thetaE;
+    const key = JSON.stringify([pointer.pane, x.toFixed(4), y.toFixed(4)]);
+    const { config } = sourcePlane;
+    if (split.hover && split.hover.key === key && split.hover.config === config) return;
+
+    const [sourceX, sourceY] = pointer.pane === 'image' ? mapToSourcePlane(x, y, config) : [x, y];
+    split.hover = {
+        key,
+        config,
+        point: pointer.pane === 'image' ? { x, y } : null,
+        source: { x: sourceX, y: sourceY },
+        images: findImages(config, sourceX, sourceY, sourcePlane.halfSize, HOVER_RESOLUTION),
+    };
+}
+
+/**
+ * Shows or hides the overlay and redraws it: the pane titles and divider, the
+ * lenses and caustics on the source pane and the hover markers. sourcePlane
+ * comes from updateCriticalCurveOverlay; paneSize is one pane in CSS pixels,
+ * as a THREE.Vector2.
+ */
+export function updateSplitView(split, params, sourcePlane, lenses, camera, paneSize) {
+    if (!split) return;
+    split.active = params.splitView;
+    split.canvas.style.display = params.splitView ? 'block' : 'none';
+    if (!params.splitView) return;
+    fitCanvas(split);
+    updateHover(split, sourcePlane, camera);
+
+    const { ctx } = split;
+    const { x: paneWidth, y: height } = paneSize;
+    const sourceLeft = split.canvas.offsetWidth - paneWidth;
+    const elements = camera.projectionMatrix.elements;
+    // Canvas position of a tangent-plane point in the pane starting at `left`
+    const toCanvas = (tx, ty, left) => [left + (tx * elements[0] * 0.5 + 0.5) * paneWidth, (-ty * elements[5] * 0.5 + 0.5) * height];
+    const fromSourcePlane = (x, y, left) => {
+        const { center, thetaE } = sourcePlane.frame;
+        return toCanvas(center.x + x * thetaE, center.y + y * thetaE, left);
+    };
+
+    ctx.clearRect(0, 0, split.canvas.offsetWidth, height);
+    ctx.strokeStyle = DIVIDER_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(sourceLeft - 0.5, 0);
+    ctx.lineTo(sourceLeft - 0.5, height);
+    ctx.stroke();
+    ctx.font = '12px Arial';
+    ctx.fillStyle = TITLE_COLOR;
+    ctx.textAlign = 'center';
+    ctx.fillText('Image Plane (lensed)', paneWidth / 2, 20);
+    ctx.fillText('Source Plane (unlensed)', sourceLeft + paneWidth / 2, 20);
+
+    // Clip to the source pane so nothing spills into the image pane
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(sourceLeft, 0, paneWidth, height);
+    ctx.clip();
+    if (sourcePlane) {
+        [['tangential', CURVE_COLORS.tangentialCaustic], ['radial', CURVE_COLORS.radialCaustic]].forEach(([name, color]) => {
+            const segments = sourcePlane.caustics[name];
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let k = 0; k < segments.length; k += 4) {
+                ctx.moveTo(...fromSourcePlane(segments[k], segments[k + 1], sourceLeft));
+                ctx.lineTo(...fromSourcePlane(segments[k + 2], segments[k + 3], sourceLeft));
+            }
+            ctx.stroke();
+        });
+    }
+    ctx.strokeStyle = LENS_COLOR;
+    ctx.fillStyle = LENS_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.textAlign = 'left';
+    ctx.font = '10px Arial';
+    lenses.forEach((lens, i) => {
+        const position = tangentPlanePosition(lens.position, camera);
+        const [x, y] = toCanvas(position.x, position.y, sourceLeft);
+        drawCross(ctx, x, y, LENS_MARKER_SIZE);
+        ctx.fillText(lenses.length === 1 ? 'Lens' : `Lens ${i + 1}`, x + LENS_MARKER_SIZE + 3, y - LENS_MARKER_SIZE);
+    });
+    ctx.restore();
+
+    const { hover } = split;
+    if (!hover) return;
+    ctx.strokeStyle = LENS_COLOR;
+    ctx.lineWidth = 1.5;
+    const [sourceX, sourceY] = fromSourcePlane(hover.source.x, hover.source.y, sourceLeft);
+    if (sourceX >= sourceLeft) drawCross(ctx, sourceX, sourceY, 5);
+    if (hover.point) {
+        const [x, y] = fromSourcePlane(hover.point.x, hover.point.y, 0);
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+    // A circle per image, larger when more magnified, coloured by parity
+    hover.images.forEach(image => {
+        const [x, y] = fromSourcePlane(image.x, image.y, 0);
+        if (x > paneWidth) return;
+        const rgb = image.parity > 0 ? PARITY_COLORS.positive : PARITY_COLORS.negative;
+        ctx.strokeStyle = `rgb(${rgb.map(c => Math.round(c * 255)).join(',')})`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 6 * (1 + Math.log10(1 + Math.abs(image.magnification))), 0, 2 * Math.PI);
+        ctx.stroke();
+    });
+}
+
+function drawCross(ctx, x, y, size) {
+    ctx.beginPath();
+    ctx.moveTo(x - size, y);
+    ctx.lineTo(x + size, y);
+    ctx.moveTo(x, y - size);
+    ctx.lineTo(x, y + size);
+    ctx.stroke();
+}
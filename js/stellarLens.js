@@ -0,0 +1,612 @@
+// js/stellarLens.js
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+
+import { setupScene, updateBlackHoleMeshAppearance } from './sceneSetup.js';
+import { setupLensingEffect, updateLensingUniforms, setLensingResolution, disposeLensingEffect } from './lensingEffect.js';
+import { setupRayVisualizer, updateRayVisuals, updateRayMaterial, disposeRayVisualizer } from './rayVisualizer.js';
+import { setupInfoDisplay, updateInfoPanel } from './infoDisplay.js';
+import { animateBlackHole } from './animationManager.js';
+import { setupAccretionDisk, updateAccretionDisk, disposeAccretionDisk } from './accretionDisk.js';
+import { setupGUI } from './guiManager.js';
+import { setupLensSystem, updateLensSystem, disposeLensSystem } from './lensSystem.js';
+import { DEFAULT_SOURCE_CATALOG } from './sourceCatalog.js';
+import { getPhysicalQuantities, inferPhysicalQuantities, applyPhysicalParameters } from './physicalUnits.js';
+import { setupGraphCanvas, drawLensingGraph, isGraphInteracting, handleGraphResize, disposeGraph } from './graphManager.js';
+import { setupLightCurveCanvas, updateLightCurve, handleLightCurveResize } from './lightCurveManager.js';
+import { setupRayPicker, disposeRayPicker } from './rayPicker.js';
+import { setupCriticalCurveOverlay, updateCriticalCurveOverlay, disposeCriticalCurveOverlay } from './criticalCurveOverlay.js';
+import { setupTimeDelayLabels, updateTimeDelayLabels } from './timeDelayLabels.js';
+import {
+    setupSplitView, updateSplitView, renderSplitView, splitPaneWidth, disposeSplitView,
+} from './splitView.js';
+import { setupObserverCamera, updateObserverCamera, updateObserverHud } from './observerCamera.js';
+import { setupTimeline, stepTimeline, seekTimeline, getSceneTime } from './timelineManager.js';
+import { setupFrameExporter, isExporting, cancelExport } from './frameExporter.js';
+import { validateSceneState } from './sceneState.js';
+import { createQualityGovernor, updateQualityGovernor, getQualityLevel, visualizedRayCount } from './qualityGovernor.js';
+import {
+    SCENE_LIMITS, reportSceneWarnings, loadSceneFromUrl, setupSceneSharing, disposeSceneSharing,
+} from './sceneShare.js';
+
+// Every parameter of a viewer, with its default. StellarLens copies these for
+// each instance; pass options.params or call setParams to change them.
+export const DEFAULT_PARAMS = {
+    lensingStrength: 0.03334,
+    lensingMode: 'weak', // 'weak' (thin-lens approximation) or 'strong' (geodesic lookup table)
+    lensProfile: 'point', // Weak field only: 'point', 'sis', 'sie' or 'nfw' (see lensModels.js)
+    sieAxisRatio: 0.7, // Minor/major
+    siePositionAngle: 30, // Degrees, major axis from screen +x
+    nfwScaleRadius: 2.0, // In units of the Einstein radius
+    eventHorizonRadius: 1.69,
+    blackHoleZ: -15,
+    cameraInitialZ: 10,
+    galaxyTexturePath: 'textures/galaxy.jpg',
+    backgroundBrightness: 1,
+    skyProjection: 'equirect', // 'equirect' or 'cubemap' on the celestial sphere, 'screen' for the old flat UV mapping
+
+    // Source catalog (point stars and extended blobs, see sourceCatalog.js)
+    showSourceCatalog: true,
+    sourceCatalog: DEFAULT_SOURCE_CATALOG.map(source => ({ ...source })),
+    sourceBrightness: 1.0,
+    starAngularSize: 0.15, // Degrees, Gaussian σ of the stars' point-spread function
+    animateSources: true, // Apply proper motion
+
+    // Microlensing event (positions in Einstein radii of the primary, times in days)
+    showMicrolensing: false,
+    microlensingU0: 0.3, // Impact parameter
+    microlensingTE: 20, // Einstein crossing time
+    microlensingT0: 0, // Time of closest approach
+    microlensingAngle: 0, // Direction of motion on screen (degrees)
+    microlensingWindow: 2, // Plotted half-width in units of tE
+    microlensingDaysPerSecond: 4,
+    microlensingSourceRadius: 0.05, // Finite-source size for multi-lens maps
+
+    // Physical units (drive lensingStrength and eventHorizonRadius when enabled)
+    usePhysicalUnits: false,
+    blackHoleMassSolar: 10,
+    physicalLensDistanceKm: 1500,
+    physicalLensSourceDistanceKm: 1e6,
+    useCosmology: false, // Distances from redshifts instead of the km values (see cosmology.js)
+    lensRedshift: 0.5,
+    sourceRedshift: 2.0,
+    hubbleConstant: 70, // km/s/Mpc
+    omegaMatter: 0.3,
+    omegaLambda: 0.7,
+
+    // Observer modes (see observerCamera.js): 'distant', 'static', 'orbiting' or 'falling'
+    observerMode: 'distant',
+    observerRadius: 10, // Static/orbit radius and free-fall start, in M
+    observerTimeScale: 5, // M of the observer's proper time per second
+    observerSkyShift: true, // Doppler/gravitational shift of the sky seen by a near observer
+
+    // Keyframe timeline (see timelineManager.js)
+    showTimeline: false,
+    timelineDuration: 10, // s
+    timelineFps: 30, // Fixed playback step
+    timelineLoop: false,
+    timelineEasing: 'easeInOut', // For new keyframes, see EASINGS in timeline.js
+
+    // Offline export (see frameExporter.js); sequences render the timeline
+    exportWidth: 1920,
+    exportHeight: 1080,
+    exportSupersample: 2, // Rendered this many times larger, then scaled down
+    exportFormat: 'png', // 'png' (zip of frames) or 'webm'
+
+    // Extra point-mass lenses around the primary black hole (see lensSystem.js)
+    lenses: [], // { massRatio, offsetX, offsetY, offsetZ }
+
+    // Kerr spin (strong-field mode; 0 is Schwarzschild)
+    blackHoleSpin: 0.0, // χ = a/M, below 1
+    spinAxisTilt: 8, // Degrees from +Y, tipped toward the camera like diskTilt
+    spinAxisAzimuth: 0, // Degrees about +Y
+
+    // Accretion Disk (radii in units of r_s; the ISCO is at 3 r_s without spin)
+    showAccretionDisk: true,
+    diskInnerAtIsco: true, // Inner edge follows the prograde ISCO of blackHoleSpin
+    diskInnerRadius: 3.0,
+    diskOuterRadius: 10.0,
+    diskColorInner: '#ffd27a',
+    diskColorOuter: '#b8321a',
+    diskNoiseScale: 1.0,
+    diskTilt: 8, // Degrees, tipped toward the camera
+    diskOpacity: 0.9,
+    diskAnimationSpeed: 1.0,
+    showDiskMesh: false, // Unlensed geometry, for debugging
+    dopplerBeaming: true,
+    dopplerIntensity: 1.0,
+    beamingExponent: 3, // g^3 for specific intensity, g^4 bolometric
+    gravitationalRedshift: true,
+    redshiftIntensity: 1.0,
+
+    // Animation
+    animateBlackHole: true,
+    bhAnimationPreset: 'wobble', // 'wobble' or 'binaryOrbit' (primary and the first extra lens)
+    binarySeparation: 8.0, // Semi-major axis, world units
+    binaryEccentricity: 0.3,
+    binaryInclination: 60, // Degrees; 0 = orbit faces the camera
+    binaryTimeScale: 20, // Light-travel world units (G = c = 1) per second
+    bhAnimationSpeed: 0.1,
+    bhAnimationRadius: 2.0,
+    animateBackground: true,
+    // --- REMOVE STAR PARAMS ---
+    // animateStarField: true,
+    // starAnimationSpeed: 0.005,
+    // starSize: 0.07,
+    // --- END REMOVE STAR PARAMS ---
+
+    // Ray Visualization
+    showRays: false,
+    numVisualizedRays: 20,
+    rayOriginRadiusFactor: 1.5,
+    raySourceDistance: 300,
+    rayColor: '#ffaa00',
+    rayOpacity: 0.16,
+    enableRayPicking: true, // Click to pin a traced ray, Shift+hover to preview
+
+    // Appearance / Debug
+    showBlackHoleMesh: false,
+    showInfoPanel: true,
+
+    // Performance (see qualityGovernor.js)
+    adaptiveQuality: true, // Lower the resolution, bloom and ray count to keep up with targetFps
+    targetFps: 50,
+
+    // Post-processing
+    bloomStrength: 0.5,
+    bloomRadius: 0.4,
+    bloomThreshold: 0.85,
+    showLensingGraph: true, // Added for graph visibility
+    graphSeries: 'deflection', // 'deflection', 'magnification', 'sourceMapping' or 'weakVsStrong' (see graphSeries.js)
+    graphLogX: false,
+    graphLogY: false,
+
+    // Critical curves (image plane) and caustics (source plane)
+    showCriticalCurves: false,
+    showCaustics: false,
+    showSourcePlane: false, // Source-plane panel next to the lensing graph
+    splitView: false, // Lensed view and the unlensed source plane side by side (see splitView.js)
+    showImageSolver: false, // Mark the predicted images of the solver's source
+    solverSourceX: 0.3, // Source position in units of the primary's θ_E; drag it in the source-plane panel
+    solverSourceY: 0.1,
+    animateTimeDelays: false, // Flash the solver's source and light up its images after their delays
+
+    // 'sky' or a diagnostic false-colour map (see js/diagnostics.js)
+    renderMode: 'sky',
+};
+
+const EVENTS = ['change', 'frame'];
+const PANEL_UPDATE_INTERVAL = 0.1; // Seconds between info panel, HUD and graph redraws
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * One lensing viewer, filling a container element. Several can share a page:
+ * each has its own scene, renderer, parameters and overlays.
+ *
+ *   const viewer = new StellarLens(element, { params: { lensingMode: 'strong' } });
+ *   await viewer.ready;
+ *   viewer.on('change', changes => ...);
+ *
+ * options.params overrides DEFAULT_PARAMS (checked like a scene file, see
+ * sceneState.js), options.gui = false hides the control panel and
+ * options.shareLink = true lets the viewer read and write #scene= links in
+ * the page's URL (see sceneShare.js). `ready` resolves once the shaders and
+ * textures have loaded and the first frame is scheduled.
+ */
+export class StellarLens {
+    #root;
+    #params;
+    #listeners = { change: new Set(), frame: new Set() };
+    #scene;
+    #camera;
+    #renderer;
+    #controls;
+    #blackHoleMesh;
+    #pointLight;
+    #lensing;
+    #accretionDisk;
+    #rays;
+    #picker;
+    #lensSystem;
+    #curveOverlay;
+    #imageLabels;
+    #split;
+    #observerCamera;
+    #infoPanel;
+    #composer;
+    #bloomPass;
+    #graph;
+    #lightCurve;
+    #player;
+    #exporter;
+    #sharing;
+    #gui;
+    #rebuildLensFolders;
+    #resizeObserver;
+    #clock = new THREE.Clock();
+    #frameRequest = null;
+    #lastFrameTime = 0;
+    #fps = 0;
+    #paused = false;
+    #splitLayout = false; // Whether resize() last laid the view out as two panes
+    #governor = createQualityGovernor();
+    #panelUpdateTime = -Infinity; // Wall time of the last panel redraw
+    #initialized = false;
+    #disposed = false;
+    #applyingParams = false; // Controller edits made by #applyParams, reported once
+    #physicalQuantities; // Derived r_s, θ_E, ... for the info panel
+    #lenses = []; // Primary and extra lenses, from updateLensSystem
+    #sourcePlane = null; // Caustics, sources and solver images, from updateCriticalCurveOverlay
+    #observer = null; // Camera observer state, from updateObserverCamera
+
+    constructor(container, options = {}) {
+        if (!container) throw new Error('StellarLens needs a container element');
+        const { params = {}, gui = true, shareLink = false } = options;
+        this.#params = copy(DEFAULT_PARAMS);
+        Object.assign(this.#params, copy(this.#validateParams(params)));
+
+        this.#root = document.createElement('div');
+        this.#root.className = 'stellarlens';
+        container.appendChild(this.#root);
+        this.ready = this.#init(gui, shareLink);
+        this.ready.catch(err => this.#showError(err));
+    }
+
+    async #init(showGui, shareLink) {
+        const params = this.#params;
+        const root = this.#root;
+
+        // 0. Shared scene link, if the page was opened from one
+        const link = shareLink ? await loadSceneFromUrl(params, DEFAULT_PARAMS) : { camera: null, notice: null };
+
+        // 1. Scene Setup
+        const sceneElements = setupScene(params, root);
+        this.#scene = sceneElements.scene;
+        this.#camera = sceneElements.camera;
+        this.#renderer = sceneElements.renderer;
+        this.#controls = sceneElements.controls;
+        this.#blackHoleMesh = sceneElements.blackHoleMesh;
+        this.#pointLight = sceneElements.pointLight;
+        const scene = this.#scene;
+
+        // 2. Lensing Effect
+        this.#lensing = await setupLensingEffect(scene, params, this.#camera, this.#renderer);
+
+        // 2a. Extra lenses
+        this.#lensSystem = setupLensSystem(scene);
+        this.#curveOverlay = setupCriticalCurveOverlay(scene);
+        this.#imageLabels = setupTimeDelayLabels(root);
+        this.#split = setupSplitView(this.#lensing, root, this.#renderer.domElement);
+        this.#observerCamera = setupObserverCamera(root);
+
+        // 2b. Accretion Disk (rendered through the lensing shader)
+        this.#accretionDisk = await setupAccretionDisk(scene, params);
+
+        // 3. Ray Visualizer
+        this.#rays = setupRayVisualizer(scene);
+        updateRayMaterial(this.#rays, params);
+        this.#picker = setupRayPicker(scene, this.#camera, this.#renderer.domElement, params, this.#blackHoleMesh, root);
+
+        // 4. Info Display
+        this.#infoPanel = setupInfoDisplay(root);
+
+        // 5. Post-processing
+        const renderScene = new RenderPass(scene, this.#camera);
+        const size = this.#renderer.getSize(new THREE.Vector2());
+        this.#bloomPass = new UnrealBloomPass(size, params.bloomStrength, params.bloomRadius, params.bloomThreshold);
+        this.#composer = new EffectComposer(this.#renderer);
+        this.#composer.addPass(renderScene);
+        this.#composer.addPass(this.#bloomPass);
+
+        // 6. Graph canvases
+        const applyParams = (values) => this.#applyParams(values);
+        this.#graph = setupGraphCanvas(params, root, applyParams);
+        this.#lightCurve = setupLightCurveCanvas(params, root);
+
+        // 7. Timeline, export, sharing and the GUI over them
+        this.#player = setupTimeline(params, this.#camera, this.#controls, this.#blackHoleMesh, root, applyParams);
+        this.#exporter = setupFrameExporter(this.#renderer, this.#composer, this.#camera, this.#controls, this.#lensing, params, root, {
+            updateScene: (elapsedTime, deltaTime) => {
+                this.#controls.update();
+                this.#updateScene(elapsedTime, deltaTime);
+            },
+            seek: (time) => seekTimeline(this.#player, time),
+            sceneTime: () => getSceneTime(this.#player),
+            onFinish: () => {
+                this.resize();
+                this.#lastFrameTime = this.#clock.getElapsedTime(); // Don't count the export as one long frame
+            },
+        });
+        this.#sharing = setupSceneSharing(params, DEFAULT_PARAMS, this.#camera, this.#controls, applyParams, root,
+            { useUrl: shareLink, initialCamera: link.camera, initialNotice: link.notice });
+        const { gui, rebuildLensFolders } = setupGUI(params, {
+            container: root,
+            blackHoleMesh: this.#blackHoleMesh,
+            rays: this.#rays,
+            picker: this.#picker,
+            graph: this.#graph,
+            lightCurve: this.#lightCurve,
+            observer: this.#observerCamera,
+            player: this.#player,
+            exporter: this.#exporter,
+            sharing: this.#sharing,
+            onParamsChanged: (changes) => {
+                if (!this.#applyingParams) this.#emit('change', changes);
+            },
+        });
+        this.#gui = gui;
+        this.#rebuildLensFolders = rebuildLensFolders;
+        if (!showGui) gui.hide();
+
+        updateBlackHoleMeshAppearance(this.#blackHoleMesh, params);
+
+        // Follows the container, whatever resizes it
+        this.#resizeObserver = new ResizeObserver(() => this.resize());
+        this.#resizeObserver.observe(root);
+
+        this.#initialized = true;
+        if (this.#disposed) {
+            this.#teardown();
+        } else if (!this.#paused) {
+            this.#animate();
+        }
+        return this;
+    }
+
+    #showError(err) {
+        console.error("Initialization failed:", err);
+        const errorDiv = document.createElement('div');
+        errorDiv.style.position = 'absolute';
+        errorDiv.style.top = '0';
+        errorDiv.style.left = '0';
+        errorDiv.style.color = 'red';
+        errorDiv.style.backgroundColor = 'black';
+        errorDiv.style.padding = '20px';
+        errorDiv.style.zIndex = '1000';
+        errorDiv.innerText = 'Initialization Error: ' + err.message + '\nCheck console for details.';
+        this.#root.appendChild(errorDiv);
+    }
+
+    // Checks params like a scene file; unknown names are reported and dropped
+    #validateParams(values) {
+        const { params, warnings } = validateSceneState(values, DEFAULT_PARAMS, SCENE_LIMITS);
+        reportSceneWarnings(warnings);
+        return params;
+    }
+
+    // Sets each value through its GUI controller, if it has one, so the same
+    // side effects run as for an edit by hand; reports one 'change'
+    #applyParams(values) {
+        const params = this.#params;
+        const changes = {};
+        Object.entries(copy(values)).forEach(([name, value]) => {
+            if (JSON.stringify(params[name]) !== JSON.stringify(value)) changes[name] = value;
+        });
+        if (Object.keys(changes).length === 0) return;
+
+        const controllers = this.#gui ? this.#gui.controllersRecursive().filter(c => c.object === params) : [];
+        this.#applyingParams = true;
+        try {
+            Object.entries(changes).forEach(([name, value]) => {
+                const controller = controllers.find(c => c.property === name);
+                if (controller) {
+                    controller.setValue(value);
+                } else {
+                    params[name] = value;
+                }
+            });
+        } finally {
+            this.#applyingParams = false;
+        }
+        if ('lenses' in changes && this.#rebuildLensFolders) this.#rebuildLensFolders();
+        if (this.#gui) this.#gui.controllersRecursive().forEach(c => c.updateDisplay());
+        this.#emit('change', changes);
+    }
+
+    #emit(event, data) {
+        this.#listeners[event].forEach(handler => {
+            try {
+                handler(event === 'change' ? copy(data) : data);
+            } catch (err) {
+                console.error(`StellarLens '${event}' handler failed:`, err);
+            }
+        });
+    }
+
+    /**
+     * Changes any of the parameters (see DEFAULT_PARAMS). Throws an Error
+     * listing every invalid value, without applying any. Values read only at
+     * startup (galaxyTexturePath, cameraInitialZ) take effect through
+     * options.params instead.
+     */
+    setParams(values) {
+        const params = this.#validateParams(values);
+        if (this.#initialized) {
+            this.#applyParams(params);
+        } else {
+            Object.assign(this.#params, copy(params)); // Picked up as the viewer is built
+        }
+    }
+
+    // A copy of the current parameters
+    getParams() {
+        return copy(this.#params);
+    }
+
+    /**
+     * Subscribes to 'change' (handler(changes), with { name: value } for every
+     * parameter changed through the GUI, setParams, a scene file or the
+     * timeline) or 'frame' (handler({ elapsedTime, deltaTime, fps }) after each
+     * rendered frame). Returns a function that unsubscribes.
+     */
+    on(event, handler) {
+        if (!EVENTS.includes(event)) throw new Error(`Unknown StellarLens event "${event}" (use ${EVENTS.join(' or ')})`);
+        this.#listeners[event].add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (EVENTS.includes(event)) this.#listeners[event].delete(handler);
+    }
+
+    // Stops rendering; the scene clock stands still until resume()
+    pause() {
+        this.#paused = true;
+        if (this.#frameRequest !== null) cancelAnimationFrame(this.#frameRequest);
+        this.#frameRequest = null;
+    }
+
+    resume() {
+        if (!this.#paused || this.#disposed) return;
+        this.#paused = false;
+        if (this.#initialized) {
+            this.#lastFrameTime = this.#clock.getElapsedTime(); // Skip the paused time
+            this.#animate();
+        }
+    }
+
+    // Fits the view to width × height CSS pixels, by default the container's.
+    // Called automatically when the container changes size.
+    resize(width = this.#root.clientWidth, height = this.#root.clientHeight) {
+        if (!this.#initialized || this.#disposed || isExporting(this.#exporter)) return;
+        if (width === 0 || height === 0) return; // Hidden; keep the last size
+        // In the split view the camera, the composer and the shader see one pane
+        this.#splitLayout = this.#params.splitView;
+        const paneWidth = this.#splitLayout ? splitPaneWidth(width) : width;
+        this.#camera.aspect = paneWidth / height;
+        this.#camera.updateProjectionMatrix();
+
+        const quality = getQualityLevel(this.#governor);
+        const pixelRatio = window.devicePixelRatio * quality.renderScale;
+        this.#renderer.setPixelRatio(pixelRatio);
+        this.#composer.setPixelRatio(pixelRatio);
+        this.#renderer.setSize(width, height);
+        this.#composer.setSize(paneWidth, height);
+        // The composer sized the bloom buffers to the whole pane
+        this.#bloomPass.setSize(Math.round(paneWidth * pixelRatio * quality.bloomScale), Math.round(height * pixelRatio * quality.bloomScale));
+
+        setLensingResolution(this.#lensing, paneWidth, height);
+        handleGraphResize(this.#graph);
+        handleLightCurveResize(this.#lightCurve);
+    }
+
+    // Stops the viewer for good and frees its GPU resources and DOM
+    dispose() {
+        if (this.#disposed) return;
+        this.#disposed = true;
+        this.pause();
+        this.#listeners.change.clear();
+        this.#listeners.frame.clear();
+        if (this.#initialized) this.#teardown(); // Otherwise #init finishes first
+    }
+
+    #teardown() {
+        cancelExport(this.#exporter);
+        this.#resizeObserver.disconnect();
+        disposeSceneSharing(this.#sharing);
+        disposeRayPicker(this.#picker);
+        disposeSplitView(this.#split);
+        disposeGraph(this.#graph);
+        this.#gui.destroy();
+        disposeRayVisualizer(this.#rays);
+        disposeCriticalCurveOverlay(this.#curveOverlay);
+        disposeLensSystem(this.#lensSystem);
+        disposeAccretionDisk(this.#accretionDisk);
+        disposeLensingEffect(this.#lensing);
+        this.#scene.traverse(object => { // The black hole and anything else left
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.#bloomPass.dispose();
+        this.#composer.dispose();
+        this.#controls.dispose();
+        this.#renderer.dispose();
+        this.#renderer.forceContextLoss(); // Browsers only allow a few live contexts
+        this.#root.remove();
+    }
+
+    // updatePanels: redraw the lensing graph (see PANEL_UPDATE_INTERVAL)
+    #updateScene(elapsedTime, deltaTime, updatePanels = true) {
+        const params = this.#params;
+        const camera = this.#camera;
+        const blackHoleMesh = this.#blackHoleMesh;
+        animateBlackHole(blackHoleMesh, this.#pointLight, elapsedTime, params, this.#accretionDisk.diskMesh);
+        this.#observer = updateObserverCamera(this.#observerCamera, params, camera, this.#controls, blackHoleMesh.position, deltaTime);
+
+        const sceneLensDistance = camera.position.distanceTo(blackHoleMesh.position);
+        if (params.usePhysicalUnits) {
+            this.#physicalQuantities = getPhysicalQuantities(params);
+            // A near observer sits at r, not at D_L, so the horizon keeps its scene size
+            if (params.observerMode === 'distant') {
+                applyPhysicalParameters(params, this.#physicalQuantities, sceneLensDistance, camera.fov);
+                updateBlackHoleMeshAppearance(blackHoleMesh, params);
+            }
+        } else {
+            this.#physicalQuantities = inferPhysicalQuantities(params, sceneLensDistance);
+        }
+
+        const viewportSize = this.#renderer.getSize(new THREE.Vector2());
+        if (this.#splitLayout && !isExporting(this.#exporter)) viewportSize.x = splitPaneWidth(viewportSize.x); // The image pane
+        this.#lenses = updateLensSystem(this.#lensSystem, params, blackHoleMesh);
+        updateAccretionDisk(this.#accretionDisk, params, this.#renderer, elapsedTime);
+        const microlensingSource = updateLightCurve(this.#lightCurve, params, this.#lenses, camera, elapsedTime);
+        const extraSources = microlensingSource ? [microlensingSource] : [];
+        updateLensingUniforms(this.#lensing, params, blackHoleMesh.position, camera, elapsedTime, this.#accretionDisk, this.#lenses, extraSources, this.#observer);
+        this.#sourcePlane = updateCriticalCurveOverlay(this.#curveOverlay, params, this.#lenses, camera, elapsedTime, extraSources);
+        updateTimeDelayLabels(this.#imageLabels, params, this.#sourcePlane, this.#physicalQuantities, camera, elapsedTime, viewportSize);
+        const maxRays = isExporting(this.#exporter) ? Infinity : visualizedRayCount(params, getQualityLevel(this.#governor));
+        updateRayVisuals(this.#rays, params, camera, blackHoleMesh.position, viewportSize, maxRays);
+        updateSplitView(this.#split, params, this.#sourcePlane, this.#lenses, camera, viewportSize);
+
+        const bloomPass = this.#bloomPass;
+        bloomPass.enabled = params.renderMode === 'sky'; // Keep the false colours exact
+        bloomPass.strength = params.bloomStrength;
+        bloomPass.radius = params.bloomRadius;
+        bloomPass.threshold = params.bloomThreshold;
+
+        if (params.showLensingGraph && (updatePanels || isGraphInteracting(this.#graph))) {
+            drawLensingGraph(this.#graph, params, this.#lenses, camera, this.#sourcePlane);
+        }
+    }
+
+    #animate = () => {
+        this.#frameRequest = requestAnimationFrame(this.#animate);
+        if (isExporting(this.#exporter)) return; // The exporter drives the scene meanwhile
+
+        const wallTime = this.#clock.getElapsedTime();
+        const wallDeltaTime = wallTime - this.#lastFrameTime;
+        this.#lastFrameTime = wallTime;
+        if (wallDeltaTime > 0) { // Avoid division by zero if deltaTime is 0
+            this.#fps = 1 / wallDeltaTime;
+        }
+
+        const params = this.#params;
+        const qualityChanged = updateQualityGovernor(this.#governor, params, wallDeltaTime);
+        if (qualityChanged || params.splitView !== this.#splitLayout) this.resize(); // Relayout since the last frame
+
+        // The panels are text and 2D canvas work that needn't run every frame
+        const updatePanels = wallTime - this.#panelUpdateTime >= PANEL_UPDATE_INTERVAL;
+        if (updatePanels) this.#panelUpdateTime = wallTime;
+
+        // Scene time: the wall clock, or fixed steps while a timeline plays
+        const { elapsedTime, deltaTime } = stepTimeline(this.#player, wallDeltaTime);
+        this.#controls.update();
+        this.#updateScene(elapsedTime, deltaTime, updatePanels);
+        if (this.#splitLayout) {
+            renderSplitView(this.#split, this.#renderer, this.#composer, this.#camera);
+        } else {
+            this.#composer.render();
+        }
+
+        if (updatePanels) {
+            updateObserverHud(this.#observerCamera, params, this.#observer, this.#physicalQuantities);
+            updateInfoPanel(this.#infoPanel, params, this.#blackHoleMesh.position, this.#camera.position, this.#fps,
+                this.#physicalQuantities, this.#lenses, this.#sourcePlane ? this.#sourcePlane.images : [],
+                getQualityLevel(this.#governor));
+        }
+        this.#emit('frame', { elapsedTime, deltaTime, fps: this.#fps });
+    };
+}
@@ -0,0 +1,82 @@
+// js/timeDelayLabels.js
+import { sourcePlaneToWorld } from './criticalCurveOverlay.js';
+import { fermatTimeScale, SECONDS_PER_DAY } from './timeDelays.js';
+
+// Labels the image finder's images on the view with their arrival-time delay.
+// With the variable-source animation on, the source flashes once per cycle and
+// each image lights up in turn, spaced in proportion to its delay.
+
+const FLASH_PERIOD = 4.0; // Seconds per cycle of the variable source
+const FLASH_LEAD = 0.4; // Seconds from the source flash to the first image
+const FLASH_SPREAD = 2.5; // Seconds from the first image to the last
+const FLASH_DURATION = 0.35;
+
+// Creates the labels' layer in `parent`; returns its state for updateTimeDelayLabels
+export function setupTimeDelayLabels(parent) {
+    const container = document.createElement('div');
+    container.className = 'image-labels';
+    parent.appendChild(container);
+    return {
+        container,
+        labels: [], // { element, dot, text }; the last one in use marks the source
+    };
+}
+
+// Δτ in days for the physical model, or in units of θ_E² otherwise
+export function formatDelay(delay, params, physical) {
+    if (params.usePhysicalUnits && physical) {
+        return `${(delay * fermatTimeScale(physical) / SECONDS_PER_DAY).toPrecision(3)} d`;
+    }
+    return `${delay.toFixed(3)} θ<sub>E</sub>²`;
+}
+
+function getLabel({ container, labels }, index) {
+    while (labels.length <= index) {
+        const element = document.createElement('div');
+        element.className = 'image-label';
+        const dot = document.createElement('span');
+        dot.className = 'image-label-dot';
+        const text = document.createElement('span');
+        element.append(dot, text);
+        container.appendChild(element);
+        labels.push({ element, dot, text });
+    }
+    return labels[index];
+}
+
+// Brightness (0..1) of a flash that started `since` seconds ago
+function flash(since) {
+    return since >= 0 && since < FLASH_DURATION ? 1 - since / FLASH_DURATION : 0;
+}
+
+// viewportSize is the canvas size in CSS pixels, as a THREE.Vector2
+export function updateTimeDelayLabels(handle, params, sourcePlane, physical, camera, elapsedTime, viewportSize) {
+    if (!handle) return;
+    const solverSource = sourcePlane ? sourcePlane.solverSource : null;
+    const images = solverSource ? sourcePlane.images : [];
+    const maxDelay = Math.max(0, ...images.map(image => image.delay));
+    const phase = elapsedTime % FLASH_PERIOD;
+
+    const place = (label, x, y, text, brightness) => {
+        const ndc = sourcePlaneToWorld(x, y, sourcePlane.frame).project(camera);
+        if (ndc.z > 1 || sourcePlane.frame.depth <= 0) {
+            label.element.style.display = 'none';
+            return;
+        }
+        label.element.style.display = 'block';
+        label.element.style.left = `${(ndc.x * 0.5 + 0.5) * viewportSize.x}px`;
+        label.element.style.top = `${(-ndc.y * 0.5 + 0.5) * viewportSize.y}px`;
+        label.text.innerHTML = text;
+        label.dot.style.opacity = params.animateTimeDelays ? (0.15 + 0.85 * brightness).toFixed(2) : '0';
+    };
+
+    images.forEach((image, i) => {
+        const lightTime = FLASH_LEAD + (maxDelay > 0 ? image.delay / maxDelay : 0) * FLASH_SPREAD;
+        place(getLabel(handle, i), image.x, image.y, `${i + 1}: Δt ${formatDelay(image.delay, params, physical)}`, flash(phase - lightTime));
+    });
+    if (solverSource) {
+        place(getLabel(handle, images.length), solverSource.x, solverSource.y, 'Source', flash(phase));
+    }
+    const used = solverSource ? images.length + 1 : 0;
+    handle.labels.slice(used).forEach(label => { label.element.style.display = 'none'; });
+}
@@ -0,0 +1,46 @@
+// js/timeDelays.js
+// Arrival-time delays between the images of a source. The Fermat potential
+//   τ(θ) = ½ |θ - β|² - ψ(θ)
+// is the geometric path difference plus the Shapiro (gravitational) delay, in
+// units of θ_E² with lengths in units of the primary's Einstein radius (see
+// criticalCurves.js for the lens configuration). Images sit at its stationary
+// points; the physical delay is t = D_L D_S θ_E² / (c D_LS) · Δτ.
+// Pure math, no THREE or DOM access.
+import { lensPotential } from './lensModels.js';
+import { C } from './physicalUnits.js';
+
+export const SECONDS_PER_DAY = 86400;
+
+// Lens potential of the whole configuration: the primary's profile plus
+// θ_E,i² ln |θ - θ_i| for each extra point mass
+export function configurationPotential(x, y, config) {
+    let psi = lensPotential(config.profile, x, y, config.model);
+    for (const lens of config.points) {
+        psi += lens.thetaE * lens.thetaE * Math.log(Math.max(Math.hypot(x - lens.x, y - lens.y), 1e-12));
+    }
+    return psi;
+}
+
+// { geometric, shapiro, fermat } at image position (x, y) for the source (betaX, betaY)
+export function fermatPotential(x, y, betaX, betaY, config) {
+    const geometric = 0.5 * ((x - betaX) ** 2 + (y - betaY) ** 2);
+    const shapiro = -configurationPotential(x, y, config);
+    return { geometric, shapiro, fermat: geometric + shapiro };
+}
+
+/**
+ * Adds { geometric, shapiro, fermat, delay } to each image (see findImages),
+ * where delay is Δτ after the first image to arrive. The order is kept.
+ */
+export function computeTimeDelays(images, betaX, betaY, config) {
+    const withPotential = images.map(image => ({ ...image, ...fermatPotential(image.x, image.y, betaX, betaY, config) }));
+    const first = Math.min(...withPotential.map(image => image.fermat));
+    return withPotential.map(image => ({ ...image, delay: image.fermat - first }));
+}
+
+// Seconds per unit of τ for the physical model (see physicalUnits.js):
+// (1 + z_L) D_L D_S θ_E² / (c D_LS), which is 4GM(1 + z_L)/c³ for a point mass
+export function fermatTimeScale(physical) {
+    return (1 + physical.lensRedshift) * physical.lensDistance * physical.sourceDistance *
+        physical.einsteinAngle ** 2 / (C * physical.lensSourceDistance);
+}
@@ -0,0 +1,106 @@
+// js/timeline.js
+// Keyframed timeline for reproducible shots. A timeline is
+//   { version, duration (s), fps, keyframes: [{ time, easing, camera, blackHole, params }] }
+// where camera is { position: [x, y, z], target: [x, y, z] } (the OrbitControls
+// target), blackHole is the primary's position and params holds the scalar
+// PARAMS values at that key. Keyframes are kept sorted by time, on whole frames.
+// Pure math, no THREE or DOM access.
+
+export const TIMELINE_VERSION = 1;
+
+// Easing of the segment arriving at a key, over u in [0, 1]
+export const EASINGS = {
+    linear: u => u,
+    easeIn: u => u * u * u,
+    easeOut: u => 1 - Math.pow(1 - u, 3),
+    easeInOut: u => u < 0.5 ? 4 * u * u * u : 1 - Math.pow(2 - 2 * u, 3) / 2,
+    step: u => u < 1 ? 0 : 1,
+};
+
+export function createTimeline(duration = 10, fps = 30) {
+    return { version: TIMELINE_VERSION, duration, fps, keyframes: [] };
+}
+
+// Time rounded to the nearest frame, so playback hits the keys exactly
+export function snapToFrame(time, fps) {
+    return Math.round(time * fps) / fps;
+}
+
+// Adds the keyframe, replacing any key on the same frame
+export function setKeyframe(timeline, keyframe) {
+    const time = snapToFrame(keyframe.time, timeline.fps);
+    timeline.keyframes = timeline.keyframes
+        .filter(key => Math.abs(key.time - time) > 0.5 / timeline.fps)
+        .concat({ ...keyframe, time })
+        .sort((a, b) => a.time - b.time);
+    return timeline;
+}
+
+// Removes the key on the frame at `time`; returns whether there was one
+export function removeKeyframe(timeline, time) {
+    const count = timeline.keyframes.length;
+    timeline.keyframes = timeline.keyframes.filter(key => Math.abs(key.time - time) > 0.5 / timeline.fps);
+    return timeline.keyframes.length < count;
+}
+
+// Numbers and number arrays are blended; anything else (booleans, strings,
+// presets) holds the earlier value until the next key is reached
+function interpolateValue(a, b, u) {
+    if (typeof a === 'number' && typeof b === 'number') return a + (b - a) * u;
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) return a.map((v, i) => v + (b[i] - v) * u);
+    return u < 1 ? a : b;
+}
+
+/**
+ * State at `time`: { camera, blackHole, params } blended between the keys on
+ * either side with the later key's easing, or held at the first/last key
+ * outside them. Params missing from either key are left out. Null without keys.
+ */
+export function sampleTimeline(timeline, time) {
+    const keys = timeline.keyframes;
+    if (keys.length === 0) return null;
+    const next = keys.findIndex(key => key.time > time);
+    if (next === 0) return keys[0];
+    if (next === -1) return keys[keys.length - 1];
+
+    const from = keys[next - 1], to = keys[next];
+    const ease = EASINGS[to.easing] || EASINGS.linear;
+    const u = ease((time - from.time) / (to.time - from.time));
+    const params = {};
+    Object.keys(from.params).forEach(name => {
+        if (name in to.params) params[name] = interpolateValue(from.params[name], to.params[name], u);
+    });
+    return {
+        camera: {
+            position: interpolateValue(from.camera.position, to.camera.position, u),
+            target: interpolateValue(from.camera.target, to.camera.target, u),
+        },
+        blackHole: interpolateValue(from.blackHole, to.blackHole, u),
+        params,
+    };
+}
+
+export function serializeTimeline(timeline) {
+    return JSON.stringify(timeline, null, 2);
+}
+
+// Parses and checks a saved timeline; throws an Error describing what is wrong
+export function parseTimeline(json) {
+    const data = JSON.parse(json);
+    if (!data || data.version !== TIMELINE_VERSION) {
+        throw new Error(`Unsupported timeline version ${data && data.version} (expected ${TIMELINE_VERSION})`);
+    }
+    if (!(data.duration > 0) || !(data.fps > 0) || !Array.isArray(data.keyframes)) {
+        throw new Error('Timeline needs a positive duration and fps and a keyframes array');
+    }
+    const isVector = v => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+    data.keyframes.forEach((key, i) => {
+        if (!Number.isFinite(key.time) || !key.camera || !isVector(key.camera.position) ||
+            !isVector(key.camera.target) || !isVector(key.blackHole) || typeof key.params !== 'object') {
+            throw new Error(`Keyframe ${i} is malformed`);
+        }
+    });
+    const timeline = createTimeline(data.duration, data.fps);
+    data.keyframes.forEach(key => setKeyframe(timeline, key));
+    return timeline;
+}
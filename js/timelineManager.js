@@ -0,0 +1,242 @@
+// js/timelineManager.js
+import {
+    createTimeline, setKeyframe, removeKeyframe, sampleTimeline, snapToFrame,
+    serializeTimeline, parseTimeline,
+} from './timeline.js';
+
+// Records keyframes of the camera, the primary's position and the scalar
+// PARAMS, and plays them back. The scene clock lives here: it follows the wall
+// clock normally, but during playback it advances exactly one frame
+// (1 / params.timelineFps) per rendered frame, so a shot comes out the same on
+// any machine. Keyed params are applied through the player's applyParams, so
+// the same side effects run as when they are edited by hand.
+
+const UNKEYED_PARAMS = [
+    'showTimeline', 'timelineDuration', 'timelineFps', 'timelineLoop', 'timelineEasing',
+    'exportWidth', 'exportHeight', 'exportSupersample', 'exportFormat',
+];
+
+/**
+ * Builds the timeline bar in `container` and returns the player for the other
+ * functions here. applyParams(values) sets params the way an edit in the GUI
+ * would (see StellarLens); keyed values are applied through it.
+ */
+export function setupTimeline(params, camera, controls, blackHoleMesh, container, applyParams) {
+    const player = {
+        params,
+        camera,
+        controls,
+        blackHole: blackHoleMesh,
+        applyParams,
+        timeline: createTimeline(params.timelineDuration, params.timelineFps),
+        time: 0, // Scrubber position, s
+        frame: 0, // Current frame during playback
+        playing: false,
+        simulationTime: 0, // Scene time handed to the animation, s
+    };
+
+    const barElement = document.createElement('div');
+    barElement.className = 'timeline-bar';
+    container.appendChild(barElement);
+    const playButton = document.createElement('button');
+    playButton.addEventListener('click', () => toggleTimelinePlayback(player));
+    const track = document.createElement('div');
+    track.className = 'timeline-track';
+    const markerElement = document.createElement('div');
+    markerElement.className = 'timeline-markers';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = 0;
+    slider.value = 0;
+    slider.addEventListener('input', () => seekTimeline(player, Number(slider.value)));
+    track.append(markerElement, slider);
+    const timeLabel = document.createElement('span');
+    barElement.append(playButton, track, timeLabel);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.addEventListener('change', () => onFileChosen(player));
+    Object.assign(player, { barElement, playButton, slider, timeLabel, markerElement, fileInput });
+
+    toggleTimelineVisibility(player, params.showTimeline);
+    updateBar(player);
+    updateMarkers(player);
+    return player;
+}
+
+export function toggleTimelineVisibility(player, show) {
+    if (player) player.barElement.style.display = show ? 'flex' : 'none';
+}
+
+// Scalar PARAMS worth keying: numbers, booleans and strings (colours, modes)
+function captureParams(paramsRef) {
+    const params = {};
+    Object.entries(paramsRef).forEach(([name, value]) => {
+        if (UNKEYED_PARAMS.includes(name)) return;
+        if (['number', 'boolean', 'string'].includes(typeof value)) params[name] = value;
+    });
+    return params;
+}
+
+// Keys the current camera, black hole position and params at the scrubber position
+export function addTimelineKeyframe(player) {
+    setKeyframe(player.timeline, {
+        time: player.time,
+        easing: player.params.timelineEasing,
+        camera: { position: player.camera.position.toArray(), target: player.controls.target.toArray() },
+        blackHole: player.blackHole.position.toArray(),
+        params: captureParams(player.params),
+    });
+    updateBar(player);
+    updateMarkers(player);
+}
+
+export function deleteTimelineKeyframe(player) {
+    if (!removeKeyframe(player.timeline, player.time)) {
+        console.warn(`No keyframe at ${player.time.toFixed(2)} s to delete.`);
+    }
+    updateBar(player);
+    updateMarkers(player);
+}
+
+export function clearTimeline(player) {
+    player.timeline.keyframes = [];
+    player.playing = false;
+    updateBar(player);
+    updateMarkers(player);
+}
+
+export function toggleTimelinePlayback(player) {
+    player.playing = !player.playing && player.timeline.keyframes.length > 0;
+    if (player.playing) {
+        player.frame = Math.round(player.time * player.timeline.fps);
+        if (player.frame >= lastFrame(player)) player.frame = 0; // Replay from the start
+        applyFrame(player);
+    }
+    updateBar(player);
+}
+
+function lastFrame({ timeline }) {
+    return Math.round(timeline.duration * timeline.fps);
+}
+
+// Sets the keyed state. The black hole is only placed while its own
+// animation is off; otherwise the (keyed) animation params move it.
+function applySample(player, sample) {
+    if (!sample) return;
+    const { params, camera, controls } = player;
+    const changed = {};
+    Object.entries(sample.params).forEach(([name, value]) => {
+        if (params[name] !== value) changed[name] = value;
+    });
+    player.applyParams(changed);
+    camera.position.fromArray(sample.camera.position);
+    controls.target.fromArray(sample.camera.target);
+    camera.lookAt(controls.target);
+    if (!params.animateBlackHole) player.blackHole.position.fromArray(sample.blackHole);
+}
+
+function applyFrame(player) {
+    player.time = player.frame / player.timeline.fps;
+    player.simulationTime = player.time;
+    applySample(player, sampleTimeline(player.timeline, player.time));
+}
+
+// Jumps to `time` (stopping playback) and applies the keyed state there
+export function seekTimeline(player, time) {
+    player.playing = false;
+    player.time = snapToFrame(time, player.timeline.fps);
+    player.simulationTime = player.time;
+    applySample(player, sampleTimeline(player.timeline, player.time));
+    updateBar(player);
+}
+
+// Current scene time, s
+export function getSceneTime(player) {
+    return player.simulationTime;
+}
+
+/**
+ * Advances the scene clock by one rendered frame, given the wall-clock time
+ * since the last one, and applies the timeline while it plays. Returns
+ * { elapsedTime, deltaTime } in seconds for the animation.
+ */
+export function stepTimeline(player, wallDeltaTime) {
+    const { timeline, params } = player;
+    if (timeline.duration !== params.timelineDuration || timeline.fps !== params.timelineFps) {
+        timeline.duration = params.timelineDuration;
+        timeline.fps = params.timelineFps;
+        updateBar(player);
+        updateMarkers(player);
+    }
+    if (!player.playing) {
+        player.simulationTime += wallDeltaTime;
+        return { elapsedTime: player.simulationTime, deltaTime: wallDeltaTime };
+    }
+
+    player.frame++;
+    if (player.frame > lastFrame(player)) {
+        if (params.timelineLoop) {
+            player.frame = 0;
+        } else {
+            player.frame = lastFrame(player);
+            player.playing = false;
+        }
+    }
+    applyFrame(player);
+    updateBar(player);
+    return { elapsedTime: player.simulationTime, deltaTime: 1 / timeline.fps };
+}
+
+function updateBar(player) {
+    const { playButton, slider, timeLabel, timeline, playing } = player;
+    playButton.textContent = playing ? '❚❚' : '▶';
+    playButton.title = playing ? 'Pause' : 'Play';
+    slider.max = timeline.duration;
+    slider.step = 1 / timeline.fps;
+    slider.value = player.time;
+    timeLabel.textContent = `${player.time.toFixed(2)} / ${timeline.duration.toFixed(2)} s · ${timeline.keyframes.length} keys`;
+}
+
+// Ticks over the scrubber, one per keyframe; click one to jump to it
+function updateMarkers(player) {
+    const { markerElement, timeline } = player;
+    markerElement.innerHTML = '';
+    timeline.keyframes.forEach(key => {
+        const marker = document.createElement('div');
+        marker.className = 'timeline-marker';
+        marker.style.left = `${Math.min(key.time / timeline.duration, 1) * 100}%`;
+        marker.title = `${key.time.toFixed(2)} s (${key.easing})`;
+        marker.addEventListener('click', () => seekTimeline(player, key.time));
+        markerElement.appendChild(marker);
+    });
+}
+
+export function saveTimeline(player) {
+    const blob = new Blob([serializeTimeline(player.timeline)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'timeline.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Opens a file picker; the chosen timeline replaces the current one
+export function loadTimeline(player) {
+    if (player) player.fileInput.click();
+}
+
+function onFileChosen(player) {
+    const { fileInput } = player;
+    const file = fileInput.files[0];
+    fileInput.value = ''; // Let the same file be picked again
+    if (!file) return;
+    file.text().then(text => {
+        player.timeline = parseTimeline(text);
+        player.applyParams({ timelineDuration: player.timeline.duration, timelineFps: player.timeline.fps });
+        seekTimeline(player, 0);
+        updateMarkers(player);
+    }).catch(err => console.error("Could not load timeline:", err));
+}
@@ -3,7 +3,8 @@ varying vec3 vNormal;
 varying vec3 vWorldPosition;
 
 uniform float time;
-uniform vec3 cameraPosition; // For potential view-dependent effects, not heavily used here yet
+// cameraPosition (for view-dependent effects) is provided by three.js's ShaderMaterial prefix;
+// redeclaring it here fails to compile.
 uniform vec3 diskColorInner; // e.g., bright yellow/orange
 uniform vec3 diskColorOuter; // e.g., red/deep orange
 uniform float noiseScale;
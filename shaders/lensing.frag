@@ -4,17 +4,88 @@ uniform sampler2D backgroundTexture; // The galaxy/stars to be lensed
 uniform vec2 resolution;             // Screen resolution (width, height)
 uniform float time;                  // Time for animation
 uniform float backgroundBrightness;  // New: Factor to control background brightness (0.0 to 1.0+)
+uniform int skyProjection;           // 0 = legacy screen-space UV, 1 = equirectangular, 2 = cubemap
+uniform samplerCube skyCubemap;      // backgroundTexture converted to a cubemap (skyProjection 2)
+
+// Background source catalog (passed from JavaScript, see js/sourceCatalog.js).
+// MAX_SOURCES is defined by the material.
+uniform int sourceCount;
+uniform vec3 sourceDirections[MAX_SOURCES];
+uniform vec3 sourceColors[MAX_SOURCES];  // Linear RGB scaled by flux
+uniform vec4 sourceShapes[MAX_SOURCES];  // (type, radius in radians, Sérsic n, Sérsic b_n)
+uniform float sourceBrightness;
 
 // Black Hole properties (passed from JavaScript)
 uniform vec3 blackHoleWorldPosition;
 uniform float lensingStrength;        // Screen-space Einstein radius squared
 uniform float eventHorizonRadius;     // World-space radius
 
+// All lenses (passed from JavaScript); index 0 is the primary black hole above.
+// MAX_LENSES is defined by the material (js/lensSystem.js).
+uniform int lensCount;
+uniform vec3 lensPositions[MAX_LENSES];
+uniform float lensMassRatios[MAX_LENSES]; // Mass relative to the primary
+
+// Profile of the primary lens in weak-field mode (see js/lensModels.js); the
+// extra lenses stay point masses
+uniform int lensProfile;              // 0 point mass, 1 SIS, 2 SIE, 3 NFW
+uniform float sieAxisRatio;           // Minor/major axis ratio q
+uniform float siePositionAngle;       // Major axis, radians counterclockwise from screen +x
+uniform float nfwScaleRadius;         // θ_s in aspect-corrected screen units
+uniform float nfwConvergenceScale;    // κ_s, chosen so the Einstein radius is sqrt(lensingStrength)
+
+// Strong-field mode (passed from JavaScript)
+uniform int lensingMode;               // 0 = weak-field thin lens, 1 = strong-field geodesic table
+uniform sampler2D deflectionTable;     // α(b) for M = 1, indexed by t = 1 - (1 - b_c/b)^(1/3)
+uniform float deflectionTableSize;
+uniform float criticalImpactParameter; // 3√3 M in world units: the shadow edge
+
+// Accretion disk (passed from JavaScript)
+uniform bool showAccretionDisk;
+uniform sampler2D diskTexture;        // accretionDisk.frag baked over (angle, inner→outer), straight alpha
+uniform vec3 diskBasisX;              // World-space disk axes; angle 0 lies along diskBasisX
+uniform vec3 diskBasisY;
+uniform vec3 diskNormal;
+uniform float diskInnerRadius;        // World units
+uniform float diskOuterRadius;
+uniform sampler2D orbitTable;         // M/r along photon orbits: rows b/M = maxImpact·s², columns φ
+uniform vec2 orbitTableSize;          // (columns, rows)
+uniform float orbitTableMaxImpact;    // In units of M
+uniform float orbitTableMaxPhi;
+uniform float dopplerIntensity;        // 0 disables Doppler beaming (see js/diskRelativity.js)
+uniform float redshiftIntensity;       // 0 disables gravitational redshift
+uniform float beamingExponent;         // Brightness scales as g^beamingExponent
+uniform vec3 diskColorShiftExponents;  // Per-channel tint g^exponent
+uniform float maxOrbitalSpeed;
+
+// Kerr spin (passed from JavaScript)
+uniform float blackHoleSpin;          // χ = a/M; 0 is Schwarzschild
+uniform vec3 spinAxis;                // World-space unit spin axis
+uniform sampler2D shadowTable;        // Shadow radius R(ψ)/M around the sky angle ψ (js/kerr.js)
+uniform float shadowTableSize;
+
+// Diagnostic render modes (see js/diagnostics.js)
+uniform int renderMode;               // 0 = lensed sky, 1 |μ|, 2 κ, 3 γ, 4 |α|, 5 parity
+uniform vec2 diagnosticRange;         // Values at the two ends of the colour bar
+uniform bool unlensed;                // Draw the sky as if there were no lens (the split view's source pane)
+
+// Observer modes (see js/observerMotion.js). Rays are traced in the frame of
+// the static observer at the camera; the camera itself may be moving.
+uniform vec3 observerVelocity;        // β in the static frame; zero for a static or distant camera
+uniform float observerLapse;          // sqrt(1 - 2M/r) at the camera; 1 for the distant camera
+uniform bool observerSkyShift;        // Doppler/gravitational shift of the light reaching the camera
+
 // Camera properties (passed from JavaScript)
 uniform mat4 viewMatrixInverse;       // camera.matrixWorld
 uniform mat4 projectionMatrixInverse; // camera.projectionMatrixInverse
+uniform mat4 cameraViewMatrix;        // camera.matrixWorldInverse, so no pixel inverts the two above
+uniform mat4 cameraProjectionMatrix;  // camera.projectionMatrix
 uniform vec3 cameraWorldPosition;
 
+// PI, MAX_DISK_CROSSINGS, SKY_ROTATION_SPEED and the BACKGROUND_WOBBLE_*
+// constants are defined by the material too (js/lensingConstants.js), shared
+// with the CPU reference renderer (js/referenceRenderer.js)
+
 // Function to unproject screen UV to a world space ray direction
 vec3 getRayDirection(vec2 screenUv, vec3 camPos, mat4 projInv, mat4 viewInv) {
     vec2 ndc = screenUv * 2.0 - 1.0;
@@ -25,54 +96,564 @@ vec3 getRayDirection(vec2 screenUv, vec3 camPos, mat4 projInv, mat4 viewInv) {
     return normalize(worldDir);
 }
 
-void main() {
-    vec3 rayDir = getRayDirection(vUv, cameraWorldPosition, projectionMatrixInverse, viewMatrixInverse);
-    vec3 rayOrigin = cameraWorldPosition;
+// Camera ray in the static frame: the observer-frame direction aberrated by the
+// camera's velocity, n = (n∥ - β + n⊥ / γ) / (1 - β · n)
+vec3 cameraRayDirection(vec2 screenUv) {
+    vec3 dir = getRayDirection(screenUv, cameraWorldPosition, projectionMatrixInverse, viewMatrixInverse);
+    float beta = length(observerVelocity);
+    if (beta < 1e-6) return dir;
+    vec3 v = observerVelocity / beta;
+    float parallel = dot(dir, v);
+    return normalize((parallel - beta) * v + (dir - parallel * v) * sqrt(1.0 - beta * beta));
+}
+
+// Frequency ratio ν_camera / ν_∞ for light from infinity seen along the
+// static-frame direction dir: g = γ (1 + β · n) / lapse
+float observerShiftFactor(vec3 dir) {
+    return (1.0 + dot(observerVelocity, dir)) / (sqrt(1.0 - dot(observerVelocity, observerVelocity)) * observerLapse);
+}
+
+// Screen UV at which a world-space direction would appear without lensing.
+// Directions behind the camera have no screen position; they are mirrored
+// through the view plane so the flat background is still sampled continuously.
+vec2 directionToScreenUv(vec3 worldDir, mat4 viewMatrix, mat4 projectionMatrix) {
+    vec3 dirView = (viewMatrix * vec4(worldDir, 0.0)).xyz;
+    dirView.z = -max(abs(dirView.z), 1e-4);
+    vec4 clipPos = projectionMatrix * vec4(dirView, 1.0);
+    return (clipPos.xy / clipPos.w) * 0.5 + 0.5;
+}
+
+vec4 sampleBackground(vec2 uv) {
+    vec2 animatedUv = uv + BACKGROUND_WOBBLE_AMPLITUDE * vec2(sin(time * BACKGROUND_WOBBLE_RATE_X), cos(time * BACKGROUND_WOBBLE_RATE_Y));
+    vec4 bgColor = texture2D(backgroundTexture, fract(animatedUv));
+    return vec4(bgColor.rgb * backgroundBrightness, bgColor.a); // Apply brightness
+}
+
+// Equirectangular lookup (three.js's equirectUv convention, so it matches the
+// cubemap built from the same texture). Derivatives come from whichever of u
+// and u shifted by half a turn is continuous here, so the wrap at u = 0/1 does
+// not drop to the smallest mip level and draw a seam.
+vec4 sampleEquirect(vec3 dir) {
+    vec2 uv = vec2(atan(dir.z, dir.x) / (2.0 * PI) + 0.5, asin(clamp(dir.y, -1.0, 1.0)) / PI + 0.5);
+    vec2 uvShifted = vec2(fract(uv.x + 0.5), uv.y);
+    vec2 dx = dFdx(uv), dy = dFdy(uv);
+    vec2 dxShifted = dFdx(uvShifted), dyShifted = dFdy(uvShifted);
+    if (abs(dxShifted.x) + abs(dyShifted.x) < abs(dx.x) + abs(dy.x)) {
+        dx = dxShifted;
+        dy = dyShifted;
+    }
+    return textureGrad(backgroundTexture, uv, dx, dy);
+}
+
+// Surface brightness of the source catalog along a sky direction. Lensing
+// conserves surface brightness, so sampling it at the lensed direction is all
+// it takes for a star to stretch into arcs and an Einstein ring.
+vec3 catalogEmission(vec3 dir) {
+    vec3 emission = vec3(0.0);
+    for (int i = 0; i < MAX_SOURCES; i++) {
+        if (i >= sourceCount) break;
+        vec3 sourceDir = sourceDirections[i];
+        float theta = atan(length(cross(dir, sourceDir)), dot(dir, sourceDir)); // Accurate at small angles
+        vec4 shape = sourceShapes[i];
+        float x = theta / shape.y;
+        float profile;
+        if (shape.x < 1.5) {
+            // Stars (the radius is the PSF) and Gaussian blobs: radius is σ
+            if (x > 5.0) continue;
+            profile = exp(-0.5 * x * x);
+        } else {
+            // Sérsic: radius is the half-light radius, profile normalized to 1 at the center
+            if (x > 8.0) continue;
+            profile = exp(-shape.w * pow(x, 1.0 / shape.z));
+        }
+        emission += sourceColors[i] * profile;
+    }
+    return emission * sourceBrightness;
+}
+
+// Background seen along a world-space direction: the sky texture on the
+// celestial sphere (or, in the legacy projection, where the direction lands on
+// screen) plus the source catalog
+vec4 sampleSky(vec3 dir) {
+    vec4 sky;
+    if (skyProjection == 0) {
+        sky = sampleBackground(directionToScreenUv(dir, cameraViewMatrix, cameraProjectionMatrix));
+    } else {
+        float angle = time * SKY_ROTATION_SPEED;
+        vec3 skyDir = vec3(cos(angle) * dir.x + sin(angle) * dir.z, dir.y, -sin(angle) * dir.x + cos(angle) * dir.z);
+        vec4 texel = skyProjection == 2 ? texture(skyCubemap, skyDir) : sampleEquirect(skyDir);
+        sky = vec4(texel.rgb * backgroundBrightness, texel.a);
+    }
+    sky.rgb += catalogEmission(dir);
+    return sky;
+}
+
+// Linear interpolation in the deflection table (stored unfiltered)
+float lookupDeflection(float impactParameter) {
+    float x = clamp(criticalImpactParameter / impactParameter, 0.0, 1.0);
+    float t = 1.0 - pow(1.0 - x, 1.0 / 3.0);
+    float fi = t * (deflectionTableSize - 1.0);
+    int i0 = int(floor(fi));
+    int i1 = min(i0 + 1, int(deflectionTableSize) - 1);
+    float a0 = texelFetch(deflectionTable, ivec2(i0, 0), 0).r;
+    float a1 = texelFetch(deflectionTable, ivec2(i1, 0), 0).r;
+    // The table is for M = 1; α depends only on b/M, which the x above already encodes
+    return mix(a0, a1, fract(fi));
+}
 
+// Kerr shadow edge (world units) in the direction of perp on the sky. ψ is
+// measured from the α axis, rayDir × spinAxis, which points at the receding
+// side; β runs along the spin axis as projected on the sky.
+float kerrShadowRadius(vec3 rayDir, vec3 perp) {
+    float M = 0.5 * eventHorizonRadius;
+    if (blackHoleSpin <= 0.0) return criticalImpactParameter;
+    vec3 betaAxis = spinAxis - dot(spinAxis, rayDir) * rayDir;
+    // Looking down the spin axis the shadow is round, so any axis will do
+    if (dot(betaAxis, betaAxis) < 1e-8) betaAxis = normalize(cross(rayDir, abs(rayDir.y) < 0.9 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+    betaAxis = normalize(betaAxis);
+    vec3 alphaAxis = cross(rayDir, betaAxis);
+    float psi = atan(dot(perp, betaAxis), dot(perp, alphaAxis));
+    float fi = fract(psi / (2.0 * PI)) * shadowTableSize;
+    int i0 = int(floor(fi)) % int(shadowTableSize);
+    int i1 = (i0 + 1) % int(shadowTableSize);
+    float r0 = texelFetch(shadowTable, ivec2(i0, 0), 0).r;
+    float r1 = texelFetch(shadowTable, ivec2(i1, 0), 0).r;
+    return mix(r0, r1, fract(fi)) * M;
+}
+
+// Frequency ratio g = ν_obs / ν_emit for disk gas at relPos whose light leaves
+// along photonDir: Doppler factor of the Keplerian orbit times the
+// gravitational redshift, each raised to its intensity (Kerr equatorial
+// expressions, see js/diskRelativity.js)
+float diskShiftFactor(vec3 relPos, vec3 photonDir) {
+    float M = 0.5 * eventHorizonRadius;
+    float a = blackHoleSpin * M;
+    float r = length(relPos);
+    float delta = r * r - 2.0 * M * r + a * a;
+    float g = 1.0;
+    if (dopplerIntensity > 0.0) {
+        float v = (r * r - 2.0 * a * sqrt(M * r) + a * a) * sqrt(M)
+            / (sqrt(max(delta, 1e-12)) * (pow(r, 1.5) + a * sqrt(M)));
+        float beta = clamp(v, 0.0, maxOrbitalSpeed);
+        float gamma = 1.0 / sqrt(1.0 - beta * beta);
+        vec3 velocityDir = normalize(cross(diskNormal, relPos)); // Prograde about the disk normal
+        g *= pow(1.0 / (gamma * (1.0 - beta * dot(velocityDir, photonDir))), dopplerIntensity);
+    }
+    if (redshiftIntensity > 0.0) {
+        float rho = r * r + a * a;
+        g *= pow(sqrt(max(r * r * delta / (rho * rho - a * a * delta), 0.0)), redshiftIntensity);
+    }
+    return max(g, 1e-3);
+}
+
+// Disk colour (straight alpha) at a point relative to the BH center, or
+// transparent if the point is off the annulus. photonDir is the direction the
+// light leaves the disk in, toward the camera.
+vec4 sampleDisk(vec3 relPos, vec3 photonDir) {
+    float r = length(relPos);
+    if (r < diskInnerRadius || r > diskOuterRadius) return vec4(0.0);
+    float angle = atan(dot(relPos, diskBasisY), dot(relPos, diskBasisX));
+    vec2 diskUv = vec2(fract(angle / (2.0 * PI)), (r - diskInnerRadius) / (diskOuterRadius - diskInnerRadius));
+    vec4 disk = texture2D(diskTexture, diskUv);
+    float g = diskShiftFactor(relPos, photonDir);
+    disk.rgb *= pow(vec3(g), diskColorShiftExponents) * pow(g, beamingExponent);
+    return disk;
+}
+
+// Front-to-back compositing of disk crossings along a ray
+void accumulateDisk(inout vec3 color, inout float transmittance, vec4 disk) {
+    color += transmittance * disk.a * disk.rgb;
+    transmittance *= 1.0 - disk.a;
+}
+
+// Disk crossing of the straight segment origin + t·dir, tMin <= t <= tMax
+vec4 diskAlongSegment(vec3 origin, vec3 dir, float tMin, float tMax) {
+    float denom = dot(dir, diskNormal);
+    if (abs(denom) < 1e-6) return vec4(0.0);
+    float t = dot(blackHoleWorldPosition - origin, diskNormal) / denom;
+    if (t < tMin || t > tMax) return vec4(0.0);
+    return sampleDisk(origin + dir * t - blackHoleWorldPosition, -dir);
+}
+
+// M/r on the photon orbit with impact parameter b (in units of M) at angle φ,
+// bilinearly interpolated from the orbit table
+float lookupOrbit(float bOverM, float phi) {
+    if (bOverM > orbitTableMaxImpact) {
+        // Beyond the table: first-order weak-field orbit, u = sin φ / b + M(1 - cos φ)² / b²
+        float e = 1.0 / bOverM;
+        float c = 1.0 - cos(phi);
+        return e * sin(phi) + e * e * c * c;
+    }
+    vec2 cell = vec2(phi / orbitTableMaxPhi, sqrt(bOverM / orbitTableMaxImpact)) * (orbitTableSize - 1.0);
+    ivec2 i0 = ivec2(floor(cell));
+    ivec2 i1 = min(i0 + 1, ivec2(orbitTableSize) - 1);
+    vec2 f = fract(cell);
+    float v00 = texelFetch(orbitTable, i0, 0).r;
+    float v10 = texelFetch(orbitTable, ivec2(i1.x, i0.y), 0).r;
+    float v01 = texelFetch(orbitTable, ivec2(i0.x, i1.y), 0).r;
+    float v11 = texelFetch(orbitTable, i1, 0).r;
+    return mix(mix(v00, v10, f.x), mix(v01, v11, f.x), f.y);
+}
+
+// Walks the disk-plane crossings of the curved orbit. The orbit plane contains
+// the BH, so it meets the disk plane along a line through the BH: the crossings
+// sit at φ* + kπ, with the orbit sample (r, φ) at r(-cos φ · rayDir + sin φ · n).
+// The orbit shape comes from the (spin-scaled) impact parameter b, the camera's
+// place on it from the geometric one, bCamera.
+void accumulateDiskAlongOrbit(vec3 rayDir, vec3 n, float b, float bCamera, float tca, float phiEnd,
+                              inout vec3 color, inout float transmittance) {
+    float M = 0.5 * eventHorizonRadius;
+    float phiCamera = atan(bCamera, tca); // The camera sits on the incoming leg
+    float A = dot(rayDir, diskNormal);
+    float B = dot(n, diskNormal);
+    if (abs(A) + abs(B) < 1e-6) return; // Orbit lies in the disk plane
+    float phiCross = atan(A, B);
+    if (phiCross < 0.0) phiCross += PI;
+
+    for (int k = 0; k < MAX_DISK_CROSSINGS; k++) {
+        float phi = phiCross + float(k) * PI;
+        if (phi > phiEnd || phi > orbitTableMaxPhi) break;
+        if (phi < phiCamera) continue;
+        float uM = lookupOrbit(b / M, phi);
+        if (uM <= 0.0 || uM >= 0.5) break; // Escaped, or fell through the horizon
+        float r = M / uM;
+        vec3 radial = -cos(phi) * rayDir + sin(phi) * n;
+        vec3 tangential = sin(phi) * rayDir + cos(phi) * n;
+        // du/dφ from the first integral (du/dφ)² = 1/b² - u² + 2Mu³: positive on
+        // the way in, negative after periapsis (half-way to phiEnd) for escaping rays
+        float bM = M / b;
+        float slope = sqrt(max(bM * bM - uM * uM + 2.0 * uM * uM * uM, 0.0)) / uM;
+        if (b >= criticalImpactParameter && phi > 0.5 * phiEnd) slope = -slope;
+        // The traced ray runs along dr/dφ · radial + r · tangential; the light travels the other way
+        vec3 photonDir = -normalize(-slope * radial + tangential);
+        accumulateDisk(color, transmittance, sampleDisk(r * radial, photonDir));
+    }
+}
+
+// Summed deflection of the extra lenses (1..lensCount-1), each a Schwarzschild
+// point mass scaled by its mass ratio. Returns the small-angle deflection vector
+// (radians, pointing toward the lenses); captured is set if a horizon swallows the ray.
+vec3 companionDeflection(vec3 rayOrigin, vec3 rayDir, out bool captured) {
+    captured = false;
+    vec3 deflection = vec3(0.0);
+    for (int i = 1; i < MAX_LENSES; i++) {
+        if (i >= lensCount) break;
+        vec3 L = lensPositions[i] - rayOrigin;
+        float tca = dot(L, rayDir);
+        if (tca <= 0.0) continue;
+        vec3 perp = rayOrigin + rayDir * tca - lensPositions[i];
+        float b = length(perp);
+        float ratio = lensMassRatios[i];
+        if (b < criticalImpactParameter * ratio) {
+            captured = true;
+            return deflection;
+        }
+        // α depends only on b/M, so the primary's table serves every lens
+        deflection -= lookupDeflection(b / ratio) * perp / b;
+    }
+    return deflection;
+}
+
+// Rotates rayDir by the summed deflection vector (exact for a single lens)
+vec3 applyDeflection(vec3 rayDir, vec3 deflection) {
+    float angle = length(deflection);
+    if (angle < 1e-9) return rayDir;
+    return cos(angle) * rayDir + sin(angle) * deflection / angle;
+}
+
+// The ray's pass by the primary: tca is the distance along it to the closest
+// approach, bCamera that point's distance from the center, n the unit vector
+// from the center toward it and b the impact parameter the deflection table is
+// read at (see strongFieldColor). Returns false when the primary lies behind
+// the ray.
+bool primaryEncounter(vec3 rayOrigin, vec3 rayDir, out float tca, out float bCamera, out vec3 n, out float b) {
+    bCamera = 0.0;
+    n = vec3(0.0);
+    b = 0.0;
     vec3 L = blackHoleWorldPosition - rayOrigin;
-    float tca = dot(L, rayDir);
+    tca = dot(L, rayDir);
+    if (tca <= 0.0) return false;
 
-    if (tca < 0.0 && dot(L,L) > eventHorizonRadius * eventHorizonRadius * 4.0 ) {
-        vec2 animatedBgUv = vUv + vec2(sin(time * 0.01) * 0.005, cos(time * 0.015) * 0.005);
-        vec4 bgColor = texture2D(backgroundTexture, fract(animatedBgUv));
-        gl_FragColor = vec4(bgColor.rgb * backgroundBrightness, bgColor.a); // Apply brightness
-        return;
+    vec3 perp = rayOrigin + rayDir * tca - blackHoleWorldPosition; // BH center to closest point
+    bCamera = length(perp);
+    n = bCamera > 1e-6 ? perp / bCamera : normalize(cross(rayDir, abs(rayDir.y) < 0.9 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0)));
+    b = bCamera / observerLapse * criticalImpactParameter / kerrShadowRadius(rayDir, perp);
+    return true;
+}
+
+// Strong-field sky direction of a ray, without the disk. `captured` is set when
+// any of the lenses swallows it.
+vec3 strongFieldDirection(vec3 rayOrigin, vec3 rayDir, out bool captured) {
+    vec3 deflection = companionDeflection(rayOrigin, rayDir, captured);
+    float tca, bCamera, b;
+    vec3 n;
+    if (!primaryEncounter(rayOrigin, rayDir, tca, bCamera, n, b)) return applyDeflection(rayDir, deflection);
+    if (b < criticalImpactParameter) {
+        captured = true;
+        return rayDir;
     }
+    return applyDeflection(rayDir, deflection - lookupDeflection(b) * n);
+}
 
-    float d2 = dot(L, L) - tca * tca;
-    float d = sqrt(d2);
+// Strong-field mode: bend the camera ray by the exact Schwarzschild deflection
+// angle for its impact parameter. Rays inside b_c are captured (the shadow);
+// rays just outside it wind around the photon sphere and pick up the photon
+// ring and the higher-order images of the whole sky.
+// With spin, b is rescaled by 3√3 M / R(ψ) so the shadow takes the Kerr D shape
+// and rays passing the approaching (prograde) side, whose photon orbit is
+// tighter, are bent less than those on the receding side.
+// A camera close to the hole sees a ray at angle ψ from it with impact
+// parameter b = r sin ψ / sqrt(1 - 2M/r), hence the division by observerLapse.
+vec4 strongFieldColor(vec3 rayOrigin, vec3 rayDir) {
+    vec3 color = vec3(0.0);
+    float transmittance = 1.0;
 
-    if (d < eventHorizonRadius) {
-        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
-        return;
+    bool companionCaptured;
+    vec3 deflection = companionDeflection(rayOrigin, rayDir, companionCaptured);
+
+    float tca, bCamera, b;
+    vec3 n;
+    if (!primaryEncounter(rayOrigin, rayDir, tca, bCamera, n, b)) {
+        // Ray leaves the primary black hole behind
+        if (showAccretionDisk) accumulateDisk(color, transmittance, diskAlongSegment(rayOrigin, rayDir, 0.0, 1e6));
+        if (companionCaptured) return vec4(color, 1.0);
+        return vec4(color + transmittance * sampleSky(applyDeflection(rayDir, deflection)).rgb, 1.0);
+    }
+
+    bool captured = b < criticalImpactParameter;
+    float alpha = captured ? 0.0 : lookupDeflection(b);
+
+    if (showAccretionDisk) {
+        accumulateDiskAlongOrbit(rayDir, n, b, bCamera, tca, captured ? orbitTableMaxPhi : PI + alpha, color, transmittance);
     }
+    if (captured || companionCaptured) {
+        return vec4(color, 1.0);
+    }
+
+    // Rotate toward the BH; with several lenses their deflections add up as vectors
+    vec3 bentDir = applyDeflection(rayDir, deflection - alpha * n);
+    return vec4(color + transmittance * sampleSky(bentDir).rgb, 1.0);
+}
+
+// NFW lensing function h(x) = ln(x/2) + F(x)
+float nfwMassFunction(float x) {
+    if (x < 1e-4) return 0.25 * x * x * (2.0 * log(2.0 / x) - 1.0);
+    float f = 1.0;
+    if (x < 0.999) {
+        f = 2.0 / sqrt(1.0 - x * x) * atanh(sqrt((1.0 - x) / (1.0 + x)));
+    } else if (x > 1.001) {
+        f = 2.0 / sqrt(x * x - 1.0) * atan(sqrt((x - 1.0) / (x + 1.0)));
+    }
+    return log(x / 2.0) + f;
+}
+
+// Deflection of the primary's profile at the aspect-corrected offset p from
+// its center, pointing away from the center (the source sits at p - α)
+vec2 profileDeflection(vec2 p, float thetaE) {
+    float r = length(p);
+    if (lensProfile == 1) {
+        return thetaE * p / r;
+    }
+    if (lensProfile == 2) {
+        float q = clamp(sieAxisRatio, 1e-3, 0.9999);
+        float c = cos(siePositionAngle);
+        float s = sin(siePositionAngle);
+        vec2 pr = vec2(c * p.x + s * p.y, -s * p.x + c * p.y); // Major axis along x
+        float psi = sqrt(q * q * pr.x * pr.x + pr.y * pr.y);
+        float e = sqrt(1.0 - q * q);
+        vec2 a = thetaE * sqrt(q) / e * vec2(atan(e * pr.x / psi), atanh(e * pr.y / psi));
+        return vec2(c * a.x - s * a.y, s * a.x + c * a.y);
+    }
+    if (lensProfile == 3) {
+        float u = r / nfwScaleRadius;
+        return 4.0 * nfwConvergenceScale * nfwScaleRadius * nfwMassFunction(u) / u * p / r;
+    }
+    return thetaE * thetaE * p / (r * r);
+}
 
-    mat4 viewMatrix = inverse(viewMatrixInverse);
-    mat4 projectionMatrix = inverse(projectionMatrixInverse);
-    vec4 bhClipPos = projectionMatrix * viewMatrix * vec4(blackHoleWorldPosition, 1.0);
-    vec2 bhNdc = bhClipPos.xy / bhClipPos.w;
-    vec2 bhUv = bhNdc * 0.5 + 0.5;
+// Weak-field mode: thin-lens mapping in screen space, from the screen UV of the
+// static-frame ray (see staticScreenUv). Returns the UV to sample the
+// background at, and whether the pixel falls inside a horizon disc. Each
+// point lens shifts the source position by R_E² / r toward itself, with
+// R_E² ∝ mass; an extended primary (lensProfile > 0) uses its own field and has
+// no horizon.
+vec2 weakFieldSourceUv(vec2 uv, vec3 rayOrigin, vec3 rayDir, out bool inShadow) {
+    inShadow = false;
 
-    vec2 uv_centered = vUv - bhUv;
     float aspect = resolution.x / resolution.y;
-    uv_centered.x *= aspect;
-    float r2 = dot(uv_centered, uv_centered);
+    vec2 deflection = vec2(0.0); // Aspect-corrected UV offset, summed over the lenses
+
+    for (int i = 0; i < MAX_LENSES; i++) {
+        if (i >= lensCount) break;
+        vec3 lensPosition = lensPositions[i];
+        float horizon = eventHorizonRadius * lensMassRatios[i];
+
+        vec3 L = lensPosition - rayOrigin;
+        float tca = dot(L, rayDir);
+
+        if (tca < 0.0 && dot(L,L) > horizon * horizon * 4.0 ) {
+            continue;
+        }
+
+        bool extended = i == 0 && lensProfile != 0;
+        float d2 = dot(L, L) - tca * tca;
+        float d = sqrt(d2);
+
+        if (d < horizon && !extended) {
+            inShadow = true;
+            return uv;
+        }
+
+        vec4 lensClipPos = cameraProjectionMatrix * cameraViewMatrix * vec4(lensPosition, 1.0);
+        vec2 lensNdc = lensClipPos.xy / lensClipPos.w;
+        vec2 lensUv = lensNdc * 0.5 + 0.5;
+
+        vec2 uv_centered = uv - lensUv;
+        uv_centered.x *= aspect;
+        float r2 = dot(uv_centered, uv_centered);
+
+        if (r2 < 0.000001) {
+            continue;
+        }
+
+        deflection += extended ? profileDeflection(uv_centered, sqrt(lensingStrength))
+                               : uv_centered * (lensingStrength * lensMassRatios[i] / r2);
+    }
+
+    deflection.x /= aspect;
+    return uv - deflection;
+}
+
+// Where the static-frame ray through screen UV would land on screen without
+// aberration; just uv unless the camera is moving
+vec2 staticScreenUv(vec2 uv, vec3 rayDir) {
+    if (dot(observerVelocity, observerVelocity) == 0.0) return uv;
+    return directionToScreenUv(rayDir, cameraViewMatrix, cameraProjectionMatrix);
+}
 
-    if (r2 < 0.000001) {
-        vec2 animatedDirectUv = vUv + vec2(sin(time * 0.01) * 0.005, cos(time * 0.015) * 0.005);
-        vec4 bgColor = texture2D(backgroundTexture, fract(animatedDirectUv));
-        gl_FragColor = vec4(bgColor.rgb * backgroundBrightness, bgColor.a); // Apply brightness
+// Sky direction the light seen at screen UV comes from, in the current mode
+vec3 lensedDirection(vec2 uv, out bool captured) {
+    vec3 rayDir = cameraRayDirection(uv);
+    if (lensingMode == 1) {
+        return strongFieldDirection(cameraWorldPosition, rayDir, captured);
+    }
+    vec2 sourceUv = weakFieldSourceUv(staticScreenUv(uv, rayDir), cameraWorldPosition, rayDir, captured);
+    return getRayDirection(sourceUv, cameraWorldPosition, projectionMatrixInverse, viewMatrixInverse);
+}
+
+// Rotates v by the smallest rotation taking unit vector `from` onto `to`
+vec3 rotateOnto(vec3 v, vec3 from, vec3 to) {
+    vec3 axis = cross(from, to);
+    float s = length(axis);
+    float c = dot(from, to);
+    if (s < 1e-7) return v;
+    axis /= s;
+    return v * c + cross(axis, v) * s + axis * dot(axis, v) * (1.0 - c);
+}
+
+// Polynomial fit of viridis (mirrored by js/diagnostics.js)
+vec3 viridis(float t) {
+    const vec3 c0 = vec3(0.2777273272234177, 0.005407344544966578, 0.3340998053353061);
+    const vec3 c1 = vec3(0.1050930431085774, 1.404613529898575, 1.384590162594685);
+    const vec3 c2 = vec3(-0.3308618287255563, 0.214847559468213, 0.09509516302823659);
+    const vec3 c3 = vec3(-4.634230498983486, -5.799100973351585, -19.33244095627987);
+    const vec3 c4 = vec3(6.228269936347081, 14.17993336680509, 56.69055260068105);
+    const vec3 c5 = vec3(4.776384997670288, -13.74514537774601, -65.35303263337234);
+    const vec3 c6 = vec3(-5.435455855934631, 4.645852612178535, 26.3124352495832);
+    t = clamp(t, 0.0, 1.0);
+    return c0 + t * (c1 + t * (c2 + t * (c3 + t * (c4 + t * (c5 + t * c6)))));
+}
+
+// False-colour map of the lens mapping's Jacobian A = ∂β/∂θ, by finite
+// differences over one pixel. Source-side offsets are rotated back along the
+// deflection so both sides share the image's tangent frame (e1 right, e2 up).
+vec4 diagnosticColor(vec2 uv) {
+    vec2 pixel = 1.0 / resolution;
+    bool captured0, captured1, captured2;
+    vec3 s0 = lensedDirection(uv, captured0);
+    vec3 s1 = lensedDirection(uv + vec2(pixel.x, 0.0), captured1);
+    vec3 s2 = lensedDirection(uv + vec2(0.0, pixel.y), captured2);
+    if (captured0 || captured1 || captured2) return vec4(vec3(0.05), 1.0);
+
+    vec3 d0 = cameraRayDirection(uv);
+    vec3 d1 = cameraRayDirection(uv + vec2(pixel.x, 0.0));
+    vec3 d2 = cameraRayDirection(uv + vec2(0.0, pixel.y));
+    vec3 e1 = normalize(d1 - d0 - d0 * dot(d1 - d0, d0));
+    vec3 e2 = cross(e1, d0);
+
+    mat2 imageOffsets = mat2(dot(d1 - d0, e1), dot(d1 - d0, e2), dot(d2 - d0, e1), dot(d2 - d0, e2));
+    vec3 t1 = rotateOnto(s1, s0, d0) - d0;
+    vec3 t2 = rotateOnto(s2, s0, d0) - d0;
+    mat2 sourceOffsets = mat2(dot(t1, e1), dot(t1, e2), dot(t2, e1), dot(t2, e2));
+    mat2 A = sourceOffsets * inverse(imageOffsets);
+
+    float kappa = 1.0 - 0.5 * (A[0][0] + A[1][1]);
+    float gamma = length(vec2(0.5 * (A[1][1] - A[0][0]), 0.5 * (A[1][0] + A[0][1])));
+    float detA = determinant(A);
+    float logMagnification = -log(max(abs(detA), 1e-8)) / log(10.0);
+
+    float value = logMagnification;
+    if (renderMode == 2) value = kappa;
+    if (renderMode == 3) value = gamma;
+    if (renderMode == 4) value = degrees(acos(clamp(dot(s0, d0), -1.0, 1.0)));
+    float t = (value - diagnosticRange.x) / (diagnosticRange.y - diagnosticRange.x);
+
+    if (renderMode == 5) {
+        vec3 parityColor = detA > 0.0 ? vec3(0.23, 0.44, 0.84) : vec3(0.88, 0.44, 0.23);
+        return vec4(parityColor * (0.4 + 0.6 * clamp(t, 0.0, 1.0)), 1.0);
+    }
+    return vec4(viridis(t), 1.0);
+}
+
+// Weak-field colour: the lensed sky behind the thin lens, plus the disk
+vec4 weakFieldColor(vec2 uv, vec3 rayOrigin, vec3 rayDir) {
+    bool inShadow;
+    vec2 finalUv = weakFieldSourceUv(uv, rayOrigin, rayDir, inShadow);
+    vec3 sourceDir = getRayDirection(finalUv, cameraWorldPosition, projectionMatrixInverse, viewMatrixInverse);
+    vec4 behind = vec4(0.0, 0.0, 0.0, 1.0);
+    if (!inShadow) {
+        // The legacy projection keeps sampling the lensed screen UV directly
+        behind = skyProjection == 0 ? sampleBackground(finalUv) + vec4(catalogEmission(sourceDir), 0.0) : sampleSky(sourceDir);
+    }
+    if (!showAccretionDisk) {
+        return behind;
+    }
+
+    // Thin-lens disk: the ray runs straight to the lens plane (through the BH,
+    // facing the camera), then on toward its source direction.
+    vec3 color = vec3(0.0);
+    float transmittance = 1.0;
+    vec3 L = blackHoleWorldPosition - rayOrigin;
+    float tLens = dot(L, L) / max(dot(L, rayDir), 1e-6);
+    if (dot(L, rayDir) <= 0.0) tLens = 1e6;
+    accumulateDisk(color, transmittance, diskAlongSegment(rayOrigin, rayDir, 0.0, tLens));
+    if (!inShadow && tLens < 1e6) {
+        vec3 lensPoint = rayOrigin + rayDir * tLens;
+        accumulateDisk(color, transmittance, diskAlongSegment(lensPoint, sourceDir, 0.0, 1e6));
+    }
+    return vec4(color + transmittance * behind.rgb, 1.0);
+}
+
+void main() {
+    vec3 rayDir = cameraRayDirection(vUv);
+    vec3 rayOrigin = cameraWorldPosition;
+
+    if (unlensed) {
+        gl_FragColor = sampleSky(rayDir);
+        return;
+    }
+    if (renderMode != 0) {
+        gl_FragColor = diagnosticColor(vUv);
         return;
     }
-    
-    vec2 sample_offset_from_bh_center = uv_centered * (1.0 - lensingStrength / r2);
-    sample_offset_from_bh_center.x /= aspect;
-    vec2 finalUv = bhUv + sample_offset_from_bh_center;
 
-    finalUv.x += sin(time * 0.01) * 0.005;
-    finalUv.y += cos(time * 0.015) * 0.005;
-    finalUv = fract(finalUv);
+    gl_FragColor = lensingMode == 1 ? strongFieldColor(rayOrigin, rayDir)
+                                    : weakFieldColor(staticScreenUv(vUv, rayDir), rayOrigin, rayDir);
 
-    vec4 lensedColor = texture2D(backgroundTexture, finalUv);
-    gl_FragColor = vec4(lensedColor.rgb * backgroundBrightness, lensedColor.a); // Apply brightness
-}
\ No newline at end of file
+    // Light from infinity (and the disk's, already shifted to infinity) as the
+    // camera receives it, tinted and beamed like the disk
+    if (observerSkyShift) {
+        float g = max(observerShiftFactor(rayDir), 1e-3);
+        gl_FragColor.rgb *= pow(vec3(g), diskColorShiftExponents) * pow(g, beamingExponent);
+    }
+}
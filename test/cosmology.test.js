@@ -0,0 +1,35 @@
+// test/cosmology.test.js
+// Distances against published values for H0 = 70, Ω_m = 0.3, Ω_Λ = 0.7
+// (Hogg 1999; Wright's cosmology calculator).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MPC, angularDiameterDistance, angularDiameterDistanceBetween, comovingDistance, lensingDistances,
+} from '../js/cosmology.js';
+
+const TOLERANCE = 0.5; // Mpc; the published values are given to 0.1 Mpc
+
+function assertMpc(meters, expected, label) {
+    const mpc = meters / MPC;
+    assert.ok(Math.abs(mpc - expected) < TOLERANCE, `${label}: ${mpc.toFixed(2)} Mpc, expected ${expected} Mpc`);
+}
+
+test('D_A at z = 1', () => {
+    assertMpc(angularDiameterDistance(1), 1651.9, 'D_A(1)');
+});
+
+test('lens and source distances for z_L = 0.5, z_S = 2', () => {
+    const { lensDistance, sourceDistance, lensSourceDistance } = lensingDistances(0.5, 2);
+    assertMpc(lensDistance, 1259.1, 'D_L');
+    assertMpc(sourceDistance, 1726.6, 'D_S');
+    assertMpc(lensSourceDistance, 1097.1, 'D_LS');
+});
+
+test('D_LS = (D_M(z_S) - D_M(z_L)) / (1 + z_S) in a flat universe', () => {
+    // Flat: the transverse comoving distance D_M is the line-of-sight one
+    [[0.1, 0.5], [0.5, 2], [1, 3]].forEach(([zL, zS]) => {
+        const expected = (comovingDistance(zS) - comovingDistance(zL)) / (1 + zS);
+        const actual = angularDiameterDistanceBetween(zL, zS);
+        assert.ok(Math.abs(actual - expected) <= 1e-9 * expected, `z_L = ${zL}, z_S = ${zS}: ${actual} vs ${expected}`);
+    });
+});
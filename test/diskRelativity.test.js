@@ -0,0 +1,71 @@
+// test/diskRelativity.test.js
+// The disk's Doppler and gravitational shifts against the formulas
+// lensing.frag evaluates, and against known Schwarzschild values.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_ORBITAL_SPEED, COLOR_SHIFT_EXPONENTS, orbitalSpeed, dopplerFactor, gravitationalRedshiftFactor,
+    diskShiftFactor, shiftColor,
+} from '../js/diskRelativity.js';
+
+const close = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${label}: ${actual}, expected ${expected}`);
+
+// diskShiftFactor in shaders/lensing.frag, line for line, with the gas moving
+// at an angle of cosine cosAngle to the photon (dot(velocityDir, photonDir))
+function shaderDiskShiftFactor(M, r, cosAngle, dopplerIntensity, redshiftIntensity, spin) {
+    const a = spin * M;
+    const delta = r * r - 2 * M * r + a * a;
+    let g = 1;
+    if (dopplerIntensity > 0) {
+        const v = (r * r - 2 * a * Math.sqrt(M * r) + a * a) * Math.sqrt(M)
+            / (Math.sqrt(Math.max(delta, 1e-12)) * (Math.pow(r, 1.5) + a * Math.sqrt(M)));
+        const beta = Math.min(Math.max(v, 0), MAX_ORBITAL_SPEED);
+        const gamma = 1 / Math.sqrt(1 - beta * beta);
+        g *= Math.pow(1 / (gamma * (1 - beta * cosAngle)), dopplerIntensity);
+    }
+    if (redshiftIntensity > 0) {
+        const rho = r * r + a * a;
+        g *= Math.pow(Math.sqrt(Math.max(r * r * delta / (rho * rho - a * a * delta), 0)), redshiftIntensity);
+    }
+    return Math.max(g, 1e-3);
+}
+
+test('diskShiftFactor matches the shader', () => {
+    [0.5, 0.845, 2].forEach(M => {
+        [0, 0.5, 0.998].forEach(spin => {
+            [3, 6, 20].forEach(radiusInM => {
+                [-1, -0.3, 0, 0.7, 1].forEach(cosAngle => {
+                    [[1, 1], [0, 1], [1, 0], [2.5, 0.5]].forEach(([doppler, redshift]) => {
+                        const r = radiusInM * M;
+                        close(diskShiftFactor(M, r, cosAngle, doppler, redshift, spin),
+                            shaderDiskShiftFactor(M, r, cosAngle, doppler, redshift, spin), 1e-12,
+                            `M = ${M}, χ = ${spin}, r = ${radiusInM}M, cos ψ = ${cosAngle}, intensities ${doppler}/${redshift}`);
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('shiftColor tints and beams like the shader', () => {
+    const rgb = [0.8, 0.5, 0.2];
+    [0.4, 1, 1.7].forEach(g => {
+        [3, 4].forEach(beamingExponent => {
+            // disk.rgb *= pow(vec3(g), diskColorShiftExponents) * pow(g, beamingExponent)
+            const expected = rgb.map((c, i) => c * Math.pow(g, COLOR_SHIFT_EXPONENTS[i]) * Math.pow(g, beamingExponent));
+            shiftColor(rgb, g, beamingExponent).forEach((c, i) => close(c, expected[i], 1e-12, `g = ${g}, channel ${i}`));
+        });
+    });
+    assert.deepEqual(shiftColor(rgb, 1, 3), rgb);
+});
+
+test('Schwarzschild limits: orbital speed, Doppler factor and lapse', () => {
+    close(orbitalSpeed(1, 6), 0.5, 1e-12, 'v at the ISCO'); // sqrt(M / (r - 2M))
+    close(orbitalSpeed(1, 3), MAX_ORBITAL_SPEED, 0, 'v at the photon orbit');
+    close(dopplerFactor(0, 0.5), 1, 0, 'g at rest');
+    close(dopplerFactor(0.6, 1), 2, 1e-12, 'g head-on'); // sqrt((1 + β) / (1 - β))
+    close(dopplerFactor(0.6, 0), 0.8, 1e-12, 'g transverse'); // 1 / γ
+    close(gravitationalRedshiftFactor(1, 8), Math.sqrt(0.75), 1e-12, 'lapse at 8M');
+    close(gravitationalRedshiftFactor(1, 2), 0, 0, 'lapse at the horizon');
+});
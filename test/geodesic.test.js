@@ -0,0 +1,42 @@
+// test/geodesic.test.js
+// The Schwarzschild integrator against the weak-field series, the photon
+// sphere and exact periapses.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { traceGeodesic, deflectionAngle, closestApproach, criticalImpactParameter } from '../js/geodesic.js';
+
+test('far from the hole the deflection follows 4M/b + 15πM²/4b²', () => {
+    [[1, 100], [1, 1000], [2.5, 400]].forEach(([mass, b]) => {
+        const e = mass / b;
+        const series = 4 * e + 15 * Math.PI / 4 * e * e;
+        // The next term is 128/3 (M/b)³
+        const difference = Math.abs(deflectionAngle(mass, b) - series);
+        assert.ok(difference < 50 * e ** 3, `M = ${mass}, b = ${b}: off the series by ${difference}`);
+    });
+});
+
+test('photons below b_c = 3√3 M are captured and those above escape', () => {
+    [1, 0.3].forEach(mass => {
+        const criticalB = criticalImpactParameter(mass);
+        assert.ok(Math.abs(criticalB - 3 * Math.sqrt(3) * mass) < 1e-12);
+        [0.5, 0.99, 0.999].forEach(k => {
+            const orbit = traceGeodesic(mass, k * criticalB);
+            assert.equal(orbit.captured, true, `b = ${k} b_c escaped`);
+            assert.equal(orbit.deflection, Infinity);
+        });
+        [1.001, 1.01, 2].forEach(k => {
+            const orbit = traceGeodesic(mass, k * criticalB);
+            assert.equal(orbit.captured, false, `b = ${k} b_c was captured`);
+            assert.ok(Number.isFinite(orbit.deflection) && orbit.deflection > 0);
+        });
+    });
+});
+
+test('the closest approach r₀ matches b = r₀ / √(1 - 2M/r₀)', () => {
+    [[1, 4], [1, 6], [2, 7], [1, 50]].forEach(([mass, r0]) => {
+        const b = r0 / Math.sqrt(1 - 2 * mass / r0);
+        assert.ok(Math.abs(closestApproach(mass, b) - r0) < 1e-9 * r0, `closed form for r₀ = ${r0}`);
+        const traced = traceGeodesic(mass, b).closestApproach;
+        assert.ok(Math.abs(traced - r0) < 1e-6 * r0, `integrated r₀ ${traced}, expected ${r0}`);
+    });
+});
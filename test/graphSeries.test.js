@@ -0,0 +1,17 @@
+// test/graphSeries.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { axisTicks } from '../js/graphSeries.js';
+
+test('axis ticks step by 1, 2 or 5 × 10ⁿ, or by decades on a log axis', () => {
+    assert.deepEqual(axisTicks(0, 1, false).map(v => v + 0), [0, 0.5, 1]); // + 0 turns -0 into 0
+    assert.deepEqual(axisTicks(-4, 4, false), [-4, -2, 0, 2, 4]);
+    assert.deepEqual(axisTicks(1, 1000, true), [1, 10, 100, 1000]);
+});
+
+test('an empty or inverted axis range gets a single tick', () => {
+    assert.deepEqual(axisTicks(1, 1, false), [1]);
+    assert.deepEqual(axisTicks(0, 0, false), [0]);
+    assert.deepEqual(axisTicks(2, 1, false), [2]);
+    assert.deepEqual(axisTicks(5, 5, true), [5]);
+});
@@ -0,0 +1,57 @@
+// test/microlensing.test.js
+// Point-lens magnification, the lens equation and light curves.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    pointLensMagnification, magnitudeShift, lensEquation, sourceTrajectory,
+    buildMagnificationMap, sampleMagnificationMap, computeLightCurve,
+} from '../js/microlensing.js';
+
+const close = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${label}: ${actual}, expected ${expected}`);
+
+test('A(u) = (u² + 2) / (u √(u² + 4))', () => {
+    close(pointLensMagnification(1), 3 / Math.sqrt(5), 1e-12, 'A(1)');
+    close(pointLensMagnification(0.1), 10.037461, 1e-6, 'A(0.1)');
+    close(pointLensMagnification(0.5), 2.182821, 1e-6, 'A(0.5)');
+    close(pointLensMagnification(1e4), 1, 1e-12, 'A(∞)');
+    assert.equal(pointLensMagnification(0), Infinity);
+    close(magnitudeShift(pointLensMagnification(1)), -0.319091, 1e-6, 'Δm at u = 1');
+});
+
+test('the lens equation maps the Einstein ring onto the lens', () => {
+    const primary = [{ x: 0, y: 0, massRatio: 1 }];
+    [0, 1, 2, 3].forEach(k => {
+        const [bx, by] = lensEquation(Math.cos(k), Math.sin(k), primary);
+        close(Math.hypot(bx, by), 0, 1e-12, `ring at ${k} rad`);
+    });
+    assert.deepEqual(lensEquation(2, 0, primary), [1.5, 0]);
+    // A companion of mass m at distance d adds its own m / d pull
+    assert.deepEqual(lensEquation(0, 2, [...primary, { x: 0, y: 1, massRatio: 0.5 }]), [0, 1]);
+});
+
+test('single-lens light curves peak at A(u₀) at t₀ and are symmetric about it', () => {
+    [{ u0: 0.3, tE: 20, t0: 0, angle: 0 }, { u0: 0.1, tE: 35, t0: 12, angle: 2.1 }].forEach(event => {
+        const curve = computeLightCurve(event, { halfWindow: 2, samples: 201 });
+        const peak = curve[100];
+        close(peak.t, event.t0, 1e-9, 't at the peak');
+        close(peak.u, event.u0, 1e-12, 'u at the peak');
+        close(peak.magnification, pointLensMagnification(event.u0), 1e-12, 'peak magnification');
+        curve.forEach((point, k) => {
+            const mirror = curve[curve.length - 1 - k];
+            close(point.t - event.t0, event.t0 - mirror.t, 1e-9, `time ${k}`);
+            close(point.magnification, mirror.magnification, 1e-9, `magnification ${k}`);
+        });
+        // One Einstein time from the peak the source is √(u₀² + 1) from the lens
+        const { x, y } = sourceTrajectory(event.t0 + event.tE, event);
+        close(Math.hypot(x, y), Math.hypot(event.u0, 1), 1e-12, 'u at t₀ + t_E');
+    });
+});
+
+test('the ray-shot magnification map of a single lens matches A(u)', () => {
+    const map = buildMagnificationMap([{ x: 0, y: 0, massRatio: 1 }], 2, 64, 800);
+    [0.5, 1, 1.5].forEach(u => {
+        const sampled = sampleMagnificationMap(map, u * Math.SQRT1_2, u * Math.SQRT1_2, 0.1);
+        close(sampled / pointLensMagnification(u), 1, 0.05, `map at u = ${u}`);
+    });
+});
@@ -0,0 +1,54 @@
+// test/observerMotion.test.js
+// Aberration and the sky shift of a moving observer against the formulas
+// lensing.frag evaluates.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aberrateDirection, observerShiftFactor, observerState } from '../js/observerMotion.js';
+
+const close = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual}, expected ${expected}`);
+const dot = (a, b) => a.reduce((sum, c, i) => sum + c * b[i], 0);
+const normalize = (a) => a.map(c => c / Math.hypot(...a));
+
+// cameraRayDirection in shaders/lensing.frag, after getRayDirection:
+// normalize((n∥ - β) v + n⊥ sqrt(1 - β²))
+function shaderAberration(dir, velocity) {
+    const beta = Math.hypot(...velocity);
+    if (beta < 1e-6) return dir;
+    const v = velocity.map(c => c / beta);
+    const parallel = dot(dir, v);
+    return normalize(dir.map((c, i) => (parallel - beta) * v[i] + (c - parallel * v[i]) * Math.sqrt(1 - beta * beta)));
+}
+
+const DIRECTIONS = [[0, 0, -1], [1, 0, 0], [0.3, -0.5, 0.8], [-0.6, 0.6, -0.2]].map(normalize);
+const VELOCITIES = [[0.5, 0, 0], [0, 0.2, -0.3], [-0.4, 0.4, 0.7], [0, 0, 0.95]];
+
+test('aberrateDirection matches the shader', () => {
+    DIRECTIONS.forEach(dir => VELOCITIES.forEach(velocity => {
+        const expected = shaderAberration(dir, velocity);
+        const aberrated = aberrateDirection(dir, velocity);
+        close(Math.hypot(...aberrated), 1, 1e-12, 'length');
+        aberrated.forEach((c, i) => close(c, expected[i], 1e-12, `${dir} at ${velocity}, component ${i}`));
+    }));
+});
+
+test('aberration leaves the direction of motion alone and tips the sideways ray back by β', () => {
+    const velocity = [0.6, 0, 0];
+    assert.deepEqual(aberrateDirection([1, 0, 0], velocity).map(c => c + 0), [1, 0, 0]);
+    // Seen at 90° by the observer, the ray arrives from cos θ = -β in the static frame
+    close(aberrateDirection([0, 1, 0], velocity)[0], -0.6, 1e-12, 'cos θ');
+    assert.deepEqual(aberrateDirection([0, 0, 1], [0, 0, 0]), [0, 0, 1]);
+});
+
+test('observerShiftFactor matches the shader', () => {
+    // observerShiftFactor in lensing.frag: (1 + β · n) / (sqrt(1 - β²) · lapse)
+    DIRECTIONS.forEach(dir => VELOCITIES.forEach(velocity => {
+        const lapse = 0.7;
+        const expected = (1 + dot(velocity, dir)) / (Math.sqrt(1 - dot(velocity, velocity)) * lapse);
+        close(observerShiftFactor(dir, velocity, lapse), expected, 1e-12, `${dir} at ${velocity}`);
+    }));
+    // At rest only the potential shifts the sky: blue by 1 / lapse
+    const { speed, lapse } = observerState('static', 8);
+    assert.equal(speed, 0);
+    close(observerShiftFactor([0, 0, 1], [0, 0, 0], lapse), 1 / Math.sqrt(0.75), 1e-12, 'static at 8M');
+});
@@ -0,0 +1,145 @@
+// test/referenceRenderer.test.js
+// The CPU reference renderer against analytic expectations and against golden
+// images of a few fixed scenes. The golden images are raw 8-bit RGBA, top row
+// first, in test/golden; after an intended change to the lensing math,
+// rewrite them with `UPDATE_GOLDEN=1 npm test` and review the difference.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import * as THREE from 'three';
+import { DEFAULT_PARAMS } from '../js/stellarLens.js';
+import {
+    createReferenceFrame, referenceLensedDirection, shadeReferencePixel, renderReferenceImage, compareImages,
+} from '../js/referenceRenderer.js';
+import { criticalImpactParameter } from '../js/geodesic.js';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const GOLDEN_SIZE = 48;
+const GOLDEN_TOLERANCE = 2 / 255; // One quantization step each way
+const GOLDEN_MISMATCH = 0.005; // Share of channels allowed past it, for pixels on a shadow edge
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// The viewer's camera: 75° field of view, on the axis, looking at the black hole
+function makeCamera(params, aspect = 1) {
+    const camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 2000);
+    camera.position.set(0, 0, params.cameraInitialZ);
+    camera.lookAt(0, 0, params.blackHoleZ);
+    camera.updateMatrixWorld(true);
+    camera.updateProjectionMatrix();
+    return camera;
+}
+
+// Equirectangular checkerboard tinted by longitude and latitude, so any
+// misplaced ray shows as a wrong colour
+function makeSky(width = 128, height = 64) {
+    const data = new Float32Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const check = (Math.floor(x / 8) + Math.floor(y / 8)) % 2 ? 1 : 0.35;
+            data.set([check * x / width, check * (1 - y / height), check * 0.6, 1], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+// Uniform white sky: anything dark is in a shadow
+const WHITE_SKY = { width: 2, height: 2, data: new Float32Array(16).fill(1) };
+
+function baseParams(overrides = {}) {
+    return {
+        ...copy(DEFAULT_PARAMS),
+        skyProjection: 'equirect',
+        showSourceCatalog: false,
+        animateBackground: false,
+        backgroundBrightness: 1,
+        ...overrides,
+    };
+}
+
+// Angle between two unit vectors
+const angleBetween = (a, b) => Math.acos(Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+
+test('a weak-field point lens maps the ring of radius √lensingStrength onto itself', () => {
+    const params = baseParams();
+    const frame = createReferenceFrame(params, makeCamera(params), 256, 256);
+    const thetaE = Math.sqrt(params.lensingStrength);
+    const lensDirection = [0, 0, -1];
+    [0, 1, 2, 3, 4, 5].forEach(k => {
+        const angle = k * Math.PI / 3;
+        const offset = (scale) => referenceLensedDirection(frame,
+            0.5 + scale * thetaE * Math.cos(angle), 0.5 + scale * thetaE * Math.sin(angle));
+        const onRing = offset(1);
+        assert.equal(onRing.captured, false);
+        assert.ok(angleBetween(onRing.direction, lensDirection) < 1e-6,
+            `ring at ${k * 60}° maps ${angleBetween(onRing.direction, lensDirection)} rad from the lens`);
+        // Inside and outside the ring the source sits off the lens again
+        assert.ok(angleBetween(offset(0.9).direction, lensDirection) > 1e-3);
+        assert.ok(angleBetween(offset(1.1).direction, lensDirection) > 1e-3);
+    });
+});
+
+test('pixels inside the weak-field horizon are black', () => {
+    const params = baseParams();
+    const frame = createReferenceFrame(params, makeCamera(params), 128, 128, { sky: WHITE_SKY });
+    assert.deepEqual(shadeReferencePixel(frame, 0.5, 0.5), [0, 0, 0, 1]);
+    // Well outside the horizon the white sky shows
+    assert.ok(shadeReferencePixel(frame, 0.9, 0.5)[0] > 0.99);
+});
+
+test('pixels inside the strong-field shadow are black and rays outside it escape', () => {
+    const params = baseParams({ lensingMode: 'strong' });
+    const camera = makeCamera(params);
+    const frame = createReferenceFrame(params, camera, 128, 128, { sky: WHITE_SKY });
+    // Shadow half-angle for a distant camera: sin ψ = b_c / D
+    const distance = params.cameraInitialZ - params.blackHoleZ;
+    const shadowAngle = Math.asin(criticalImpactParameter(params.eventHorizonRadius / 2) / distance);
+    const screenRadius = (angle) => Math.tan(angle) / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / 2;
+    [0, 1, 2, 3].forEach(k => {
+        const direction = k * Math.PI / 2;
+        const at = (angle) => [0.5 + screenRadius(angle) * Math.cos(direction), 0.5 + screenRadius(angle) * Math.sin(direction)];
+        assert.deepEqual(shadeReferencePixel(frame, ...at(0.95 * shadowAngle)), [0, 0, 0, 1]);
+        assert.equal(referenceLensedDirection(frame, ...at(0.95 * shadowAngle)).captured, true);
+        assert.equal(referenceLensedDirection(frame, ...at(1.05 * shadowAngle)).captured, false);
+    });
+});
+
+// Fixed scenes, rendered at GOLDEN_SIZE² against the checkerboard sky
+const GOLDEN_SCENES = {
+    'weak-field': { params: {} },
+    'strong-field': { params: { lensingMode: 'strong' } },
+    'multi-lens': {
+        params: {},
+        lenses: [
+            { position: [0, 0, -15], massRatio: 1 },
+            { position: [2, 0.5, -15], massRatio: 0.5 },
+            { position: [-1.5, -1, -15], massRatio: 0.3 },
+        ],
+    },
+};
+
+function toBytes({ data }) {
+    return Uint8Array.from(data, v => Math.round(Math.min(Math.max(v, 0), 1) * 255));
+}
+
+function fromBytes(bytes, size) {
+    return { width: size, height: size, data: Float32Array.from(bytes, v => v / 255) };
+}
+
+Object.entries(GOLDEN_SCENES).forEach(([name, scene]) => {
+    test(`${name} scene matches its golden image`, () => {
+        const params = baseParams(scene.params);
+        const image = renderReferenceImage(params, makeCamera(params), GOLDEN_SIZE, GOLDEN_SIZE, { sky: makeSky(), lenses: scene.lenses });
+        assert.ok(image.data.every(Number.isFinite), 'non-finite pixel');
+        const file = new URL(`${name}.rgba`, GOLDEN_DIR);
+        if (process.env.UPDATE_GOLDEN) {
+            mkdirSync(GOLDEN_DIR, { recursive: true });
+            writeFileSync(file, toBytes(image));
+            return;
+        }
+        const golden = fromBytes(readFileSync(file), GOLDEN_SIZE);
+        const { maxDifference, mismatchFraction } = compareImages(fromBytes(toBytes(image), GOLDEN_SIZE), golden, GOLDEN_TOLERANCE);
+        assert.ok(mismatchFraction <= GOLDEN_MISMATCH,
+            `${(mismatchFraction * 100).toFixed(2)}% of channels differ (largest difference ${maxDifference.toFixed(3)})`);
+    });
+});
@@ -0,0 +1,27 @@
+// test/sceneState.test.js
+// Scene validation: the defaults pass, and every bad value is reported at once.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS } from '../js/stellarLens.js';
+import { createSceneState, validateSceneState } from '../js/sceneState.js';
+
+const LIMITS = { maxLenses: 3 };
+
+test('a scene of the default parameters is valid', () => {
+    const { params, warnings } = validateSceneState(createSceneState(DEFAULT_PARAMS, null), DEFAULT_PARAMS, LIMITS);
+    assert.deepEqual(params, JSON.parse(JSON.stringify(DEFAULT_PARAMS)));
+    assert.deepEqual(warnings, []);
+});
+
+test('options and values off their sliders are rejected, all in one error', () => {
+    const bad = { renderMode: 'bogus', lensingMode: 'x', blackHoleSpin: 5, eventHorizonRadius: -3, exportWidth: 1e9, timelineFps: 31 };
+    assert.throws(() => validateSceneState(bad, DEFAULT_PARAMS, LIMITS), (err) => {
+        Object.keys(bad).forEach(name => assert.ok(err.message.includes(`"${name}"`), `${name} not reported`));
+        return true;
+    });
+});
+
+test('physical units may take the lensing strength and horizon past their sliders', () => {
+    const { params } = validateSceneState({ lensingStrength: 1e-9, eventHorizonRadius: 40 }, DEFAULT_PARAMS, LIMITS);
+    assert.deepEqual(params, { lensingStrength: 1e-9, eventHorizonRadius: 40 });
+});